@@ -0,0 +1,380 @@
+goog.provide("cmvc.Collection");
+goog.provide("cmvc.Collection.Event");
+goog.provide("cmvc.Collection.EventType");
+
+goog.require("goog.array");
+goog.require("goog.events");
+goog.require("goog.events.Event");
+goog.require("goog.events.EventTarget");
+
+goog.require("cmvc");
+goog.require("cmvc.Model");
+goog.require("cmvc.kvo");
+
+
+/**
+ * cmvc.Collection is an ordered collection of models.
+ *
+ * The models are held in the models array, which must be treated as read-only: it is only changed by the methods of
+ * the collection, through cmvc.kvo, so it can be observed (and bound to) like any other array property. A view that
+ * renders a list observes the "models" property of the collection and updates only the affected part of the DOM for
+ * each insertion and removal (see cmvc.kvo.observeProperty). The length property is observable as well.
+ *
+ * Besides the cmvc.kvo notifications, a collection dispatches an ADD or REMOVE event (see cmvc.Collection.Event) for
+ * each model that is added or removed, a RESET event when all of its models are replaced and a SORT event when it is
+ * reordered. It also re-dispatches the cmvc.Model.EventType.CHANGE events of its models; the target of such an event
+ * is the model that changed.
+ *
+ * If the collection has a comparator, it keeps its models sorted; models are added in sorted order.
+ *
+ * Usage:
+ *   myapp.collections.People = cmvc.Collection.extend({
+ *     model: myapp.models.Person,
+ *     comparator: 'lastName'
+ *   });
+ *
+ *   var people = new myapp.collections.People([{firstName: "Ann", lastName: "Lee"}, {firstName: "Bob", lastName: "Ray"}]);
+ *   people.add({firstName: "Cy", lastName: "Dee"});   // inserted at index 0
+ *   people.pluck('firstName');                         // ["Cy", "Ann", "Bob"]
+ *   goog.events.listen(people, cmvc.Collection.EventType.ADD, function(e) { alert(e.index); });
+ */
+cmvc.Collection = cmvc.extend(goog.events.EventTarget, {
+  /**
+   * The class of the models in the collection; plain objects passed to add() or reset() are turned into instances of it.
+   */
+  model: cmvc.Model,
+
+
+  /**
+   * If set, the collection is kept sorted by it; either an attribute name or a function(modelA, modelB) that returns
+   * a negative number, zero or a positive number, as for Array.prototype.sort. Changing a model doesn't move it;
+   * call sort() to reorder the collection after such a change.
+   */
+  comparator: null,
+
+
+  /**
+   * @param {Array=} opt_models The initial models (or plain objects; see cmvc.Collection#model).
+   */
+  constructor: function(opt_models) {
+    goog.events.EventTarget.call(this);
+
+    /**
+     * The models in the collection; read-only.
+     * @type {Array.<cmvc.Model>}
+     */
+    this.models = [];
+
+    /**
+     * The number of models in the collection; read-only.
+     * @type {number}
+     */
+    this.length = 0;
+
+    if(opt_models) {
+      this.reset(opt_models);
+    }
+  },
+
+
+  /**
+   * Adds one model or an array of models to the collection, at opt_index or, if the collection has a comparator, in
+   * sorted order; otherwise at the end. Models that are already in the collection are left where they are.
+   *
+   * @return {Array.<cmvc.Model>} The models that were added.
+   */
+  add: function(models, opt_index) {
+    var added = [],
+        index = goog.isDef(opt_index) ? opt_index : this.models.length;
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      goog.array.forEach(goog.isArray(models) ? models : [models], function(model, i, a) {
+        model = this.prepareModel_(model);
+        if(goog.array.contains(this.models, model)) {
+          return;
+        }
+
+        var at = this.comparator ? this.getSortedIndex_(model) : index++;
+        this.listenToModel_(model);
+        cmvc.kvo.insertAt(this, "models", at, model);
+        added.push(model);
+
+        this.dispatchEvent(new cmvc.Collection.Event(cmvc.Collection.EventType.ADD, this, [model], at));
+      }, this);
+
+      this.updateLength_();
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+
+    return added;
+  },
+
+
+  /**
+   * Removes one model or an array of models from the collection.
+   *
+   * @return {Array.<cmvc.Model>} The models that were removed.
+   */
+  remove: function(models) {
+    var removed = [];
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      goog.array.forEach(goog.isArray(models) ? goog.array.clone(models) : [models], function(model, i, a) {
+        var index = goog.array.indexOf(this.models, model);
+        if(index < 0) {
+          return;
+        }
+
+        cmvc.kvo.removeAt(this, "models", index);
+        this.unlistenToModel_(model);
+        removed.push(model);
+
+        this.dispatchEvent(new cmvc.Collection.Event(cmvc.Collection.EventType.REMOVE, this, [model], index));
+      }, this);
+
+      this.updateLength_();
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+
+    return removed;
+  },
+
+
+  /**
+   * Replaces all of the models in the collection.
+   */
+  reset: function(opt_models) {
+    var models = goog.array.map(opt_models || [], this.prepareModel_, this);
+
+    goog.array.forEach(this.models, this.unlistenToModel_, this);
+    goog.array.removeDuplicates(models);
+    if(this.comparator) {
+      goog.array.stableSort(models, this.getCompareFn_());
+    }
+    goog.array.forEach(models, this.listenToModel_, this);
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      cmvc.kvo.replace(this, "models", models);
+      this.updateLength_();
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+
+    this.dispatchEvent(new cmvc.Collection.Event(cmvc.Collection.EventType.RESET, this, goog.array.clone(this.models)));
+  },
+
+
+  /**
+   * Sorts the collection by its comparator or, if given, by opt_comparator (which then becomes the comparator of the
+   * collection). The sort is stable.
+   */
+  sort: function(opt_comparator) {
+    var models = goog.array.clone(this.models);
+
+    if(opt_comparator) {
+      this.comparator = opt_comparator;
+    }
+    if(!this.comparator) {
+      throw Error("cmvc.Collection: can't sort a collection without a comparator.");
+    }
+
+    goog.array.stableSort(models, this.getCompareFn_());
+    cmvc.kvo.replace(this, "models", models);
+
+    this.dispatchEvent(new cmvc.Collection.Event(cmvc.Collection.EventType.SORT, this, goog.array.clone(this.models)));
+  },
+
+
+  /**
+   * Returns the model at index.
+   */
+  at: function(index) {
+    return this.models[index];
+  },
+
+
+  /**
+   * Returns the index of model in the collection, or -1.
+   */
+  indexOf: function(model) {
+    return goog.array.indexOf(this.models, model);
+  },
+
+
+  /**
+   * Returns true if model is in the collection.
+   */
+  contains: function(model) {
+    return this.indexOf(model) >= 0;
+  },
+
+
+  /**
+   * Returns the first model for which fn returns true, or null.
+   */
+  find: function(fn, opt_obj) {
+    return goog.array.find(this.models, fn, opt_obj);
+  },
+
+
+  /**
+   * Returns the value of the named attribute of each model.
+   */
+  pluck: function(name) {
+    return goog.array.map(this.models, function(model, i, a) {
+      return cmvc.kvo.get(model, name);
+    });
+  },
+
+
+  /**
+   * Calls fn for each model, like goog.array.forEach.
+   */
+  forEach: function(fn, opt_obj) {
+    goog.array.forEach(this.models, fn, opt_obj);
+  },
+
+
+  /**
+   * Returns a copy of the models array.
+   */
+  toArray: function() {
+    return goog.array.clone(this.models);
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    cmvc.Collection.superClass_.disposeInternal.call(this);
+
+    goog.array.forEach(this.models, this.unlistenToModel_, this);
+    this.models = [];
+
+    // remove all property observers
+    cmvc.kvo.removeObservers(this);
+  },
+
+
+  /**
+   * Turns a plain object into an instance of the model class of the collection.
+   * @private
+   */
+  prepareModel_: function(model) {
+    return model instanceof cmvc.Model ? model : new this.model(model);
+  },
+
+
+  /**
+   * @private
+   */
+  listenToModel_: function(model) {
+    goog.events.listen(model, cmvc.Model.EventType.CHANGE, this.handleModelChange_, false, this);
+  },
+
+
+  /**
+   * @private
+   */
+  unlistenToModel_: function(model) {
+    goog.events.unlisten(model, cmvc.Model.EventType.CHANGE, this.handleModelChange_, false, this);
+  },
+
+
+  /**
+   * Re-dispatches the change event of a model.
+   * @private
+   */
+  handleModelChange_: function(e) {
+    this.dispatchEvent(new cmvc.Model.ChangeEvent(e.target, e.changes));
+  },
+
+
+  /**
+   * @private
+   */
+  updateLength_: function() {
+    if(this.length != this.models.length) {
+      cmvc.kvo.set(this, "length", this.models.length);
+    }
+  },
+
+
+  /**
+   * Returns a compare function for the comparator of the collection.
+   * @private
+   */
+  getCompareFn_: function() {
+    var comparator = this.comparator;
+    if(goog.isString(comparator)) {
+      return function(a, b) {
+        return goog.array.defaultCompare(cmvc.kvo.get(a, comparator), cmvc.kvo.get(b, comparator));
+      };
+    }
+    return comparator;
+  },
+
+
+  /**
+   * Returns the index at which model is to be inserted to keep the collection sorted; after any equal models.
+   * @private
+   */
+  getSortedIndex_: function(model) {
+    var compareFn = this.getCompareFn_(),
+        low = 0,
+        high = this.models.length,
+        middle;
+
+    while(low < high) {
+      middle = (low + high) >> 1;
+      if(compareFn(this.models[middle], model) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+});
+
+
+/**
+ * Events dispatched by collections, besides the re-dispatched cmvc.Model.EventType.CHANGE events of their models.
+ * @enum {string}
+ */
+cmvc.Collection.EventType = {
+  ADD: 'add',
+  REMOVE: 'remove',
+  RESET: 'reset',
+  SORT: 'sort'
+};
+
+
+/**
+ * The event dispatched by a collection when models are added or removed, or when the collection is reset or sorted.
+ *
+ * @param {string} type The event type (see cmvc.Collection.EventType).
+ * @param {cmvc.Collection} collection The collection.
+ * @param {Array.<cmvc.Model>} models The models that were added or removed; for RESET and SORT, all of the models.
+ * @param {number=} opt_index The index the models were added at or removed from.
+ * @constructor
+ */
+cmvc.Collection.Event = cmvc.extend(goog.events.Event, {
+  constructor: function(type, collection, models, opt_index) {
+    goog.events.Event.call(this, type, collection);
+
+    /**
+     * @type {Array.<cmvc.Model>}
+     */
+    this.models = models;
+
+    /**
+     * @type {number|undefined}
+     */
+    this.index = opt_index;
+  }
+});
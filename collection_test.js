@@ -0,0 +1,126 @@
+goog.provide("cmvc.CollectionTest");
+
+goog.require("goog.array");
+goog.require("goog.events");
+goog.require("goog.object");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Collection");
+goog.require("cmvc.Model");
+goog.require("cmvc.kvo");
+
+
+var Person = cmvc.Model.extend({
+  attributes: {name: 'string', age: 'number'}
+});
+
+
+var People = cmvc.Collection.extend({
+  model: Person,
+  comparator: 'name'
+});
+
+
+/**
+ * Listens to every event type of collection and returns the array that "<type> <index>" strings are collected into.
+ */
+function collectEvents(collection) {
+  var events = [];
+
+  goog.events.listen(collection, goog.object.getValues(cmvc.Collection.EventType), function(e) {
+    events.push(e.type + (goog.isDef(e.index) ? " " + e.index : ""));
+  });
+  return events;
+}
+
+
+function testAddTurnsPlainObjectsIntoModels() {
+  var collection = new cmvc.Collection(),
+      ann = new Person({name: "Ann"});
+
+  collection.model = Person;
+  assertArrayEquals([ann], collection.add(ann));
+  assertEquals(1, collection.add([{name: "Bob"}, ann]).length);
+
+  assertTrue(collection.at(1) instanceof Person);
+  assertArrayEquals(["Ann", "Bob"], collection.pluck("name"));
+  assertEquals(2, collection.length);
+}
+
+
+function testModelsAreKeptSortedByTheComparator() {
+  var people = new People([{name: "Cy"}, {name: "Ann"}]),
+      events = collectEvents(people);
+
+  people.add({name: "Bob"});
+  assertArrayEquals(["Ann", "Bob", "Cy"], people.pluck("name"));
+  assertArrayEquals(["add 1"], events);
+
+  people.at(0).set('name', "Dee");
+  assertArrayEquals(["Dee", "Bob", "Cy"], people.pluck("name"));
+  people.sort();
+  assertArrayEquals(["Bob", "Cy", "Dee"], people.pluck("name"));
+
+  people.sort(function(a, b) { return b.name < a.name ? -1 : 1; });
+  assertArrayEquals(["Dee", "Cy", "Bob"], people.pluck("name"));
+  assertThrows(function() { new cmvc.Collection().sort(); });
+}
+
+
+function testRemoveAndReset() {
+  var people = new People([{name: "Ann"}, {name: "Bob"}, {name: "Cy"}]),
+      bob = people.at(1),
+      events = collectEvents(people);
+
+  assertArrayEquals([bob], people.remove([bob, new Person()]));
+  assertFalse(people.contains(bob));
+  assertEquals(-1, people.indexOf(bob));
+
+  people.reset([{name: "Dee"}]);
+  assertArrayEquals(["Dee"], people.pluck("name"));
+  assertArrayEquals(["remove 1", "reset"], events);
+}
+
+
+function testModelsAndLengthAreObservable() {
+  var people = new cmvc.Collection(),
+      changes = [],
+      lengths = [];
+
+  cmvc.kvo.observeProperty(people, "models", function(fnName) { changes.push(fnName); });
+  cmvc.kvo.observeProperty(people, "length", function(fnName, value) { lengths.push(value); });
+
+  people.add({name: "Ann"});
+  // the insertions of a single add() are delivered together, as a 'set' of the models (see cmvc.kvo.endPropertyChanges)
+  people.add([{name: "Bob"}, {name: "Cy"}]);
+  people.remove(people.at(0));
+  people.reset();
+
+  assertArrayEquals(["insertAt", "set", "removeAt", "replace"], changes);
+  assertArrayEquals([1, 3, 2, 0], lengths);
+}
+
+
+function testChangeEventsOfTheModelsAreRedispatched() {
+  var people = new People([{name: "Ann"}]),
+      ann = people.at(0),
+      targets = [];
+
+  goog.events.listen(people, cmvc.Model.EventType.CHANGE, function(e) { targets.push(e.target); });
+  ann.set('age', 30);
+  people.remove(ann);
+  ann.set('age', 31);
+
+  assertArrayEquals([ann], targets);
+}
+
+
+function testFindAndToArray() {
+  var people = new People([{name: "Ann", age: 30}, {name: "Bob", age: 40}]),
+      copy = people.toArray();
+
+  assertEquals("Bob", people.find(function(person) { return person.age > 35; }).name);
+  assertNull(people.find(function(person) { return person.age > 50; }));
+  copy.pop();
+  assertEquals(2, people.length);
+}
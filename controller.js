@@ -0,0 +1,537 @@
+goog.provide("cmvc.ArrayController");
+goog.provide("cmvc.Controller");
+goog.provide("cmvc.ObjectController");
+
+goog.require("goog.array");
+goog.require("goog.events.EventHandler");
+goog.require("goog.events.EventTarget");
+goog.require("goog.object");
+goog.require("goog.string");
+
+goog.require("cmvc");
+goog.require("cmvc.Collection");
+goog.require("cmvc.Projection");
+goog.require("cmvc.kvo");
+
+
+/**
+ * cmvc.Controller is the base class of the "C" in closuremvc. A controller sits between the models and the views: it
+ * holds the state that a screen presents, and the actions that can be taken on it, so views bind to (and call) their
+ * controller (see cmvc.ui.View#controller) instead of reaching into global objects.
+ *
+ * Disposing of a controller removes the cmvc.kvo observers of its properties, and the observers it owns.
+ */
+cmvc.Controller = cmvc.extend(goog.events.EventTarget, {
+  constructor: function() {
+    goog.events.EventTarget.call(this);
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    cmvc.Controller.superClass_.disposeInternal.call(this);
+
+    cmvc.kvo.removeObservers(this);
+  }
+});
+
+
+/**
+ * cmvc.ObjectController presents a single object, its content (e.g. the model that a form shows). content is
+ * observable, so views can bind to paths such as "controller.content.name", which follow along when another object
+ * is loaded into the controller.
+ *
+ * The controller also proxies the properties of its content: each public property of the content (one that doesn't
+ * reference a function and doesn't end with "_"), unless the controller has a member of the same name, is a property
+ * of the controller as well. Reading it reads the property of the content, and setting it (with cmvc.kvo.set, an
+ * array modifier or a plain assignment) sets the property of the content. The notifications of the content are passed
+ * along to the observers of the controller, and when the content is replaced, the observers of every proxied property
+ * whose value differs are notified with a 'set'. When the content is replaced by another object, the properties that
+ * the new content doesn't have are no longer proxied; while there is no content, reading a proxied property returns
+ * undefined and setting one throws an Error. So "controller.name" can be bound to just like "controller.content.name".
+ *
+ * Usage:
+ *   myapp.controllers.account = new cmvc.ObjectController();
+ *
+ *   myapp.views.AccountForm = cmvc.ui.View.extend({
+ *     propertyBindings: {
+ *       'text': 'this.controller.name',
+ *       'visible_': 'this.controller.content.isLoaded'
+ *     }
+ *   });
+ *   var form = new myapp.views.AccountForm({controller: myapp.controllers.account});
+ *
+ *   myapp.controllers.account.content = store.find(myapp.models.Account, 7);     // the form shows account 7
+ *   cmvc.kvo.set(myapp.controllers.account, "name", "Savings");                // sets the name of account 7
+ */
+cmvc.ObjectController = cmvc.Controller.extend({
+  /**
+   * @param {Object=} opt_content The initial content.
+   */
+  constructor: function(opt_content) {
+    cmvc.ObjectController.superClass_.constructor.call(this);
+
+    /**
+     * The presented object, or null; observable.
+     * @type {Object}
+     */
+    this.content = null;
+
+    /**
+     * The set of proxied property names.
+     * @type {Object}
+     * @private
+     */
+    this.proxied_ = {};
+
+    /**
+     * The keys of the observers that pass the notifications of the content along.
+     * @type {Array.<number>}
+     * @private
+     */
+    this.contentObserverKeys_ = [];
+
+    cmvc.kvo.observable(this, ["content"]);
+    cmvc.kvo.observeChanges(this, "content", {
+      willChange: this.contentWillChange_,
+      didChange: this.contentDidChange_
+    });
+
+    if(opt_content) {
+      cmvc.kvo.set(this, "content", opt_content);
+    }
+  },
+
+
+  /**
+   * Returns the content if property is proxied to it (see cmvc.kvo.getProxyTarget_).
+   */
+  getProxyTarget: function(property) {
+    return this.proxied_[property] ? this.content : null;
+  },
+
+
+  /**
+   * Proxies the properties of the new content, and passes its notifications along, as soon as the content is set.
+   * @private
+   */
+  contentWillChange_: function(oldContent, newContent, change) {
+    var controller = this,
+        properties = newContent ? cmvc.ObjectController.getPublicProperties_(newContent) : [];
+
+    goog.array.forEach(this.contentObserverKeys_, cmvc.kvo.unobserveByKey);
+    this.contentObserverKeys_ = [];
+
+    goog.array.forEach(properties, function(property, i, a) {
+      this.proxy_(property);
+      if(this.proxied_[property]) {
+        this.contentObserverKeys_.push(cmvc.kvo.observeProperty(newContent, property, function(modifierFnName) {
+          cmvc.kvo.forwardChange(controller, property, arguments);
+        }, this));
+      }
+    }, this);
+  },
+
+
+  /**
+   * Notifies the observers of the proxied properties whose values differ between the old and the new content, then
+   * removes the accessors of the properties that the new content (if any) doesn't have.
+   * @private
+   */
+  contentDidChange_: function(oldContent, newContent, change) {
+    var properties;
+
+    goog.object.forEach(this.proxied_, function(proxied, property, o) {
+      var oldValue = oldContent ? cmvc.kvo.get(oldContent, property) : undefined;
+      if(oldValue !== cmvc.kvo.get(this, property)) {
+        cmvc.kvo.propertyDidChange(this, property, oldValue);
+      }
+    }, this);
+
+    if(!newContent) {
+      return;
+    }
+
+    properties = cmvc.ObjectController.getPublicProperties_(newContent);
+    goog.array.forEach(goog.object.getKeys(this.proxied_), function(property, i, a) {
+      if(!goog.array.contains(properties, property)) {
+        delete this[property];
+        delete this.proxied_[property];
+      }
+    }, this);
+  },
+
+
+  /**
+   * Defines the accessor of a proxied property, unless the controller already has a member of that name.
+   * @private
+   */
+  proxy_: function(property) {
+    if(this.proxied_[property] || property in this) {
+      return;
+    }
+    this.proxied_[property] = true;
+
+    Object.defineProperty(this, property, {
+      get: function() {
+        return this.content ? cmvc.kvo.get(this.content, property) : undefined;
+      },
+      set: function(value) {
+        // cmvc.kvo.set sets the property of the content, unless there isn't any
+        if(!this.content) {
+          throw Error("cmvc.ObjectController: can't set '" + property + "' without content.");
+        }
+        cmvc.kvo.set(this, property, value);
+      },
+      enumerable: true,
+      configurable: true
+    });
+  }
+});
+
+
+/**
+ * Returns the names of the own properties of obj that don't reference functions and don't end with "_".
+ * @private
+ */
+cmvc.ObjectController.getPublicProperties_ = function(obj) {
+  return goog.array.filter(goog.object.getKeys(obj), function(property, i, a) {
+    return obj.hasOwnProperty(property) && !goog.string.endsWith(property, "_") && !goog.isFunction(obj[property]);
+  });
+};
+
+
+/**
+ * cmvc.ArrayController presents a collection, its content (a cmvc.Collection), to a list view. It arranges the models
+ * of the content, keeps track of the selected ones and divides them into pages, all through observable properties, so
+ * list views, cmvc.ui.GoogleSelect widgets and paging controls can be bound to it instead of being wired up by hand.
+ *
+ * Observable properties:
+ *   content - the presented collection, or null
+ *   sortProperties - the attribute names that the models are sorted by, most significant first; if it is empty, the
+ *                    models are in the order of the content
+ *   sortAscending - whether the models are sorted in ascending (the default) or descending order
+ *   arrangedContent - a read-only collection (a cmvc.Projection) of the models of the content, sorted as above; null
+ *                     while there is no content
+ *   selection - the array of the selected models, in the order they were selected; models removed from the content
+ *               are deselected (see select and deselect)
+ *   selectedItem - the first selected model, or null
+ *   hasSelection - true if any model is selected
+ *   pageSize - the number of models per page, or null (the default) for a single page with all of the models
+ *   currentPage - the index of the current page, from 0 to pageCount - 1; it may be set
+ *   pageCount - the number of pages; at least 1
+ *   hasPreviousPage, hasNextPage - whether there is a page before or after the current page
+ *   pageContent - a read-only collection of the models on the current page of arrangedContent
+ * sortProperties, sortAscending, pageSize and allowsMultipleSelection may also be declared in the prototype members
+ * of a subclass, as defaults for its instances.
+ *
+ * Usage:
+ *   myapp.controllers.People = cmvc.ArrayController.extend({
+ *     sortProperties: ['lastName', 'firstName'],
+ *     pageSize: 20,
+ *     allowsMultipleSelection: true
+ *   });
+ *   var people = new myapp.controllers.People(cmvc.Store.getInstance().all(myapp.models.Person));
+ *
+ *   myapp.views.PeopleList = cmvc.ui.View.extend({
+ *     propertyBindings: {
+ *       'items': 'this.controller.pageContent.models',
+ *       'enabled_': 'this.controller.hasSelection'
+ *     },
+ *     viewEvents: {
+ *       'next': 'this.controller.nextPage'
+ *     }
+ *   });
+ *
+ *   people.sortAscending = false;          // rearranges the models
+ *   people.select(person);
+ *   people.currentPage = 2;
+ */
+cmvc.ArrayController = cmvc.Controller.extend({
+  /**
+   * Defaults; see above.
+   */
+  sortProperties: [],
+  sortAscending: true,
+  pageSize: null,
+
+
+  /**
+   * If true, select() can select several models at once.
+   */
+  allowsMultipleSelection: false,
+
+
+  /**
+   * @param {cmvc.Collection=} opt_content The initial content.
+   */
+  constructor: function(opt_content) {
+    cmvc.ArrayController.superClass_.constructor.call(this);
+
+    this.content = null;
+    this.sortProperties = goog.array.clone(this.sortProperties);
+    this.sortAscending = this.sortAscending;
+    this.arrangedContent = null;
+    this.selection = [];
+    this.selectedItem = null;
+    this.hasSelection = false;
+    this.pageSize = this.pageSize;
+    this.currentPage = 0;
+    this.pageCount = 1;
+    this.hasPreviousPage = false;
+    this.hasNextPage = false;
+    this.pageContent = null;
+
+    /**
+     * Listens to the content, to deselect the models that are removed from it.
+     * @type {goog.events.EventHandler}
+     * @private
+     */
+    this.handler_ = new goog.events.EventHandler(this);
+
+    cmvc.kvo.observable(this, ["content", "sortProperties", "sortAscending", "arrangedContent", "selection",
+                               "selectedItem", "hasSelection", "pageSize", "currentPage", "pageCount",
+                               "hasPreviousPage", "hasNextPage", "pageContent"]);
+
+    cmvc.kvo.observeProperty(this, "content", this.handleContentChange_);
+    cmvc.kvo.observeProperty(this, "sortProperties", this.handleSortChange_);
+    cmvc.kvo.observeProperty(this, "sortAscending", this.handleSortChange_);
+    cmvc.kvo.observeProperty(this, "pageSize", this.updatePages_);
+    cmvc.kvo.observeProperty(this, "currentPage", this.updatePages_);
+    cmvc.kvo.observeProperty(this, "arrangedContent.length", this.updatePages_);
+
+    if(opt_content) {
+      cmvc.kvo.set(this, "content", opt_content);
+    }
+  },
+
+
+  /**
+   * Selects model, or an array of models, of the content. Unless opt_extend is true, the previous selection is
+   * replaced. Without allowsMultipleSelection, only the last of the given models is selected.
+   */
+  select: function(models, opt_extend) {
+    var selection = opt_extend && this.allowsMultipleSelection ? goog.array.clone(this.selection) : [];
+
+    goog.array.forEach(goog.isArray(models) ? models : [models], function(model, i, a) {
+      if(this.content && this.content.contains(model) && !goog.array.contains(selection, model)) {
+        selection.push(model);
+      }
+    }, this);
+
+    if(!this.allowsMultipleSelection && selection.length > 1) {
+      selection = selection.slice(-1);
+    }
+    this.setSelection_(selection);
+  },
+
+
+  /**
+   * Deselects model, or an array of models.
+   */
+  deselect: function(models) {
+    models = goog.isArray(models) ? models : [models];
+    this.setSelection_(goog.array.filter(this.selection, function(model, i, a) {
+      return !goog.array.contains(models, model);
+    }));
+  },
+
+
+  /**
+   * Selects all of the models of the content (or, without allowsMultipleSelection, the first of the arranged models).
+   */
+  selectAll: function() {
+    if(this.arrangedContent) {
+      this.select(this.allowsMultipleSelection ? this.arrangedContent.toArray() :
+                                                 this.arrangedContent.models.slice(0, 1));
+    }
+  },
+
+
+  /**
+   * Deselects all of the models.
+   */
+  clearSelection: function() {
+    this.setSelection_([]);
+  },
+
+
+  /**
+   * Returns true if model is selected.
+   */
+  isSelected: function(model) {
+    return goog.array.contains(this.selection, model);
+  },
+
+
+  /**
+   * Goes to the next page, if there is one.
+   */
+  nextPage: function() {
+    if(this.hasNextPage) {
+      cmvc.kvo.set(this, "currentPage", this.currentPage + 1);
+    }
+  },
+
+
+  /**
+   * Goes to the previous page, if there is one.
+   */
+  previousPage: function() {
+    if(this.hasPreviousPage) {
+      cmvc.kvo.set(this, "currentPage", this.currentPage - 1);
+    }
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    this.handler_.dispose();
+    this.handler_ = null;
+    this.disposeArrangedContent_();
+
+    cmvc.ArrayController.superClass_.disposeInternal.call(this);
+  },
+
+
+  /**
+   * Arranges the new content, and clears the selection.
+   * @private
+   */
+  handleContentChange_: function() {
+    var content = this.content,
+        arrangedContent = null,
+        pageContent = null;
+
+    this.handler_.removeAll();
+    this.disposeArrangedContent_();
+
+    if(content) {
+      this.handler_.listen(content, [cmvc.Collection.EventType.REMOVE, cmvc.Collection.EventType.RESET],
+                           this.handleContentRemove_);
+      arrangedContent = new cmvc.Projection(content, {sortBy: this.getSortCompareFn_()});
+      pageContent = new cmvc.Projection(arrangedContent);
+    }
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      cmvc.kvo.set(this, "arrangedContent", arrangedContent);
+      cmvc.kvo.set(this, "pageContent", pageContent);
+      this.setSelection_([]);
+      this.updatePages_();
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+  },
+
+
+  /**
+   * @private
+   */
+  handleSortChange_: function() {
+    if(this.arrangedContent) {
+      this.arrangedContent.setSortBy(this.getSortCompareFn_());
+    }
+  },
+
+
+  /**
+   * Deselects the models that are no longer in the content.
+   * @private
+   */
+  handleContentRemove_: function(e) {
+    this.setSelection_(goog.array.filter(this.selection, this.content.contains, this.content));
+  },
+
+
+  /**
+   * Returns the compare function for sortProperties and sortAscending, or null if the models aren't sorted.
+   * @private
+   */
+  getSortCompareFn_: function() {
+    var properties = this.sortProperties || [],
+        direction = this.sortAscending ? 1 : -1;
+
+    if(properties.length == 0) {
+      return null;
+    }
+
+    return function(a, b) {
+      var result = 0;
+      goog.array.some(properties, function(property, i, arr) {
+        result = goog.array.defaultCompare(cmvc.kvo.get(a, property), cmvc.kvo.get(b, property));
+        return result != 0;
+      });
+      return result * direction;
+    };
+  },
+
+
+  /**
+   * Replaces the selection (if it differs), and updates selectedItem and hasSelection.
+   * @private
+   */
+  setSelection_: function(selection) {
+    if(goog.array.equals(selection, this.selection)) {
+      return;
+    }
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      cmvc.kvo.replace(this, "selection", selection);
+      this.setIfChanged_("selectedItem", selection[0] || null);
+      this.setIfChanged_("hasSelection", selection.length > 0);
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+  },
+
+
+  /**
+   * Brings pageCount, currentPage, hasPreviousPage, hasNextPage and the range of pageContent in line with pageSize,
+   * currentPage and the number of arranged models.
+   * @private
+   */
+  updatePages_: function() {
+    var length = this.arrangedContent ? this.arrangedContent.length : 0,
+        pageSize = this.pageSize,
+        pageCount = pageSize ? Math.max(1, Math.ceil(length / pageSize)) : 1,
+        page = Math.max(0, Math.min(this.currentPage, pageCount - 1));
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      this.setIfChanged_("pageCount", pageCount);
+      this.setIfChanged_("currentPage", page);
+      this.setIfChanged_("hasPreviousPage", page > 0);
+      this.setIfChanged_("hasNextPage", page < pageCount - 1);
+      if(this.pageContent) {
+        this.pageContent.setRange(pageSize ? page * pageSize : 0, pageSize || null);
+      }
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+  },
+
+
+  /**
+   * @private
+   */
+  setIfChanged_: function(property, value) {
+    if(this[property] !== value) {
+      cmvc.kvo.set(this, property, value);
+    }
+  },
+
+
+  /**
+   * @private
+   */
+  disposeArrangedContent_: function() {
+    if(this.pageContent) {
+      this.pageContent.dispose();
+    }
+    if(this.arrangedContent) {
+      this.arrangedContent.dispose();
+    }
+  }
+});
@@ -0,0 +1,253 @@
+goog.provide("cmvc.ControllerTest");
+
+goog.require("goog.array");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.ArrayController");
+goog.require("cmvc.Collection");
+goog.require("cmvc.Model");
+goog.require("cmvc.ObjectController");
+goog.require("cmvc.kvo");
+
+
+function testReadsAndWritesAreProxiedToTheContent() {
+  var account = {name: "Savings", tags: ["a"], balance_: 5, close: function() {}},
+      controller = new cmvc.ObjectController(account);
+
+  assertEquals("Savings", controller.name);
+  assertFalse("balance_" in controller);
+  assertFalse("close" in controller);
+  assertEquals(account, controller.getProxyTarget("name"));
+
+  cmvc.kvo.set(controller, "name", "Checking");
+  assertEquals("Checking", account.name);
+  controller.name = "Other";
+  assertEquals("Other", account.name);
+
+  cmvc.kvo.push(controller, "tags", "b");
+  assertArrayEquals(["a", "b"], account.tags);
+}
+
+
+function testMembersOfTheControllerAreNotProxied() {
+  var controller = new cmvc.ObjectController({content: "text", getProxyTarget: 1});
+
+  assertEquals("text", controller.content.content);
+  assertTrue(goog.isFunction(controller.getProxyTarget));
+}
+
+
+function testNotificationsOfTheContentArePassedAlong() {
+  var account = {name: "Savings", tags: []},
+      controller = new cmvc.ObjectController(account),
+      calls = [];
+
+  cmvc.kvo.observeProperty(controller, "name", function(fnName, value) { calls.push(fnName + " " + value); });
+  cmvc.kvo.observeProperty(controller, "tags", function(fnName) { calls.push(fnName); });
+
+  cmvc.kvo.set(account, "name", "Checking");
+  cmvc.kvo.push(account, "tags", "a");
+  assertArrayEquals(["set Checking", "push"], calls);
+}
+
+
+function testReplacingTheContentNotifiesTheChangedProperties() {
+  var controller = new cmvc.ObjectController({name: "Savings", kind: "bank"}),
+      other = {name: "Checking", kind: "bank"},
+      changed = [];
+
+  cmvc.kvo.observeProperty(controller, "name", function() { changed.push("name"); });
+  cmvc.kvo.observeProperty(controller, "kind", function() { changed.push("kind"); });
+  controller.content = other;
+
+  assertArrayEquals(["name"], changed);
+  assertEquals("Checking", controller.name);
+
+  cmvc.kvo.set(other, "kind", "card");
+  assertArrayEquals(["name", "kind"], changed);
+}
+
+
+function testPathsThroughTheContentFollowTheContent() {
+  var controller = new cmvc.ObjectController(),
+      label = {};
+
+  cmvc.kvo.bind(controller, "content.name", label, "text");
+  cmvc.kvo.bind(controller, "name", label, "proxiedText");
+
+  controller.content = {name: "Savings"};
+  assertEquals("Savings", label.text);
+  assertEquals("Savings", label.proxiedText);
+
+  controller.content = {name: "Checking"};
+  assertEquals("Checking", label.text);
+  assertEquals("Checking", label.proxiedText);
+}
+
+
+function testDisposeRemovesTheObservers() {
+  var controller = new cmvc.ObjectController({name: "Savings"}),
+      calls = 0;
+
+  cmvc.kvo.observeProperty(controller, "name", function() { calls++; });
+  controller.dispose();
+  cmvc.kvo.set(controller, "content", null);
+  assertEquals(0, calls);
+}
+
+
+function testPropertiesOfTheOldContentAreNoLongerProxied() {
+  var controller = new cmvc.ObjectController({title: "Report", pages: 3}),
+      values = [];
+
+  cmvc.kvo.observeProperty(controller, "pages", function(fnName, value, change) { values.push(value); });
+  controller.content = {title: "Note"};
+
+  assertEquals("Note", controller.title);
+  assertFalse("pages" in controller);
+  assertNull(controller.getProxyTarget("pages"));
+  assertArrayEquals([undefined], values);
+
+  controller.content = {title: "Book", pages: 200};
+  assertEquals(200, controller.pages);
+  assertArrayEquals([undefined, 200], values);
+}
+
+
+function testPropertiesStayProxiedWhileThereIsNoContent() {
+  var controller = new cmvc.ObjectController({title: "Report"});
+
+  controller.content = null;
+
+  assertTrue("title" in controller);
+  assertUndefined(controller.title);
+  assertThrows(function() { controller.title = "x"; });
+}
+
+
+var Person = cmvc.Model.extend({attributes: {firstName: 'string', lastName: 'string'}});
+
+
+/**
+ * Returns a collection of people with the given "first last" names.
+ */
+function createPeople(names) {
+  return new cmvc.Collection(goog.array.map(names, function(name, i, a) {
+    var parts = name.split(" ");
+    return new Person({id: i + 1, firstName: parts[0], lastName: parts[1]});
+  }));
+}
+
+
+function testArrangedContentIsSortedBySortProperties() {
+  var people = createPeople(["Ann Lee", "Bob Kim", "Al Lee"]),
+      controller = new cmvc.ArrayController(people);
+
+  assertArrayEquals(["Ann", "Bob", "Al"], controller.arrangedContent.pluck("firstName"));
+
+  cmvc.kvo.set(controller, "sortProperties", ["lastName", "firstName"]);
+  assertArrayEquals(["Bob", "Al", "Ann"], controller.arrangedContent.pluck("firstName"));
+
+  controller.sortAscending = false;
+  assertArrayEquals(["Ann", "Al", "Bob"], controller.arrangedContent.pluck("firstName"));
+
+  people.add(new Person({id: 4, firstName: "Zed", lastName: "Moe"}));
+  assertArrayEquals(["Zed", "Ann", "Al", "Bob"], controller.arrangedContent.pluck("firstName"));
+  assertThrows(function() { controller.arrangedContent.add(new Person()); });
+}
+
+
+function testSortDefaultsMayBeDeclaredBySubclasses() {
+  var People = cmvc.ArrayController.extend({sortProperties: ["firstName"], sortAscending: false}),
+      controller = new People(createPeople(["Ann Lee", "Bob Kim"])),
+      other = new People();
+
+  assertArrayEquals(["Bob", "Ann"], controller.arrangedContent.pluck("firstName"));
+  controller.sortProperties.push("lastName");
+  assertArrayEquals(["firstName"], other.sortProperties);
+  assertNull(other.arrangedContent);
+}
+
+
+function testSingleSelection() {
+  var people = createPeople(["Ann Lee", "Bob Kim"]),
+      controller = new cmvc.ArrayController(people),
+      ann = people.at(0),
+      bob = people.at(1),
+      states = [];
+
+  cmvc.kvo.observeProperty(controller, "hasSelection", function(fnName, value) { states.push(value); });
+
+  controller.select([ann, bob]);
+  assertArrayEquals([bob], controller.selection);
+  assertEquals(bob, controller.selectedItem);
+
+  controller.select(ann, true);
+  assertArrayEquals([ann], controller.selection);
+  controller.select(new Person());
+  assertArrayEquals([], controller.selection);
+
+  controller.selectAll();
+  assertEquals(ann, controller.selectedItem);
+  people.remove(ann);
+  assertFalse(controller.hasSelection);
+  assertNull(controller.selectedItem);
+  assertArrayEquals([true, false, true, false], states);
+}
+
+
+function testMultipleSelection() {
+  var people = createPeople(["Ann Lee", "Bob Kim", "Cy Fox"]),
+      controller = new cmvc.ArrayController(people);
+
+  controller.allowsMultipleSelection = true;
+  controller.select(people.at(2));
+  controller.select([people.at(0), people.at(2)], true);
+  assertArrayEquals([people.at(2), people.at(0)], controller.selection);
+  assertTrue(controller.isSelected(people.at(0)));
+
+  controller.deselect(people.at(2));
+  assertArrayEquals([people.at(0)], controller.selection);
+
+  controller.selectAll();
+  assertEquals(3, controller.selection.length);
+  controller.content = createPeople(["Dan Roe"]);
+  assertFalse(controller.hasSelection);
+
+  controller.select(controller.content.at(0));
+  controller.clearSelection();
+  assertArrayEquals([], controller.selection);
+}
+
+
+function testPaging() {
+  var people = createPeople(["A a", "B b", "C c", "D d", "E e"]),
+      controller = new cmvc.ArrayController(people);
+
+  assertEquals(1, controller.pageCount);
+  assertEquals(5, controller.pageContent.length);
+
+  controller.pageSize = 2;
+  assertEquals(3, controller.pageCount);
+  assertArrayEquals(["A", "B"], controller.pageContent.pluck("firstName"));
+  assertFalse(controller.hasPreviousPage);
+  assertTrue(controller.hasNextPage);
+
+  controller.nextPage();
+  controller.nextPage();
+  controller.nextPage();
+  assertEquals(2, controller.currentPage);
+  assertArrayEquals(["E"], controller.pageContent.pluck("firstName"));
+  assertFalse(controller.hasNextPage);
+
+  people.remove(people.at(4));
+  assertEquals(2, controller.pageCount);
+  assertEquals(1, controller.currentPage);
+  assertArrayEquals(["C", "D"], controller.pageContent.pluck("firstName"));
+
+  controller.currentPage = 7;
+  assertEquals(1, controller.currentPage);
+  controller.previousPage();
+  assertEquals(0, controller.currentPage);
+  assertTrue(controller.hasNextPage);
+}
@@ -42,16 +42,60 @@ cmvc.extend = function(parentConstructor, prototypeMembers) {
   //prototypeMembers.constructor = childConstructor;
   
   // apply the reminaing properties from prototypeMembers to the childConstructor.prototype
-  goog.object.extend(childConstructor.prototype, prototypeMembers);
+  // A member that redeclares a property with an inherited setter (e.g. an observable property of an observable
+  //   superclass; see cmvc.kvo.observable) is defined rather than assigned, since assigning it would call the setter
+  //   on the prototype instead of declaring a new default value.
+  var redeclaredMembers = goog.object.filter(prototypeMembers, function(value, key, o) {
+    return cmvc.hasSetter_(childConstructor.prototype, key);
+  });
+  goog.object.extend(childConstructor.prototype, goog.object.filter(prototypeMembers, function(value, key, o) {
+    return !(key in redeclaredMembers);
+  }));
+  goog.object.forEach(redeclaredMembers, function(value, key, o) {
+    Object.defineProperty(childConstructor.prototype, key, {
+      value: value,
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+  });
   
   // add an extend singleton method onto the childConstructor so we can do stuff like this (where C is a constructor):
   //   var D = C.extend(<instanceMembers>, <prototypeMembers>);
   childConstructor.extend = goog.partial(cmvc.extend, childConstructor);
   
+  // if the class (or one of its ancestors) is flagged as observable, install property accessors for the properties
+  //   declared in prototypeMembers (see cmvc.kvo.observable; the file declaring the class must require cmvc.kvo)
+  if(childConstructor.prototype.observable === true) {
+    cmvc.kvo.observable(childConstructor.prototype);
+  }
+  
+  // install getters for the computed properties declared in prototypeMembers (see cmvc.kvo.computed)
+  if(cmvc.kvo && cmvc.kvo.defineComputedProperties) {
+    cmvc.kvo.defineComputedProperties(childConstructor.prototype);
+  }
+  
   return childConstructor;
 };
 
 
+/**
+ * Returns true if obj, or an object in its prototype chain, has a property accessor with a setter for property.
+ * @private
+ */
+cmvc.hasSetter_ = function(obj, property) {
+  var descriptor;
+  
+  for(; obj; obj = Object.getPrototypeOf(obj)) {
+    descriptor = Object.getOwnPropertyDescriptor(obj, property);
+    if(descriptor) {
+      return !!descriptor.set;
+    }
+  }
+  return false;
+};
+
+
 /**
  * Given an object and and callback function, this function performs an ancestor-to-child traversal
  * of the "class"/prototype hierarchy. At each level in the hierarchy the callbackFn function is invoked with a single
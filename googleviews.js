@@ -11,7 +11,10 @@ goog.require("goog.ui.Select");
 goog.require("goog.ui.MenuItem");
 
 goog.require("cmvc");
+goog.require("cmvc.Collection");
+goog.require("cmvc.Model");
 goog.require("cmvc.events");
+goog.require("cmvc.kvo");
 goog.require("cmvc.ui.View");
 goog.require("cmvc.ui.View.EventDispatch");
 
@@ -67,11 +70,19 @@ cmvc.ui.GoogleButton = cmvc.ui.GoogleView.extend({
 });
 
 
+/**
+ * The store is either an array of arrays of the form [id, value, text], or a cmvc.Collection. The menu items of a
+ * collection show the textAttribute of its models, and are kept in sync with the collection as models are added,
+ * removed, reordered or changed; the model of each menu item (see goog.ui.MenuItem#getModel) is the cmvc.Model.
+ */
 cmvc.ui.GoogleSelect = cmvc.ui.GoogleView.extend({
   root: { tag: 'span', id: '{id}' },
   
   store: [],
   
+  // the attribute of the models shown in the menu, when the store is a cmvc.Collection
+  textAttribute: 'name',
+  
   googleComponentClass: goog.ui.Select,
   //googleComponentArgs: [arg1, arg2, arg3, ..., argN],
   
@@ -90,9 +101,66 @@ cmvc.ui.GoogleSelect = cmvc.ui.GoogleView.extend({
   },
   
   load: function() {
+    if(this.store_ instanceof cmvc.Collection) {
+      this.store_.forEach(function(model, i, a) {
+        this.googleComponent.addItem(this.createCollectionItem_(model));
+      }, this);
+      
+      // the handler's listeners are removed when the view exits the document (see goog.ui.Component#exitDocument)
+      this.getHandler().listen(this.store_,
+                               [cmvc.Collection.EventType.ADD, cmvc.Collection.EventType.REMOVE,
+                                cmvc.Collection.EventType.RESET, cmvc.Collection.EventType.SORT],
+                               this.handleCollectionChange_).
+                        listen(this.store_, cmvc.Model.EventType.CHANGE, this.handleCollectionModelChange_);
+      return;
+    }
+    
     // this assumes that each element in the store array is an array of the form [id, value, text]
     goog.array.forEach(this.store_, function(e, i, a) {
       this.googleComponent.addItem(new goog.ui.MenuItem(e[2]));
     }, this);
+  },
+  
+  /**
+   * @private
+   */
+  createCollectionItem_: function(model) {
+    return new goog.ui.MenuItem(String(cmvc.kvo.get(model, this.textAttribute)), model);
+  },
+  
+  /**
+   * Mirrors the insertions, removals and reorderings of a cmvc.Collection store in the menu.
+   * @private
+   */
+  handleCollectionChange_: function(e) {
+    var select = this.googleComponent;
+    
+    switch(e.type) {
+      case cmvc.Collection.EventType.ADD:
+        select.addItemAt(this.createCollectionItem_(e.models[0]), e.index);
+        break;
+      case cmvc.Collection.EventType.REMOVE:
+        select.removeItemAt(e.index);
+        break;
+      default:            // reset and sort
+        while(select.getItemCount() > 0) {
+          select.removeItemAt(0);
+        }
+        goog.array.forEach(e.models, function(model, i, a) {
+          select.addItem(this.createCollectionItem_(model));
+        }, this);
+    }
+  },
+  
+  /**
+   * Updates the caption of the menu item of a model whose textAttribute changed.
+   * @private
+   */
+  handleCollectionModelChange_: function(e) {
+    var index = this.store_.indexOf(e.target);
+    
+    if(index >= 0 && e.hasChanged(this.textAttribute)) {
+      this.googleComponent.getItemAt(index).setCaption(String(cmvc.kvo.get(e.target, this.textAttribute)));
+    }
   }
 });
\ No newline at end of file
@@ -1,94 +1,1285 @@
 goog.provide("cmvc.kvo");
 
+goog.require("goog.Timer");
 goog.require("goog.array");
+goog.require("goog.object");
+
+goog.require("cmvc");
+goog.require("cmvc.string");
+
+
+/**
+ * observerTree[cmvc.kvo.getUid(objectReference)][property] = Array.<Object>
+ *
+ * Observers are keyed by the identity of the observed object (see cmvc.kvo.getUid), not by the object itself, because
+ *   using an object as a key in a plain object coerces it to a string and every plain object turns into the same
+ *   string key, "[object Object]".
+ *
+ * Each observer record has the form:
+ *   { key: Number, src: Object, property: String, fn: Function, owners: Array.<Number>, kind: String }
+ * where kind tells what registered the observer: 'observer' (cmvc.kvo.observeProperty), 'path' (cmvc.kvo.observePath),
+ * 'link' (one of the observers along a key path), 'changes' (cmvc.kvo.observeChanges), 'computed' (a dependency of a
+ * computed property) or 'binding' (cmvc.kvo.bind/bindTwoWay; the record then also has a binding field describing it).
+ */
+cmvc.kvo.observerTree_ = {};
+
+
+/**
+ * observers_[key] = observer record (the same record object that is stored in observerTree_)
+ */
+cmvc.kvo.observers_ = {};
+
+
+/**
+ * ownerTree_[cmvc.kvo.getUid(ownerReference)] = Array.<Number>
+ *
+ * Holds the keys of the observers that were registered on behalf of ownerReference. Those observers live on some
+ *   other object, but only exist to update ownerReference (e.g. the target object of a binding), so they need to
+ *   be removed when ownerReference is disposed of.
+ */
+cmvc.kvo.ownerTree_ = {};
+
+
+/**
+ * The key of the most recently registered observer.
+ */
+cmvc.kvo.counter_ = 0;
+
+
+/**
+ * computedCache_[cmvc.kvo.getUid(objectReference)][property] = { value: *, valid: Boolean, reported: * }
+ *
+ * Holds the cached values of the computed properties (see cmvc.kvo.computed) of each object. reported is the value
+ * that the observers of the computed property last saw.
+ */
+cmvc.kvo.computedCache_ = {};
+
+
+/**
+ * The name of the hidden property that holds the unique id of an object (see cmvc.kvo.getUid).
+ * @private
+ */
+cmvc.kvo.UID_KEY_ = "cmvc_kvo_uid_";
+
+
+/**
+ * The last unique id given to an object.
+ * @private
+ */
+cmvc.kvo.uidCounter_ = 0;
+
+
+/**
+ * Returns the unique id of obj, which cmvc.kvo uses to key its registries. Unlike goog.getUid, which stamps obj with
+ * an enumerable property, the id is held by a non-enumerable property, so it never shows up in the data of obj (e.g.
+ * when obj is iterated over or JSON encoded).
+ */
+cmvc.kvo.getUid = function(obj) {
+  if(!obj.hasOwnProperty(cmvc.kvo.UID_KEY_)) {
+    Object.defineProperty(obj, cmvc.kvo.UID_KEY_, { value: ++cmvc.kvo.uidCounter_ });
+  }
+  return obj[cmvc.kvo.UID_KEY_];
+};
+
+
+/**
+ * All property observer callback functions (read: the callbackFn parameter) must have a function signature of:
+ *   function(fnName, [index,] value1, value2, ..., valueN, change)
+ * where fnName and the values are the name of the modifier function (e.g. 'set' or 'push') and the arguments it
+ * was called with, and change is a change record describing the change (see cmvc.kvo.createChange_).
+ *
+ * srcProperty may be a key path (e.g. "account.owner.name"); see cmvc.kvo.observePath.
+ *
+ * The optional owner is an object other than srcObj that the observer belongs to. When
+ *   cmvc.kvo.removeObservers(owner) is called, the observer is removed as well.
+ *
+ * Returns a key that can be passed to cmvc.kvo.unobserveByKey() to remove only this one observer.
+ *
+ * Usage:
+ *   var key = cmvc.kvo.observeProperty(obj, "propertyA", function(fnName, [index,] value1, ..., valueN, change){ })
+ *   cmvc.kvo.unobserveByKey(key);
+ */
+cmvc.kvo.observeProperty = function(srcObj, srcProperty, callbackFn, opt_owner) {
+  if(cmvc.kvo.isPath(srcProperty)) {
+    return cmvc.kvo.observePath(srcObj, srcProperty, callbackFn, opt_owner);
+  }
+  return cmvc.kvo.addObserver_(srcObj, srcProperty, callbackFn, opt_owner).key;
+};
+
+
+/**
+ * Registers a property observer on srcObj.srcProperty (srcProperty is never treated as a key path) and returns
+ * the new observer record.
+ * @private
+ */
+cmvc.kvo.addObserver_ = function(srcObj, srcProperty, callbackFn, opt_owner) {
+  var uid = cmvc.kvo.getUid(srcObj),
+      record = {
+        key: ++cmvc.kvo.counter_,
+        src: srcObj,
+        property: srcProperty,
+        fn: callbackFn,
+        owners: [],
+        kind: 'observer'
+      };
+  
+  if(!goog.isObject(cmvc.kvo.observerTree_[uid])) {
+    cmvc.kvo.observerTree_[uid] = {};
+  }
+  if(goog.isArray(cmvc.kvo.observerTree_[uid][srcProperty])) {
+    cmvc.kvo.observerTree_[uid][srcProperty].push(record);
+  } else {
+    cmvc.kvo.observerTree_[uid][srcProperty] = [record];
+  }
+  
+  if(goog.isObject(opt_owner) && opt_owner !== srcObj) {
+    uid = cmvc.kvo.getUid(opt_owner);
+    record.owners.push(uid);
+    if(goog.isArray(cmvc.kvo.ownerTree_[uid])) {
+      cmvc.kvo.ownerTree_[uid].push(record.key);
+    } else {
+      cmvc.kvo.ownerTree_[uid] = [record.key];
+    }
+  }
+  
+  cmvc.kvo.observers_[record.key] = record;
+  
+  // an observed computed property needs to be computed (and have its dependencies observed) now, so that its
+  //   observers are notified when one of its dependencies changes
+  if(cmvc.kvo.isComputed(srcObj, srcProperty)) {
+    cmvc.kvo.get(srcObj, srcProperty);
+  }
+  
+  return record;
+};
+
+
+/**
+ * Returns true if property is a key path, i.e. a dotted sequence of property names like "account.owner.name".
+ */
+cmvc.kvo.isPath = function(property) {
+  return goog.isString(property) && property.indexOf('.') >= 0;
+};
+
+
+/**
+ * Returns the value found by following the key path, starting at obj.
+ * Returns undefined if any object along the path is missing.
+ *
+ * Usage:
+ *   cmvc.kvo.getPath(app, "currentUser.name")    // same as app.currentUser.name
+ */
+cmvc.kvo.getPath = function(obj, path) {
+  var segments = String(path).split('.');
+  for(var i = 0; i < segments.length; i++) {
+    if(!goog.isDefAndNotNull(obj)) {
+      return undefined;
+    }
+    obj = cmvc.kvo.get(obj, segments[i]);
+  }
+  return obj;
+};
+
+
+/**
+ * Splits a key path into the object that holds the last property in the path and the name of that property.
+ *
+ * Returns a pair: [object, property]. The object is undefined if any object along the path is missing.
+ *
+ * Usage:
+ *   cmvc.kvo.resolvePath(app, "currentUser.name")    // [app.currentUser, "name"]
+ */
+cmvc.kvo.resolvePath = function(obj, path) {
+  var i = String(path).lastIndexOf('.');
+  if(i < 0) {
+    return [obj, path];
+  }
+  obj = cmvc.kvo.getPath(obj, path.substring(0, i));
+  return [goog.isObject(obj) ? obj : undefined, path.substring(i + 1)];
+};
+
+
+/**
+ * Observes a key path (e.g. "account.owner.name"), starting at srcObj.
+ *
+ * An observer is attached to every object along the path. When one of the intermediate objects is replaced
+ * (e.g. srcObj.account.owner is set to another object), the observers further along the path are re-attached to the
+ * new objects, and the callback is fired as if the leaf had been set:
+ *   callbackFn('set', leafValue, change)
+ * The callback is only fired in that case if the resolved leaf value differs from the previous one.
+ * Changes made to the leaf property itself are passed along to the callback unchanged.
+ *
+ * Returns a key that can be passed to cmvc.kvo.unobserveByKey() to remove all of the observers along the path.
+ *
+ * Usage:
+ *   cmvc.kvo.observePath(app, "currentUser.name", function(fnName, [index,] value1, ..., valueN, change){ })
+ */
+cmvc.kvo.observePath = function(srcObj, path, callbackFn, opt_owner) {
+  var segments = path.split('.'),
+      leafValue = cmvc.kvo.getPath(srcObj, path),
+      record = cmvc.kvo.addObserver_(srcObj, path, callbackFn, opt_owner);
+  
+  // record.links[i] holds the key of the observer attached to the i-th property in the path
+  record.kind = 'path';
+  record.links = [];
+  
+  // (re-)attach the observers to the objects along the path, starting with the start-th property in the path
+  var attachLinks = function(start) {
+    var obj = start == 0 ? srcObj : cmvc.kvo.getPath(srcObj, segments.slice(0, start).join('.'));
+    
+    goog.array.forEach(record.links.splice(start, record.links.length - start), function(key, i, a) {
+      cmvc.kvo.unobserveByKey(key);
+    });
+    
+    for(var i = start; i < segments.length && goog.isObject(obj); i++) {
+      var link = cmvc.kvo.addObserver_(obj, segments[i], goog.partial(handleChange, i), opt_owner);
+      link.kind = 'link';
+      record.links.push(link.key);
+      obj = cmvc.kvo.get(obj, segments[i]);
+    }
+  };
+  
+  var handleChange = function(i, modifierFnName /*, rest of the arguments, change */) {
+    var args = Array.prototype.slice.call(arguments, 1),
+        oldValue = leafValue;
+    
+    leafValue = cmvc.kvo.getPath(srcObj, path);
+    
+    if(i == segments.length - 1) {
+      // the leaf property changed
+      callbackFn.apply(srcObj, args);
+    } else {
+      // an intermediate object changed, so the rest of the path needs to be observed on the new objects
+      attachLinks(i + 1);
+      if(leafValue !== oldValue) {
+        callbackFn.call(srcObj, 'set', leafValue, 
+                        cmvc.kvo.createChange_(srcObj, path, 'set', undefined, [oldValue], [leafValue]));
+      }
+    }
+  };
+  
+  attachLinks(0);
+  
+  return record.key;
+};
+
+
+/**
+ * Registers willChange and/or didChange hooks on srcObj.srcProperty (srcProperty must be a single property name,
+ * not a key path). Unlike the callbacks registered with cmvc.kvo.observeProperty, the hooks are given both the
+ * previous and the new value of the property:
+ *   willChange(oldValue, newValue, change) - called right before the change is made, even during a batch of changes
+ *                                            (see cmvc.kvo.beginPropertyChanges)
+ *   didChange(oldValue, newValue, change) - called after the change is made, along with the other property observers
+ * For array mutations, oldValue is a copy of the array as it was before the change. willChange is not called for
+ * computed properties, since their new value is only known after the change.
+ *
+ * Returns a key that can be passed to cmvc.kvo.unobserveByKey() to remove the hooks.
+ *
+ * Usage:
+ *   cmvc.kvo.observeChanges(obj, "propertyA", {
+ *     willChange: function(oldValue, newValue, change) { },
+ *     didChange: function(oldValue, newValue, change) { }
+ *   });
+ */
+cmvc.kvo.observeChanges = function(srcObj, srcProperty, hooks, opt_owner) {
+  var didChange = hooks.didChange,
+      record = cmvc.kvo.addObserver_(srcObj, srcProperty, function(/* modifierFnName, rest of the arguments, change */) {
+        var change = arguments[arguments.length - 1];
+        if(didChange) {
+          didChange.call(this, change.oldValue, change.newValue, change);
+        }
+      }, opt_owner);
+  
+  record.kind = 'changes';
+  record.willChange = hooks.willChange;
+  
+  return record.key;
+};
+
+
+/**
+ * Removes the single property observer identified by key (as returned by cmvc.kvo.observeProperty or cmvc.kvo.bind).
+ *
+ * Returns true if an observer was removed, false otherwise.
+ */
+cmvc.kvo.unobserveByKey = function(key) {
+  var record = cmvc.kvo.observers_[key],
+      uid,
+      properties;
+  
+  if(!record) {
+    return false;
+  }
+  
+  delete cmvc.kvo.observers_[key];
+  
+  // a key path observer also has an observer attached to each object along the path, and a two-way binding also has
+  //   a reverse binding; those go away along with the record
+  goog.array.forEach((record.links || []).concat(record.dependents || []), function(dependentKey, i, a) {
+    cmvc.kvo.unobserveByKey(dependentKey);
+  });
+  
+  // remove the record from the observer tree, and prune the branches that become empty
+  uid = cmvc.kvo.getUid(record.src);
+  properties = cmvc.kvo.observerTree_[uid];
+  if(properties && properties[record.property]) {
+    goog.array.remove(properties[record.property], record);
+    if(properties[record.property].length == 0) {
+      delete properties[record.property];
+      if(goog.object.isEmpty(properties)) {
+        delete cmvc.kvo.observerTree_[uid];
+      }
+    }
+  }
+  
+  // remove the references to the record held on behalf of its owners
+  goog.array.forEach(record.owners, function(ownerUid, i, a) {
+    var keys = cmvc.kvo.ownerTree_[ownerUid];
+    if(keys) {
+      goog.array.remove(keys, key);
+      if(keys.length == 0) {
+        delete cmvc.kvo.ownerTree_[ownerUid];
+      }
+    }
+  });
+  
+  return true;
+};
+
+
+/**
+ * Removes either:
+ *   1. All property observers bound to any property of srcObj, all property observers owned by srcObj
+ *      (e.g. the observers that propagate values from other objects into srcObj via cmvc.kvo.bind),
+ *      as well as all references to srcObj
+ *   OR
+ *   2. The set of property observers bound to srcObj.srcProperty, as well as all references to the property.
+ *
+ * In the first case, the cached values of the computed properties of srcObj are discarded as well.
+ */
+cmvc.kvo.removeObservers = function(srcObj, srcProperty) {
+  var uid = cmvc.kvo.getUid(srcObj),
+      properties = cmvc.kvo.observerTree_[uid],
+      keys = [];
+  
+  if(arguments.length == 1) {
+    goog.object.forEach(properties || {}, function(records, property, o) {
+      goog.array.forEach(records, function(record, i, a) {
+        keys.push(record.key);
+      });
+    });
+    keys = keys.concat(cmvc.kvo.ownerTree_[uid] || []);
+    delete cmvc.kvo.computedCache_[uid];
+  } else if(arguments.length == 2) {
+    if(properties && properties[srcProperty]) {
+      goog.array.forEach(properties[srcProperty], function(record, i, a) {
+        keys.push(record.key);
+      });
+    }
+  }
+  
+  goog.array.forEach(keys, function(key, i, a) {
+    cmvc.kvo.unobserveByKey(key);
+  });
+};
+
+
+/**
+ * A computed property is declared by assigning the value returned by cmvc.kvo.computed to a member of a prototype.
+ * @constructor
+ * @param {Function} fn computes the value of the property; it is called with "this" referencing the object
+ * @param {String|Array.<String>} dependentKeys the properties (or key paths) the value is computed from, given as an
+ *                                             array or as a space separated string
+ */
+cmvc.kvo.ComputedProperty = cmvc.extend(Object, {
+  constructor: function(fn, dependentKeys) {
+    this.fn = fn;
+    this.dependentKeys = goog.isArray(dependentKeys) ? dependentKeys : cmvc.string.words(dependentKeys || "");
+  }
+});
+
+
+/**
+ * Declares a computed property. The value of the property is computed by fn when it is first read, and cached until
+ * one of the dependent keys is changed through cmvc.kvo. When that happens, the value is recomputed and, if it
+ * changed, the property observers (and handlePropertySet) are notified with a 'set' of the new value, so computed
+ * properties can be observed, used as binding sources and used as template values.
+ *
+ * cmvc.extend (and cmvc.kvo.observable) replace a computed property with a getter (see
+ * cmvc.kvo.defineComputedProperties), so the value can be read with a plain property access as well as with
+ * cmvc.kvo.get. Computed properties are read-only; setting one, with cmvc.kvo.set or with an assignment, throws an
+ * Error.
+ *
+ * Usage:
+ *   myapp.Person = cmvc.extend(Object, {
+ *     firstName: "",
+ *     lastName: "",
+ *     fullName: cmvc.kvo.computed(function() { return this.firstName + " " + this.lastName; }, "firstName lastName")
+ *   });
+ *   person.fullName;
+ *   cmvc.kvo.get(person, "fullName");
+ */
+cmvc.kvo.computed = function(fn, dependentKeys) {
+  return new cmvc.kvo.ComputedProperty(fn, dependentKeys);
+};
+
+
+/**
+ * Replaces each computed property held by an own property of obj with a property accessor, whose getter returns the
+ * value of the computed property (as cmvc.kvo.get does) and whose setter throws an Error. Read on a prototype, the
+ * getter returns the cmvc.kvo.ComputedProperty itself. cmvc.extend calls this for the prototype of every class.
+ *
+ * Returns obj.
+ *
+ * Usage:
+ *   var rect = cmvc.kvo.defineComputedProperties({
+ *     width: 2,
+ *     height: 3,
+ *     area: cmvc.kvo.computed(function() { return this.width * this.height; }, "width height")
+ *   });
+ *   rect.area;    // 6
+ */
+cmvc.kvo.defineComputedProperties = function(obj) {
+  goog.array.forEach(goog.object.getKeys(obj), function(property, i, a) {
+    var descriptor = Object.getOwnPropertyDescriptor(obj, property),
+        computedProperty = descriptor && descriptor.value,
+        getter;
+    
+    if(!(computedProperty instanceof cmvc.kvo.ComputedProperty)) {
+      return;
+    }
+    
+    getter = function() {
+      return cmvc.kvo.isPrototype_(this) ? computedProperty : cmvc.kvo.get(this, property);
+    };
+    getter.computedProperty = computedProperty;
+    
+    Object.defineProperty(obj, property, {
+      get: getter,
+      set: function(value) {
+        cmvc.kvo.set(this, property, value);
+      },
+      enumerable: true,
+      configurable: true
+    });
+  });
+  
+  return obj;
+};
+
+
+/**
+ * Returns the cmvc.kvo.ComputedProperty that declares obj.property, or null if obj.property isn't a computed property.
+ * The computed property is either held by the property or by its getter (see cmvc.kvo.defineComputedProperties).
+ * @private
+ */
+cmvc.kvo.getComputedProperty_ = function(obj, property) {
+  var descriptor;
+  
+  for(; obj; obj = Object.getPrototypeOf(obj)) {
+    descriptor = Object.getOwnPropertyDescriptor(obj, property);
+    if(descriptor) {
+      if(descriptor.get) {
+        return descriptor.get.computedProperty || null;
+      }
+      return descriptor.value instanceof cmvc.kvo.ComputedProperty ? descriptor.value : null;
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Returns true if obj.property is a computed property.
+ */
+cmvc.kvo.isComputed = function(obj, property) {
+  return goog.isObject(obj) && !!cmvc.kvo.getComputedProperty_(obj, property);
+};
+
+
+/**
+ * Returns the value of obj.property. The value of a computed property is computed (or taken from the cache).
+ * property may also be a key path (see cmvc.kvo.getPath).
+ *
+ * Usage:
+ *   cmvc.kvo.get(person, "fullName")
+ *   cmvc.kvo.get(app, "currentUser.fullName")
+ */
+cmvc.kvo.get = function(obj, property) {
+  var entry;
+  
+  if(cmvc.kvo.isPath(property)) {
+    return cmvc.kvo.getPath(obj, property);
+  }
+  if(!goog.isDefAndNotNull(obj)) {
+    return undefined;
+  }
+  if(cmvc.kvo.isComputed(obj, property)) {
+    entry = cmvc.kvo.getComputedCacheEntry_(obj, property);
+    if(!entry.valid) {
+      entry.value = cmvc.kvo.getComputedProperty_(obj, property).fn.call(obj);
+      if(!entry.computed) {
+        entry.reported = entry.value;
+        entry.computed = true;
+      }
+      entry.valid = true;
+    }
+    return entry.value;
+  }
+  return obj[property];
+};
+
+
+/**
+ * Returns the cache entry of the computed property obj.property. The first time the entry is requested, it is
+ * created, and the dependent keys of the computed property are observed.
+ * @private
+ */
+cmvc.kvo.getComputedCacheEntry_ = function(obj, property) {
+  var uid = cmvc.kvo.getUid(obj),
+      entries = cmvc.kvo.computedCache_[uid] || (cmvc.kvo.computedCache_[uid] = {}),
+      entry = entries[property];
+  
+  if(!entry) {
+    entry = entries[property] = { value: undefined, valid: false, reported: undefined, computed: false };
+    goog.array.forEach(cmvc.kvo.getComputedProperty_(obj, property).dependentKeys, function(dependentKey, i, a) {
+      var key = cmvc.kvo.observeProperty(obj, dependentKey, goog.partial(cmvc.kvo.handleDependencyChange_, obj, property));
+      cmvc.kvo.observers_[key].kind = 'computed';
+    });
+  }
+  
+  return entry;
+};
+
+
+/**
+ * Invalidates the cached values of the computed properties of obj that depend on obj.property. The observers of the
+ * computed properties are not notified. Dependencies on key paths aren't taken into account.
+ * @private
+ */
+cmvc.kvo.invalidateDependents_ = function(obj, property) {
+  goog.object.forEach(cmvc.kvo.computedCache_[cmvc.kvo.getUid(obj)] || {}, function(entry, computedProperty, o) {
+    if(goog.array.contains(cmvc.kvo.getComputedProperty_(obj, computedProperty).dependentKeys, property)) {
+      entry.valid = false;
+    }
+  });
+};
+
+
+/**
+ * Invalidates the cached value of the computed property obj.property after one of its dependent keys has changed,
+ * then recomputes it and notifies the observers of the computed property if the value changed.
+ * @private
+ */
+cmvc.kvo.handleDependencyChange_ = function(obj, property) {
+  var entry = cmvc.kvo.getComputedCacheEntry_(obj, property),
+      oldValue = entry.reported,
+      value;
+  
+  entry.valid = false;
+  value = cmvc.kvo.get(obj, property);
+  
+  if(value !== oldValue) {
+    entry.reported = value;
+    cmvc.kvo.notify_(obj, property, 'set', [value], 
+                     cmvc.kvo.createChange_(obj, property, 'set', undefined, [oldValue], [value]));
+  }
+};
+
+
+/**
+ * Changes made to the source property are propagated to the target property.
+ *
+ * Either property may be a key path (e.g. "currentUser.name"). A source key path is observed with
+ * cmvc.kvo.observePath; a target key path is resolved each time a change is propagated.
+ *
+ * The optional options object may hold:
+ *   transform - Function(value) -> value; converts the source value before it is written to the target property
+ *               (see cmvc.kvo.transforms for built-in transforms)
+ *   validate - Function(value) -> Boolean; called with the (transformed) value before it is written to the target
+ *              property; returning false rejects the value, and the target property is left unchanged
+ *              (array mutations that are replayed on the target property are not validated)
+ * When there is a transform, array mutations are not replayed on the target property; instead, the target property
+ * is set to the transformed value of the whole source property.
+ *
+ * A 'set' that would not change the value of the target property is dropped.
+ *
+ * The binding is owned by both objects, so calling cmvc.kvo.removeObservers() on either one of them removes it.
+ *
+ * Returns a key that can be passed to cmvc.kvo.unobserveByKey() to remove the binding.
+ *
+ * Usage:
+ *   cmvc.kvo.bind(objA, "propertyA", objB, "propertyB");
+ *   cmvc.kvo.bind(account, "balance", label, "text", { transform: cmvc.kvo.transforms.fixed(2) });
+ */
+cmvc.kvo.bind = function(srcObj, srcProperty, targetObj, targetProperty, opt_options) {
+  var options = opt_options || {};
+  return cmvc.kvo.bind_(srcObj, srcProperty, targetObj, targetProperty, { active: false }, 
+                        options.transform, options.validate);
+};
+
+
+/**
+ * Changes made to either property are propagated to the other property.
+ *
+ * A change is never echoed back to the property it came from: while one direction of the binding is propagating
+ * a change, the other direction ignores the change it causes. A 'set' that would not change the value of the
+ * other property is dropped, as with cmvc.kvo.bind.
+ *
+ * The optional options object may hold the same transform and validate functions as the options of cmvc.kvo.bind,
+ * which apply to changes propagated from objA to objB, and:
+ *   reverseTransform - Function(value) -> value; converts the values propagated from objB to objA
+ *   reverseValidate - Function(value) -> Boolean; rejects the values propagated from objB to objA
+ *
+ * Returns a key that can be passed to cmvc.kvo.unobserveByKey() to remove both directions of the binding.
+ *
+ * Usage:
+ *   cmvc.kvo.bindTwoWay(objA, "propertyA", objB, "propertyB");
+ *   cmvc.kvo.bindTwoWay(account, "balance", input, "value", {
+ *     transform: cmvc.kvo.transforms.fixed(2),
+ *     reverseTransform: cmvc.kvo.transforms.number,
+ *     reverseValidate: function(value) { return !isNaN(value); }
+ *   });
+ */
+cmvc.kvo.bindTwoWay = function(objA, propertyA, objB, propertyB, opt_options) {
+  var options = opt_options || {},
+      guard = { active: false },
+      key = cmvc.kvo.bind_(objA, propertyA, objB, propertyB, guard, options.transform, options.validate);
+  
+  // the reverse binding is removed along with the forward binding
+  cmvc.kvo.observers_[key].dependents = [
+    cmvc.kvo.bind_(objB, propertyB, objA, propertyA, guard, options.reverseTransform, options.reverseValidate)
+  ];
+  
+  cmvc.kvo.observers_[key].binding.twoWay = true;
+  cmvc.kvo.observers_[cmvc.kvo.observers_[key].dependents[0]].binding.twoWay = true;
+  
+  return key;
+};
+
+
+/**
+ * Implements cmvc.kvo.bind and cmvc.kvo.bindTwoWay.
+ *
+ * guard is shared by all of the bindings that must not propagate changes caused by each other; while one of them is
+ * propagating a change, guard.active is true and the others do nothing.
+ * @private
+ */
+cmvc.kvo.bind_ = function(srcObj, srcProperty, targetObj, targetProperty, guard, opt_transform, opt_validate) {
+  var key = cmvc.kvo.observeProperty(srcObj, srcProperty, function(modifierFnName /*, rest of the arguments, change */) {
+    // convert the arguments into an array since it is only array-like
+    var args = Array.prototype.slice.call(arguments);
+    
+    // shift the modifierFnName argument off of the front of the args array, and pop the change record off of the back
+    args.shift();
+    var change = args.pop();
+    
+    // ignore the changes that this binding (or its reverse binding) is making, or has made during a batch of changes
+    if(guard.active || change.guard_ === guard) {
+      return;
+    }
+    
+    // resolve the object that holds the target property, in case targetProperty is a key path
+    var target = cmvc.kvo.resolvePath(targetObj, targetProperty),
+        targetOwner = target[0],
+        targetKey = target[1];
+    
+    if(!targetOwner) {
+      return;
+    }
+    
+    // a transformed binding always propagates a 'set' of the whole (transformed) value
+    if(opt_transform) {
+      args = [opt_transform(modifierFnName == 'set' && args.length == 1 ? args[0] : cmvc.kvo.getPath(srcObj, srcProperty))];
+      modifierFnName = 'set';
+    }
+    
+    // give the validation hook a chance to reject the value
+    if(opt_validate && modifierFnName == 'set' && !opt_validate(args[args.length - 1])) {
+      cmvc.kvo.trace_('reject', cmvc.kvo.observers_[key], modifierFnName, args);
+      return;
+    }
+    
+    // drop the updates that wouldn't change the value of the target property
+    if(modifierFnName == 'set') {
+      if(args.length == 1 ? targetOwner[targetKey] === args[0] :
+                            goog.isObject(targetOwner[targetKey]) && targetOwner[targetKey][args[0]] === args[1]) {
+        return;
+      }
+    }
+    
+    cmvc.kvo.trace_('propagate', cmvc.kvo.observers_[key], modifierFnName, args);
+    
+    var previousGuard = cmvc.kvo.activeGuard_;
+    guard.active = true;
+    cmvc.kvo.activeGuard_ = guard;
+    cmvc.kvo.propagationDepth_++;
+    try {
+      // If the source and target properties reference the very same array, the array mutation has already been applied
+      //   to the target property, so applying the modifier again would apply it twice. Only notify the target's observers.
+      if(modifierFnName != 'set' && targetOwner[targetKey] === cmvc.kvo.getPath(srcObj, srcProperty)) {
+        change = goog.object.clone(change);
+        change.object = targetOwner;
+        change.property = targetKey;
+        cmvc.kvo.notify_(targetOwner, targetKey, modifierFnName, args, change);
+        return;
+      }
+      
+      // prepend the targetOwner and targetKey to the args array so that the args array holds:
+      //   [targetOwner, targetKey, rest of the arguments]
+      args.unshift(targetKey);
+      args.unshift(targetOwner);
+      
+      // the following line translates into (for example): cmvc.kvo.set(targetOwner, targetKey, [index,] value1, ..., valueN)
+      cmvc.kvo[modifierFnName].apply(targetOwner, args);
+    } finally {
+      guard.active = false;
+      cmvc.kvo.activeGuard_ = previousGuard;
+      cmvc.kvo.propagationDepth_--;
+    }
+  }, targetObj);
+  
+  cmvc.kvo.observers_[key].kind = 'binding';
+  cmvc.kvo.observers_[key].binding = {
+    source: srcObj,
+    sourceProperty: srcProperty,
+    target: targetObj,
+    targetProperty: targetProperty,
+    twoWay: false,
+    transformed: !!opt_transform
+  };
+  
+  return key;
+};
+
+
+/**
+ * Usage:
+ *   cmvc.kvo.firePropertyObservers(srcObj, srcProperty, modifierFnName, [index,] value1, value2, ..., valueN, change)
+ */
+cmvc.kvo.firePropertyObservers = function(/* srcObj, srcProperty, modifierFnName, [index,] value1, value2, ..., valueN, change */) {
+  var args = Array.prototype.slice.call(arguments);
+  var srcObj = args.shift();        // shift off the first argument (srcObj)
+  var srcProperty = args.shift();   // shift off the second argument (srcProperty)
+  var properties = cmvc.kvo.observerTree_[cmvc.kvo.getUid(srcObj)];
+  
+  // The remaining args should be passed to each property observer callback function.
+  
+  // Iterate over and call each property observer callback, passing along any arguments passed to firePropertyObservers
+  // A copy of the observer list is iterated over, since an observer may add or remove observers while it runs;
+  //   observers that are removed before their turn comes are skipped.
+  if(properties && properties[srcProperty]) {
+    goog.array.forEach(goog.array.clone(properties[srcProperty]), function(record, i, a) {
+      if(cmvc.kvo.observers_[record.key] === record) {
+        record.fn.apply(this, args);
+      }
+    }, srcObj);
+  }
+};
+
+
+/**
+ * Builds the change record that is passed as the last argument to every property observer callback.
+ *
+ * A change record has the form:
+ *   { type: String, object: Object, property: String, index: Number|String|undefined, removed: Array, added: Array }
+ * where:
+ *   type - the name of the modifier function that made the change ('set', 'insertAt', 'removeAt', 'push', 'pop',
+ *          'splice', 'replace' or 'move')
+ *   index - the index at which items were removed and added; undefined when a whole property was set
+ *   removed - the items that were removed; for a 'set' this is the previous value
+ *   added - the items that were added; for a 'set' this is the new value
+ * A 'move' change record also has a fromIndex field; index is then the index that the item was moved to.
+ *
+ * Before the change is delivered to the property observers, the record is given two more fields:
+ *   oldValue - the value of the whole property before the change (a copy of it, in case of a collection that was
+ *              changed in place)
+ *   newValue - the value of the whole property after the change
+ * @private
+ */
+cmvc.kvo.createChange_ = function(srcObj, srcProperty, type, index, removed, added) {
+  return {
+    type: type,
+    object: srcObj,
+    property: srcProperty,
+    index: index,
+    removed: removed,
+    added: added
+  };
+};
+
+
+/**
+ * Calls the willChange hooks (see cmvc.kvo.observeChanges) of srcObj.srcProperty, right before the change described
+ * by the change record is made. The oldValue and newValue fields of the change record are filled in.
+ * @private
+ */
+cmvc.kvo.willChange_ = function(srcObj, srcProperty, change) {
+  var properties = cmvc.kvo.observerTree_[cmvc.kvo.getUid(srcObj)],
+      records = goog.array.filter((properties && properties[srcProperty]) || [], function(record, i, a) {
+        return goog.isFunction(record.willChange);
+      });
+  
+  cmvc.kvo.startDeferredBatch_();
+  
+  if(records.length == 0) {
+    return;
+  }
+  
+  change.oldValue = cmvc.kvo.currentValue_(change);
+  change.newValue = cmvc.kvo.nextValue_(change);
+  
+  goog.array.forEach(records, function(record, i, a) {
+    if(cmvc.kvo.observers_[record.key] === record) {
+      record.willChange.call(srcObj, change.oldValue, change.newValue, change);
+    }
+  });
+};
+
+
+/**
+ * Returns the current value of change.object[change.property], before the change is made. Collections that the
+ * change modifies in place are copied.
+ * @private
+ */
+cmvc.kvo.currentValue_ = function(change) {
+  var value = change.object[change.property];
+  
+  if(change.type == 'set' && change.index === undefined) {
+    return value;
+  }
+  return goog.isArray(value) ? goog.array.clone(value) : goog.object.clone(value);
+};
+
+
+/**
+ * Returns the value that change.object[change.property] will have after the change is made.
+ * @private
+ */
+cmvc.kvo.nextValue_ = function(change) {
+  var next = cmvc.kvo.currentValue_(change);
+  
+  if(change.type == 'set' && change.index === undefined) {
+    next = change.added[0];
+  } else if(change.type == 'set') {
+    next[change.index] = change.added[0];
+  } else if(change.type == 'move') {
+    next.splice(change.fromIndex, 1);
+    next.splice(change.index, 0, change.added[0]);
+  } else {
+    next.splice.apply(next, [change.index, change.removed.length].concat(change.added));
+  }
+  
+  return next;
+};
+
+
+/**
+ * The number of cmvc.kvo.beginPropertyChanges() calls that haven't been matched by a call to
+ * cmvc.kvo.endPropertyChanges() yet. Notifications are queued while this is greater than zero.
+ * @private
+ */
+cmvc.kvo.batchDepth_ = 0;
+
+
+/**
+ * The queued notifications, in the order of the first change made to each property during the batch. Each entry
+ * has the form:
+ *   { obj: Object, property: String, modifierFnName: String, modifierArgs: Array, change: Object,
+ *     oldValue: *, coalesced: Boolean }
+ * @private
+ */
+cmvc.kvo.pendingChanges_ = [];
+
+
+/**
+ * pendingChangeMap_[cmvc.kvo.getUid(obj) + "|" + property] = the entry in pendingChanges_ for obj.property
+ * @private
+ */
+cmvc.kvo.pendingChangeMap_ = {};
+
+
+/**
+ * The number of bindings that are currently propagating a change; i.e. how deep the current propagation chain is.
+ * @private
+ */
+cmvc.kvo.propagationDepth_ = 0;
+
+
+/**
+ * When set, this function is called with a trace event for every change made through cmvc.kvo and for every
+ * change propagated (or rejected) by a binding (see cmvc.kvo.debug.setTraceEnabled).
+ * @private
+ */
+cmvc.kvo.tracer_ = null;
+
+
+/**
+ * Whether changes made outside of an explicit batch are batched until the current run loop ends
+ * (see cmvc.kvo.setDeferred).
+ * @private
+ */
+cmvc.kvo.deferred_ = false;
+
+
+/**
+ * The guard (see cmvc.kvo.bind_) of the binding that is currently propagating a change, if any.
+ * @private
+ */
+cmvc.kvo.activeGuard_ = null;
+
+
+/**
+ * The functions to call once the current batch of property changes has ended (see cmvc.kvo.afterPropertyChanges).
+ * Each entry has the form { fn: Function, context: Object }.
+ * @private
+ */
+cmvc.kvo.batchEndCallbacks_ = [];
+
+
+/**
+ * Starts a batch of property changes. Until the matching call to cmvc.kvo.endPropertyChanges(), property values are
+ * still assigned right away, but the handlePropertySet/handleArrayChange/handlePropertyChanges "event handlers" and
+ * the property observers are not notified.
+ *
+ * Batches may be nested; the notifications are delivered when the outermost batch ends.
+ *
+ * Usage:
+ *   cmvc.kvo.beginPropertyChanges();
+ *   cmvc.kvo.set(person, "firstName", "Jane");
+ *   cmvc.kvo.set(person, "lastName", "Doe");
+ *   cmvc.kvo.set(person, "firstName", "Janet");
+ *   cmvc.kvo.endPropertyChanges();   // person.firstName observers are notified once, then person.lastName observers
+ */
+cmvc.kvo.beginPropertyChanges = function() {
+  cmvc.kvo.batchDepth_++;
+};
+
+
+/**
+ * Ends a batch of property changes started by cmvc.kvo.beginPropertyChanges(). When the outermost batch ends, the
+ * queued notifications are delivered:
+ *   - Repeated changes to the same property are collapsed into a single notification: a 'set' of the final value,
+ *     whose change record carries the value the property had before the batch and the final value. A collapsed
+ *     change that ends with the value the property started with is dropped.
+ *   - Properties are notified in the order in which they were first changed during the batch.
+ *   - Changes made while the notifications are being delivered (e.g. by bindings) are batched in turn, and are
+ *     delivered once the current notifications have all been delivered.
+ */
+cmvc.kvo.endPropertyChanges = function() {
+  var callbacks;
+  
+  if(cmvc.kvo.batchDepth_ > 0 && --cmvc.kvo.batchDepth_ == 0) {
+    cmvc.kvo.flushPropertyChanges_();
+    
+    callbacks = cmvc.kvo.batchEndCallbacks_;
+    cmvc.kvo.batchEndCallbacks_ = [];
+    goog.array.forEach(callbacks, function(callback, i, a) {
+      callback.fn.call(callback.context);
+    });
+  }
+};
 
 
 /**
- * observerTree[objectReference][property] = Array.<Function>
+ * Returns true while a batch of property changes is in progress (see cmvc.kvo.beginPropertyChanges), including
+ * while the notifications of a batch are being delivered.
  */
-cmvc.kvo.observerTree_ = {};
+cmvc.kvo.isBatching = function() {
+  return cmvc.kvo.batchDepth_ > 0;
+};
 
 
 /**
- * All property observer callback functions (read: the callbackFn parameter) must have a function signature of:
- *   function(fnName, [index,] value1, value2, ..., valueN)
+ * Calls fn once the current batch of property changes has ended and its notifications have all been delivered, or
+ * right away if no batch is in progress.
  *
  * Usage:
- *   cmvc.kvo.observeProperty(obj, "propertyA", function(fnName, [index,] value1, ..., valueN){ })
+ *   cmvc.kvo.afterPropertyChanges(function() { this.save(); }, account);
+ */
+cmvc.kvo.afterPropertyChanges = function(fn, opt_context) {
+  if(cmvc.kvo.batchDepth_ == 0) {
+    fn.call(opt_context);
+  } else {
+    cmvc.kvo.batchEndCallbacks_.push({ fn: fn, context: opt_context });
+  }
+};
+
+
+/**
+ * Enables or disables the deferred run loop. While it is enabled, a change made outside of an explicit batch
+ * starts a batch that is ended automatically once the current JavaScript execution context finishes (on a
+ * zero-delay timer). So all the changes made while handling a single event are delivered as one batch.
+ */
+cmvc.kvo.setDeferred = function(enable) {
+  cmvc.kvo.deferred_ = !!enable;
+};
+
+
+/**
+ * Starts the batch of the deferred run loop (see cmvc.kvo.setDeferred) if it is enabled and no batch is in progress.
+ * Called before a change is made, so the willChange hooks already see the change as part of the batch.
+ * @private
+ */
+cmvc.kvo.startDeferredBatch_ = function() {
+  if(cmvc.kvo.batchDepth_ == 0 && cmvc.kvo.deferred_) {
+    cmvc.kvo.beginPropertyChanges();
+    goog.Timer.callOnce(cmvc.kvo.endPropertyChanges, 0);
+  }
+};
+
+
+/**
+ * Passes a binding trace event ('propagate' or 'reject') to the tracer, if there is one.
+ * @private
+ */
+cmvc.kvo.trace_ = function(type, record, modifierFnName, args) {
+  if(cmvc.kvo.tracer_) {
+    cmvc.kvo.tracer_({
+      type: type,
+      binding: record.binding,
+      modifierFnName: modifierFnName,
+      args: args,
+      depth: cmvc.kvo.propagationDepth_
+    });
+  }
+};
+
+
+/**
+ * Notifies srcObj and the property observers of srcObj.srcProperty of a change, or queues the notification if a
+ * batch of property changes is in progress.
+ * @private
  */
-cmvc.kvo.observeProperty = function(srcObj, srcProperty, callbackFn) {
-  if(!goog.isObject(cmvc.kvo.observerTree_[srcObj])) {
-    cmvc.kvo.observerTree_[srcObj] = {};
+cmvc.kvo.notify_ = function(srcObj, srcProperty, modifierFnName, modifierArgs, change) {
+  var mapKey, entry;
+  
+  // remember which binding made the change, so the change isn't echoed back by its reverse binding
+  if(cmvc.kvo.activeGuard_) {
+    change.guard_ = cmvc.kvo.activeGuard_;
+  }
+  
+  // the old value may already be known, if there were willChange hooks to call
+  if(!("oldValue" in change)) {
+    change.oldValue = cmvc.kvo.previousValue_(change);
+  }
+  change.newValue = cmvc.kvo.get(srcObj, srcProperty);
+  
+  cmvc.kvo.startDeferredBatch_();
+  
+  if(cmvc.kvo.tracer_) {
+    cmvc.kvo.tracer_({ type: 'change', change: change, depth: cmvc.kvo.propagationDepth_, queued: cmvc.kvo.batchDepth_ > 0 });
+  }
+  
+  if(cmvc.kvo.batchDepth_ == 0) {
+    cmvc.kvo.deliver_([{ obj: srcObj, property: srcProperty, modifierFnName: modifierFnName, 
+                         modifierArgs: modifierArgs, change: change }]);
+    return;
   }
-  if(goog.isArray(cmvc.kvo.observerTree_[srcObj][srcProperty])) {
-    cmvc.kvo.observerTree_[srcObj][srcProperty].push(callbackFn);
+  
+  // The computed properties that depend on srcProperty would only be invalidated once the batch ends, so they are
+  //   invalidated right away; otherwise they would return stale values during the batch.
+  cmvc.kvo.invalidateDependents_(srcObj, srcProperty);
+  
+  mapKey = cmvc.kvo.getUid(srcObj) + "|" + srcProperty;
+  entry = cmvc.kvo.pendingChangeMap_[mapKey];
+  if(entry) {
+    // collapse the change into the change that is already queued for the property
+    entry.coalesced = true;
+    if(entry.change.guard_ !== change.guard_) {
+      entry.change.guard_ = undefined;
+    }
   } else {
-    cmvc.kvo.observerTree_[srcObj][srcProperty] = [callbackFn];
+    entry = {
+      obj: srcObj,
+      property: srcProperty,
+      modifierFnName: modifierFnName,
+      modifierArgs: modifierArgs,
+      change: change,
+      oldValue: change.oldValue,
+      coalesced: false
+    };
+    cmvc.kvo.pendingChangeMap_[mapKey] = entry;
+    cmvc.kvo.pendingChanges_.push(entry);
   }
 };
 
 
 /**
- * Removes either:
- *   1. All property observers bound to any property of srcObj, as well as all references to srcObj
- *   OR
- *   2. The set of property observers bound to srcObj.srcProperty, as well as all references to the property.
+ * Delivers the queued notifications. The notifications are delivered in rounds: the changes made while one round
+ * is delivered are queued and then delivered in the next round.
+ * @private
  */
-cmvc.kvo.removeObservers = function(srcObj, srcProperty) {
-  if(arguments.length == 1) {
-    if(cmvc.kvo.observerTree_[srcObj]) {
-      delete cmvc.kvo.observerTree_[srcObj];
+cmvc.kvo.flushPropertyChanges_ = function() {
+  var entries;
+  
+  while(cmvc.kvo.pendingChanges_.length > 0) {
+    entries = cmvc.kvo.pendingChanges_;
+    cmvc.kvo.pendingChanges_ = [];
+    cmvc.kvo.pendingChangeMap_ = {};
+    
+    // turn every collapsed entry into a 'set' of the final value
+    entries = goog.array.filter(entries, function(entry, i, a) {
+      var value, guard;
+      if(entry.coalesced) {
+        value = cmvc.kvo.get(entry.obj, entry.property);
+        if(value === entry.oldValue) {
+          return false;
+        }
+        guard = entry.change.guard_;
+        entry.modifierFnName = 'set';
+        entry.modifierArgs = [value];
+        entry.change = cmvc.kvo.createChange_(entry.obj, entry.property, 'set', undefined, [entry.oldValue], [value]);
+        entry.change.oldValue = entry.oldValue;
+        entry.change.newValue = value;
+        entry.change.guard_ = guard;
+      }
+      return true;
+    });
+    
+    cmvc.kvo.batchDepth_++;
+    try {
+      cmvc.kvo.deliver_(entries);
+    } finally {
+      cmvc.kvo.batchDepth_--;
     }
-  } else if(arguments.length == 2) {
-    if(cmvc.kvo.observerTree_[srcObj] && cmvc.kvo.observerTree_[srcObj][srcProperty]) {
-      delete cmvc.kvo.observerTree_[srcObj][srcProperty];
+  }
+};
+
+
+/**
+ * Returns the value that change.object[change.property] had before the change was made.
+ * @private
+ */
+cmvc.kvo.previousValue_ = function(change) {
+  var value = change.object[change.property],
+      previous;
+  
+  if(change.type == 'set' && change.index === undefined) {
+    return change.removed[0];
+  }
+  
+  if(change.type == 'set') {
+    previous = goog.isArray(value) ? goog.array.clone(value) : goog.object.clone(value);
+    if(!goog.isArray(value) && change.removed[0] === undefined) {
+      delete previous[change.index];
+    } else {
+      previous[change.index] = change.removed[0];
     }
+  } else if(change.type == 'move') {
+    previous = goog.array.clone(value);
+    previous.splice(change.index, 1);
+    previous.splice(change.fromIndex, 0, change.added[0]);
+  } else {
+    previous = goog.array.clone(value);
+    previous.splice.apply(previous, [change.index, change.added.length].concat(change.removed));
   }
+  
+  return previous;
 };
 
 
 /**
- * Changes made to the source property are propagated to the target property.
+ * Delivers a list of notifications: for each notification, fires the "event handlers" of the changed object and
+ * propagates the change to the property observers.
  *
- * Usage:
- *   cmvc.kvo.bind(objA, "propertyA", objB, "propertyB");
+ * The "event handlers" are:
+ *   handlePropertyChanges(changes) - if the object defines it, it is called once with the array of change records
+ *                                    of all of the object's properties that changed, after the property observers
+ *                                    have been notified; the other handlers aren't called in that case
+ *   handleArrayChange(property, change) - called for array mutations, if the object defines it, since that lets
+ *                                         a view update only the affected part of the DOM
+ *   handlePropertySet(property, index, value, oldValue) - called for every other change; when a whole property
+ *                                                         was set, index is the new value as well; array mutations
+ *                                                         are reported as if the whole array had been set
+ * @private
  */
-cmvc.kvo.bind = function(srcObj, srcProperty, targetObj, targetProperty) {
-  cmvc.kvo.observeProperty(srcObj, srcProperty, function(modifierFnName /*, rest of the arguments */) {
-    // convert the arguments into an array since it is only array-like
-    var args = Array.prototype.slice.call(arguments);
-    
-    // shift the modifierFnName argument off of the front of the args array
-    args.shift();
+cmvc.kvo.deliver_ = function(entries) {
+  var batchHandlers = [],
+      batchChanges = {};
+  
+  goog.array.forEach(entries, function(entry, i, a) {
+    var srcObj = entry.obj,
+        srcProperty = entry.property,
+        change = entry.change,
+        uid;
     
-    // prepend the targetObj and targetProperty to the args array so that the args array holds:
-    //   [targetObj, targetProperty, rest of the arguments]
-    args.unshift(targetProperty);
-    args.unshift(targetObj);
+    // fire the "event handlers"
+    if("handlePropertyChanges" in srcObj && goog.isFunction(srcObj.handlePropertyChanges)) {
+      uid = cmvc.kvo.getUid(srcObj);
+      if(!batchChanges[uid]) {
+        batchChanges[uid] = [];
+        batchHandlers.push(srcObj);
+      }
+      batchChanges[uid].push(change);
+    } else if(entry.modifierFnName != 'set' && "handleArrayChange" in srcObj && goog.isFunction(srcObj.handleArrayChange)) {
+      srcObj.handleArrayChange(srcProperty, change);
+    } else if("handlePropertySet" in srcObj && goog.isFunction(srcObj.handlePropertySet)) {
+      if(entry.modifierFnName == 'set' && change.index !== undefined) {
+        srcObj.handlePropertySet(srcProperty, change.index, change.added[0], change.removed[0]);
+      } else {
+        srcObj.handlePropertySet(srcProperty, change.newValue, change.newValue, change.oldValue);
+      }
+    }
     
-    // the following line translates into (for example): cmvc.kvo.set(targetObj, targetProperty, [index,] value1, ..., valueN)
-    cmvc.kvo[modifierFnName].apply(targetObj, args);
+    // propagate the change to other property bindings
+    cmvc.kvo.firePropertyObservers.apply(null, [srcObj, srcProperty, entry.modifierFnName].concat(entry.modifierArgs, [change]));
   });
+  
+  goog.array.forEach(batchHandlers, function(srcObj, i, a) {
+    srcObj.handlePropertyChanges(batchChanges[cmvc.kvo.getUid(srcObj)]);
+  });
+};
+
+
+/**
+ * Returns the object that obj proxies property to, or null. An object proxies some of its properties to another object
+ * (e.g. cmvc.ObjectController proxies them to its content) by defining the method
+ *   getProxyTarget(property) - returns the object that holds the value of property, or null
+ * The proxy reads those properties from the target object itself, and passes the notifications of the target object
+ * along to its own observers (see cmvc.kvo.forwardChange).
+ * @private
+ */
+cmvc.kvo.getProxyTarget_ = function(obj, property) {
+  var target = goog.isObject(obj) && goog.isFunction(obj.getProxyTarget) ? obj.getProxyTarget(property) : null;
+  return target && target !== obj ? target : null;
 };
 
 
 /**
+ * Notifies srcObj and the observers of srcObj.srcProperty of a change that was made to another object, and that
+ * srcObj.srcProperty reflects (e.g. a property that srcObj proxies to the other object; see
+ * cmvc.kvo.getProxyTarget_). observerArgs are the arguments that a property observer of the other object was called
+ * with.
+ *
  * Usage:
- *   cmvc.kvo.firePropertyObservers(srcObj, srcProperty, modifierFnName, [index,] value1, value2, ..., valueN)
+ *   cmvc.kvo.observeProperty(content, "name", function(fnName, [index,] value1, ..., valueN, change) {
+ *     cmvc.kvo.forwardChange(proxy, "name", arguments);
+ *   });
  */
-cmvc.kvo.firePropertyObservers = function(/* srcObj, srcProperty, modifierFnName, [index,] value1, value2, ..., valueN */) {
-  var args = Array.prototype.slice.call(arguments);
-  var srcObj = args.shift();        // shift off the first argument (srcObj)
-  var srcProperty = args.shift();   // shift off the second argument (srcProperty)
+cmvc.kvo.forwardChange = function(srcObj, srcProperty, observerArgs) {
+  var args = Array.prototype.slice.call(observerArgs),
+      modifierFnName = args.shift(),
+      change = goog.object.clone(args.pop());
   
-  // The remaining args should be passed to each property observer callback function.
+  change.object = srcObj;
+  change.property = srcProperty;
+  cmvc.kvo.notify_(srcObj, srcProperty, modifierFnName, args, change);
+};
+
+
+/**
+ * Notifies srcObj and the observers of srcObj.srcProperty that the property now has a different value than
+ * oldValue, when the value changed without a cmvc.kvo modifier being called (e.g. because a proxy was given another
+ * object to proxy to). The change is reported as a 'set' of the current value.
+ */
+cmvc.kvo.propertyDidChange = function(srcObj, srcProperty, oldValue) {
+  var value = cmvc.kvo.get(srcObj, srcProperty),
+      change = cmvc.kvo.createChange_(srcObj, srcProperty, 'set', undefined, [oldValue], [value]);
   
-  // Iterate over and call each property observer callback, passing along any arguments passed to firePropertyObservers
-  if(cmvc.kvo.observerTree_[srcObj] && cmvc.kvo.observerTree_[srcObj][srcProperty]) {
-    goog.array.forEach(cmvc.kvo.observerTree_[srcObj][srcProperty], function(fn, i, a) {
-      fn.apply(this, args);
-    }, srcObj);
-  }
+  change.oldValue = oldValue;
+  cmvc.kvo.notify_(srcObj, srcProperty, 'set', [value], change);
 };
 
 
@@ -104,40 +1295,447 @@ cmvc.kvo.firePropertyObservers = function(/* srcObj, srcProperty, modifierFnName
  *   index - integer index into OR named member field of the collection referenced by property
  *   value - the value that the member referenced by property[index] is being set to
  *
+ * A property that srcObj proxies to another object (see cmvc.kvo.getProxyTarget_) is set on that object instead. The
+ * same goes for the array modifiers below.
+ *
  * Usage:
  *   cmvc.kvo.set(obj, "propA", 5)
  *   cmvc.kvo.set(obj, "arr", 1, "blah")
  */
 cmvc.kvo.set = function(srcObj, srcProperty, index, value) {
+  var change,
+      args,
+      target = cmvc.kvo.getProxyTarget_(srcObj, srcProperty);
+  
+  if(target) {
+    args = Array.prototype.slice.call(arguments);
+    args[0] = target;
+    cmvc.kvo.set.apply(null, args);
+    return;
+  }
+  
   if(goog.isDefAndNotNull(srcObj)) {
     if(arguments.length == 3) {
       value = index;
       
-      srcObj[srcProperty] = value;
-      
-      // fire the handlePropertySet "event handler"
-      if("handlePropertySet" in srcObj && goog.isFunction(srcObj.handlePropertySet)) {
-        srcObj.handlePropertySet(srcProperty, index, value);
+      if(cmvc.kvo.isComputed(srcObj, srcProperty)) {
+        throw Error("cmvc.kvo.set: '" + srcProperty + "' is a computed property and can't be set.");
       }
       
-      // propagate the assignment to other property bindings
-      cmvc.kvo.firePropertyObservers(srcObj, srcProperty, 'set', value);
+      change = cmvc.kvo.createChange_(srcObj, srcProperty, 'set', undefined, [srcObj[srcProperty]], [value]);
+      cmvc.kvo.willChange_(srcObj, srcProperty, change);
+      
+      cmvc.kvo.write_(srcObj, srcProperty, value);
+      
+      cmvc.kvo.notify_(srcObj, srcProperty, 'set', [value], change);
     } else if(arguments.length == 4) {
-      if(srcProperty in srcObj) {
+      if(!goog.isObject(srcObj[srcProperty])) {
         // if the collection property doesn't already exist, create it:
         //   Set it to an empty array if the index is is a number, otherwise an empty object
-        srcObj[property] = (typeof index == 'number') ? [] : {};
+        cmvc.kvo.write_(srcObj, srcProperty, (typeof index == 'number') ? [] : {});
       }
       
-      srcObj[property][index] = value;
+      change = cmvc.kvo.createChange_(srcObj, srcProperty, 'set', index, [srcObj[srcProperty][index]], [value]);
+      cmvc.kvo.willChange_(srcObj, srcProperty, change);
       
-      // fire the handlePropertySet "event handler"
-      if("handlePropertySet" in srcObj && goog.isFunction(srcObj.handlePropertySet)) {
-        srcObj.handlePropertySet(srcProperty, index, value);
-      }
+      srcObj[srcProperty][index] = value;
       
-      // propagate the assignment to other property bindings
-      cmvc.kvo.firePropertyObservers(srcObj, srcProperty, 'set', index, value);
+      cmvc.kvo.notify_(srcObj, srcProperty, 'set', [index, value], change);
+    }
+  }
+};
+
+
+/**
+ * Returns the array referenced by srcObj.srcProperty, creating an empty array property if there isn't one yet.
+ * @private
+ */
+cmvc.kvo.getArray_ = function(srcObj, srcProperty) {
+  if(!goog.isArray(srcObj[srcProperty])) {
+    cmvc.kvo.write_(srcObj, srcProperty, []);
+  }
+  return srcObj[srcProperty];
+};
+
+
+/**
+ * All of the array modifiers are implemented in terms of this function: it removes howMany items starting at index
+ * from the array referenced by srcObj.srcProperty, inserts the given items in their place, and notifies the
+ * property observers with a change record describing the mutation.
+ *
+ * modifierArgs holds the arguments (following srcObj and srcProperty) that the modifier was called with, so that
+ * cmvc.kvo.bind can apply the same modifier to the target property.
+ *
+ * Returns the array of removed items.
+ * @private
+ */
+cmvc.kvo.spliceArray_ = function(srcObj, srcProperty, modifierFnName, modifierArgs, index, howMany, items) {
+  var target = cmvc.kvo.getProxyTarget_(srcObj, srcProperty),
+      array,
+      change;
+  
+  if(target) {
+    return cmvc.kvo.spliceArray_(target, srcProperty, modifierFnName, modifierArgs, index, howMany, items);
+  }
+  
+  array = cmvc.kvo.getArray_(srcObj, srcProperty);
+  
+  // normalize the index the same way Array.prototype.splice does
+  index = index < 0 ? Math.max(array.length + index, 0) : Math.min(index, array.length);
+  
+  change = cmvc.kvo.createChange_(srcObj, srcProperty, modifierFnName, index, array.slice(index, index + howMany), items);
+  cmvc.kvo.willChange_(srcObj, srcProperty, change);
+  
+  // Array.prototype.splice is called directly, since the splice method of an array held by an observable object
+  //   (see cmvc.kvo.observable) is itself implemented in terms of this function
+  change.removed = Array.prototype.splice.apply(array, [index, howMany].concat(items));
+  
+  cmvc.kvo.notify_(srcObj, srcProperty, modifierFnName, modifierArgs, change);
+  
+  return change.removed;
+};
+
+
+/**
+ * Inserts one or more items into the array property, starting at index.
+ *
+ * Usage:
+ *   cmvc.kvo.insertAt(obj, "arr", 2, "a", "b")
+ */
+cmvc.kvo.insertAt = function(srcObj, srcProperty, index, var_args) {
+  var items = Array.prototype.slice.call(arguments, 3);
+  cmvc.kvo.spliceArray_(srcObj, srcProperty, 'insertAt', [index].concat(items), index, 0, items);
+};
+
+
+/**
+ * Removes the item at index from the array property.
+ *
+ * Returns the removed item.
+ *
+ * Usage:
+ *   cmvc.kvo.removeAt(obj, "arr", 2)
+ */
+cmvc.kvo.removeAt = function(srcObj, srcProperty, index) {
+  return cmvc.kvo.spliceArray_(srcObj, srcProperty, 'removeAt', [index], index, 1, [])[0];
+};
+
+
+/**
+ * Appends one or more items to the end of the array property.
+ *
+ * Returns the new length of the array.
+ *
+ * Usage:
+ *   cmvc.kvo.push(obj, "arr", "a", "b")
+ */
+cmvc.kvo.push = function(srcObj, srcProperty, var_args) {
+  var items = Array.prototype.slice.call(arguments, 2),
+      array = cmvc.kvo.getArray_(srcObj, srcProperty);
+  cmvc.kvo.spliceArray_(srcObj, srcProperty, 'push', items, array.length, 0, items);
+  return array.length;
+};
+
+
+/**
+ * Removes the last item from the array property.
+ *
+ * Returns the removed item.
+ *
+ * Usage:
+ *   cmvc.kvo.pop(obj, "arr")
+ */
+cmvc.kvo.pop = function(srcObj, srcProperty) {
+  var array = cmvc.kvo.getArray_(srcObj, srcProperty);
+  if(array.length == 0) {
+    return undefined;
+  }
+  return cmvc.kvo.spliceArray_(srcObj, srcProperty, 'pop', [], array.length - 1, 1, [])[0];
+};
+
+
+/**
+ * Removes howMany items from the array property starting at index and inserts the given items in their place,
+ * just like Array.prototype.splice.
+ *
+ * Returns the array of removed items.
+ *
+ * Usage:
+ *   cmvc.kvo.splice(obj, "arr", 1, 2, "a", "b", "c")
+ */
+cmvc.kvo.splice = function(srcObj, srcProperty, index, howMany, var_args) {
+  var items = Array.prototype.slice.call(arguments, 4);
+  return cmvc.kvo.spliceArray_(srcObj, srcProperty, 'splice', [index, howMany].concat(items), index, howMany, items);
+};
+
+
+/**
+ * Replaces the entire contents of the array property with the items in the given array. The array referenced
+ * by the property is modified in place.
+ *
+ * Returns the array of removed items.
+ *
+ * Usage:
+ *   cmvc.kvo.replace(obj, "arr", ["a", "b", "c"])
+ */
+cmvc.kvo.replace = function(srcObj, srcProperty, items) {
+  var array = cmvc.kvo.getArray_(srcObj, srcProperty);
+  return cmvc.kvo.spliceArray_(srcObj, srcProperty, 'replace', [items], 0, array.length, goog.array.clone(items));
+};
+
+
+/**
+ * Moves the item at fromIndex to toIndex within the array property.
+ *
+ * The change record of a move has a fromIndex field; its index field holds toIndex.
+ *
+ * Usage:
+ *   cmvc.kvo.move(obj, "arr", 0, 3)
+ */
+cmvc.kvo.move = function(srcObj, srcProperty, fromIndex, toIndex) {
+  var target = cmvc.kvo.getProxyTarget_(srcObj, srcProperty),
+      array,
+      change,
+      item;
+  
+  if(target) {
+    cmvc.kvo.move(target, srcProperty, fromIndex, toIndex);
+    return;
+  }
+  
+  array = cmvc.kvo.getArray_(srcObj, srcProperty);
+  
+  if(fromIndex < 0 || fromIndex >= array.length || toIndex < 0 || toIndex >= array.length) {
+    throw Error("cmvc.kvo.move: index out of bounds.");
+  }
+  
+  item = array[fromIndex];
+  change = cmvc.kvo.createChange_(srcObj, srcProperty, 'move', toIndex, [item], [item]);
+  change.fromIndex = fromIndex;
+  cmvc.kvo.willChange_(srcObj, srcProperty, change);
+  
+  Array.prototype.splice.call(array, fromIndex, 1);
+  Array.prototype.splice.call(array, toIndex, 0, item);
+  
+  cmvc.kvo.notify_(srcObj, srcProperty, 'move', [fromIndex, toIndex], change);
+};
+
+
+/**
+ * The name of the hidden property that holds the values of the observable properties of an object
+ * (see cmvc.kvo.observable).
+ * @private
+ */
+cmvc.kvo.VALUES_KEY_ = "cmvc_kvo_values_";
+
+
+/**
+ * The name of the hidden property that holds the set of observable property names of an object or prototype
+ * (see cmvc.kvo.observable).
+ * @private
+ */
+cmvc.kvo.PROPERTIES_KEY_ = "cmvc_kvo_properties_";
+
+
+/**
+ * The Array methods that modify the array in place; an array held by an observable property has each of them
+ * replaced with a method that makes the modification through cmvc.kvo.
+ * @private
+ */
+cmvc.kvo.ARRAY_MUTATORS_ = ['push', 'pop', 'shift', 'unshift', 'splice', 'reverse', 'sort'];
+
+
+/**
+ * Makes the properties of obj observable without explicit cmvc.kvo.set calls: a property accessor is installed
+ * for each property, so that a plain assignment (obj.prop = v) fires the same property observers and
+ * handlePropertySet "event handler" as cmvc.kvo.set(obj, "prop", v). Also, the mutator methods (push, pop, shift,
+ * unshift, splice, reverse and sort) of an array held by an observable property fire the same notifications as
+ * the corresponding cmvc.kvo array modifiers. Assigning to an index of such an array (arr[0] = v) is not detected;
+ * use cmvc.kvo.set(obj, "arr", 0, v) instead.
+ *
+ * The properties to make observable can be given as an array or as a space separated string; by default, all of
+ * the own properties of obj that don't reference functions or computed properties are made observable.
+ *
+ * A class can be made observable by declaring observable: true in the prototype members given to cmvc.extend;
+ * the properties declared on its prototype (and on the prototypes of its subclasses) are then observable on every
+ * instance. The declared values are the default values; a subclass may redeclare them, and each instance gets its own
+ * copy of an array or plain object default. A file that declares such a class must goog.require("cmvc.kvo").
+ * The computed properties of obj are given getters (see cmvc.kvo.defineComputedProperties).
+ *
+ * Returns obj.
+ *
+ * Usage:
+ *   var person = cmvc.kvo.observable({ name: "Jane", tags: [] });
+ *   cmvc.kvo.observeProperty(person, "name", function(fnName, value, change) { });
+ *   person.name = "Janet";          // fires the observer
+ *   person.tags.push("admin");      // fires the observers of person.tags with a 'push'
+ *
+ *   myapp.Person = cmvc.extend(Object, {
+ *     observable: true,
+ *     name: ""
+ *   });
+ */
+cmvc.kvo.observable = function(obj, opt_properties) {
+  var isPrototype = cmvc.kvo.isPrototype_(obj),
+      properties = opt_properties,
+      observableProperties;
+  
+  if(goog.isString(properties)) {
+    properties = cmvc.string.words(properties);
+  } else if(!goog.isArray(properties)) {
+    properties = goog.array.filter(goog.object.getKeys(obj), function(property, i, a) {
+      var value = obj[property];
+      return obj.hasOwnProperty(property) && 
+             property != "constructor" && property != "observable" &&
+             !goog.isFunction(value) && !(value instanceof cmvc.kvo.ComputedProperty);
+    });
+  }
+  
+  // the set of observable properties is copied from the prototype chain, so a subclass prototype adds to the set of
+  //   its superclass prototype instead of hiding it
+  if(!obj.hasOwnProperty(cmvc.kvo.PROPERTIES_KEY_)) {
+    Object.defineProperty(obj, cmvc.kvo.PROPERTIES_KEY_, { value: goog.object.clone(obj[cmvc.kvo.PROPERTIES_KEY_] || {}) });
+  }
+  observableProperties = obj[cmvc.kvo.PROPERTIES_KEY_];
+  
+  goog.array.forEach(properties, function(property, i, a) {
+    var value = obj[property];
+    
+    var descriptor = Object.getOwnPropertyDescriptor(obj, property);
+    
+    // a property that is observable on a superclass prototype is redeclared by a subclass prototype with a plain value
+    //   (see cmvc.extend), which becomes the default value for the instances of the subclass
+    if(property.length == 0 || (observableProperties[property] && !(isPrototype && descriptor && !descriptor.get))) {
+      return;
+    }
+    observableProperties[property] = true;
+    
+    // The value declared on a prototype is the default value of the property for every instance; the value of an
+    //   object's own property becomes its first stored value. An array or plain object default is copied for each
+    //   instance when the instance first reads it, so instances don't share (and modify) the one on the prototype.
+    Object.defineProperty(obj, property, {
+      get: function() {
+        var values = cmvc.kvo.getValues_(this);
+        
+        if(property in values || !isPrototype) {
+          return values[property];
+        }
+        if(!cmvc.kvo.isPrototype_(this) && (goog.isArray(value) || cmvc.kvo.isPlainObject_(value))) {
+          cmvc.kvo.write_(this, property, goog.isArray(value) ? goog.array.clone(value) : goog.object.clone(value));
+          return values[property];
+        }
+        return value;
+      },
+      set: function(newValue) {
+        cmvc.kvo.set(this, property, newValue);
+      },
+      enumerable: true,
+      configurable: true
+    });
+    
+    if(!isPrototype) {
+      cmvc.kvo.write_(obj, property, value);
     }
+  });
+  
+  return cmvc.kvo.defineComputedProperties(obj);
+};
+
+
+/**
+ * Returns true if obj is the prototype of a class.
+ * @private
+ */
+cmvc.kvo.isPrototype_ = function(obj) {
+  return obj.hasOwnProperty("constructor") && goog.isFunction(obj.constructor) && obj.constructor.prototype === obj;
+};
+
+
+/**
+ * Returns true if value is an object created by an object literal (or new Object()).
+ * @private
+ */
+cmvc.kvo.isPlainObject_ = function(value) {
+  return goog.isObject(value) && !goog.isFunction(value) && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+
+/**
+ * Returns the object that holds the values of the observable properties of obj, creating it if needed.
+ * @private
+ */
+cmvc.kvo.getValues_ = function(obj) {
+  if(!obj.hasOwnProperty(cmvc.kvo.VALUES_KEY_)) {
+    Object.defineProperty(obj, cmvc.kvo.VALUES_KEY_, { value: {} });
+  }
+  return obj[cmvc.kvo.VALUES_KEY_];
+};
+
+
+/**
+ * Assigns value to obj.property without any notification. The value of an observable property is stored
+ * directly, since assigning to the property would go through its accessor (and thus through cmvc.kvo.set again).
+ * @private
+ */
+cmvc.kvo.write_ = function(obj, property, value) {
+  var observableProperties = obj[cmvc.kvo.PROPERTIES_KEY_];
+  
+  if(observableProperties && observableProperties[property]) {
+    if(goog.isArray(value)) {
+      cmvc.kvo.wrapArray_(obj, property, value);
+    }
+    cmvc.kvo.getValues_(obj)[property] = value;
+  } else {
+    obj[property] = value;
   }
 };
+
+
+/**
+ * Replaces the mutator methods of array, which is held by the observable property obj.property, with methods
+ * that make the modification through cmvc.kvo. Once the array is no longer held by obj.property, the methods
+ * behave like the regular Array methods again.
+ * @private
+ */
+cmvc.kvo.wrapArray_ = function(obj, property, array) {
+  goog.array.forEach(cmvc.kvo.ARRAY_MUTATORS_, function(name, i, a) {
+    Object.defineProperty(array, name, {
+      value: function(var_args) {
+        var args = Array.prototype.slice.call(arguments),
+            copy;
+        
+        if(cmvc.kvo.getValues_(obj)[property] !== this) {
+          return Array.prototype[name].apply(this, args);
+        }
+        
+        switch(name) {
+          case 'push':
+            return cmvc.kvo.push.apply(null, [obj, property].concat(args));
+          case 'pop':
+            return cmvc.kvo.pop(obj, property);
+          case 'shift':
+            return this.length > 0 ? cmvc.kvo.removeAt(obj, property, 0) : undefined;
+          case 'unshift':
+            cmvc.kvo.insertAt.apply(null, [obj, property, 0].concat(args));
+            return this.length;
+          case 'splice':
+            // like Array.prototype.splice, a splice without arguments changes nothing
+            if(args.length == 0) {
+              return [];
+            }
+            if(args.length < 2) {
+              args[1] = this.length;
+            }
+            return cmvc.kvo.splice.apply(null, [obj, property].concat(args));
+          default:            // reverse and sort
+            copy = Array.prototype.slice.call(this);
+            Array.prototype[name].apply(copy, args);
+            cmvc.kvo.replace(obj, property, copy);
+            return this;
+        }
+      },
+      configurable: true,
+      writable: true
+    });
+  });
+};
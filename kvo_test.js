@@ -0,0 +1,593 @@
+goog.provide("cmvc.kvoTest");
+
+goog.require("goog.array");
+goog.require("goog.json");
+goog.require("goog.object");
+goog.require("goog.testing.MockClock");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc");
+goog.require("cmvc.kvo");
+
+
+function testSubclassRedeclaresObservableDefault() {
+  var Parent = cmvc.extend(Object, {observable: true, name: "parent"}),
+      Child = Parent.extend({name: "child"}),
+      child = new Child(),
+      values = [];
+
+  assertEquals("child", child.name);
+  assertEquals("parent", new Parent().name);
+
+  cmvc.kvo.observeProperty(child, "name", function(fnName, value, change) { values.push(value); });
+  child.name = "changed";
+  assertArrayEquals(["changed"], values);
+  assertEquals("parent", new Parent().name);
+  assertEquals("child", new Child().name);
+}
+
+
+function testArrayDefaultIsCopiedForEachInstance() {
+  var Tagged = cmvc.extend(Object, {observable: true, tags: []}),
+      a = new Tagged(),
+      b = new Tagged(),
+      calls = [];
+
+  cmvc.kvo.observeProperty(a, "tags", function(fnName) { calls.push(fnName); });
+  a.tags.push("x");
+
+  assertArrayEquals(["push"], calls);
+  assertArrayEquals(["x"], a.tags);
+  assertArrayEquals([], b.tags);
+  assertArrayEquals([], Tagged.prototype.tags);
+}
+
+
+function testObservingDoesNotAddEnumerableProperties() {
+  var address = {city: "Oslo"},
+      person = {address: address};
+
+  cmvc.kvo.observeProperty(person, "address.city", function() {});
+  cmvc.kvo.bind(person, "address.city", {}, "city");
+
+  assertArrayEquals(["city"], goog.object.getKeys(address));
+  assertEquals('{"address":{"city":"Oslo"}}', goog.json.serialize(person));
+}
+
+
+function testSpliceWithoutArgumentsIsANoOp() {
+  var obj = cmvc.kvo.observable({items: [1, 2]}),
+      calls = 0;
+
+  cmvc.kvo.observeProperty(obj, "items", function() { calls++; });
+
+  assertArrayEquals([], obj.items.splice());
+  assertArrayEquals([1, 2], obj.items);
+  assertEquals(0, calls);
+}
+
+
+function testComputedPropertyCanBeReadWithoutKvoGet() {
+  var Person = cmvc.extend(Object, {
+        firstName: "Jane",
+        lastName: "Doe",
+        fullName: cmvc.kvo.computed(function() { return this.firstName + " " + this.lastName; }, "firstName lastName")
+      }),
+      person = new Person(),
+      values = [];
+
+  assertEquals("Jane Doe", person.fullName);
+  assertTrue(cmvc.kvo.isComputed(person, "fullName"));
+  assertTrue(Person.prototype.fullName instanceof cmvc.kvo.ComputedProperty);
+
+  cmvc.kvo.observeProperty(person, "fullName", function(fnName, value, change) { values.push(value); });
+  cmvc.kvo.set(person, "firstName", "John");
+  assertEquals("John Doe", person.fullName);
+  assertArrayEquals(["John Doe"], values);
+
+  assertThrows(function() { person.fullName = "x"; });
+  assertEquals("John Doe", cmvc.kvo.get(person, "fullName"));
+}
+
+
+function testComputedPropertyOfAnObservableObject() {
+  var rect = cmvc.kvo.observable({
+        width: 2,
+        height: 3,
+        area: cmvc.kvo.computed(function() { return this.width * this.height; }, "width height")
+      });
+
+  assertEquals(6, rect.area);
+  rect.width = 4;
+  assertEquals(12, rect.area);
+}
+
+
+function testObserversOfPlainObjectsAreKeptApart() {
+  var a = {name: "a"},
+      b = {name: "b"},
+      calls = [];
+
+  cmvc.kvo.observeProperty(a, "name", function(fnName, value, change) { calls.push("a " + value); });
+  cmvc.kvo.observeProperty(b, "name", function(fnName, value, change) { calls.push("b " + value); });
+  cmvc.kvo.set(b, "name", "B");
+
+  assertArrayEquals(["b B"], calls);
+}
+
+
+function testUnobserveByKeyRemovesOnlyThatObserver() {
+  var obj = {name: "a"},
+      calls = [],
+      key = cmvc.kvo.observeProperty(obj, "name", function() { calls.push(1); });
+
+  cmvc.kvo.observeProperty(obj, "name", function() { calls.push(2); });
+
+  assertTrue(cmvc.kvo.unobserveByKey(key));
+  assertFalse(cmvc.kvo.unobserveByKey(key));
+  cmvc.kvo.set(obj, "name", "b");
+  assertArrayEquals([2], calls);
+}
+
+
+function testRemoveObserversOfAnOwner() {
+  var src = {name: "a"},
+      owner = {},
+      calls = [];
+
+  cmvc.kvo.observeProperty(src, "name", function() { calls.push("owned"); }, owner);
+  cmvc.kvo.observeProperty(src, "name", function() { calls.push("other"); });
+  cmvc.kvo.removeObservers(owner);
+  cmvc.kvo.set(src, "name", "b");
+  assertArrayEquals(["other"], calls);
+
+  cmvc.kvo.removeObservers(src, "name");
+  cmvc.kvo.set(src, "name", "c");
+  assertArrayEquals(["other"], calls);
+}
+
+
+/**
+ * Observes obj.property and returns the array that the change records are collected into.
+ */
+function collectChanges(obj, property) {
+  var changes = [];
+
+  cmvc.kvo.observeProperty(obj, property, function() {
+    changes.push(arguments[arguments.length - 1]);
+  });
+  return changes;
+}
+
+
+/**
+ * Returns the index, removed and added fields of a change record.
+ */
+function getSpliceFields(change) {
+  return {index: change.index, removed: change.removed, added: change.added};
+}
+
+
+function testArrayModifiersDescribeTheirChanges() {
+  var obj = {items: ["a", "b"]},
+      changes = collectChanges(obj, "items");
+
+  assertEquals(4, cmvc.kvo.push(obj, "items", "c", "d"));
+  cmvc.kvo.insertAt(obj, "items", 1, "x");
+  assertEquals("x", cmvc.kvo.removeAt(obj, "items", 1));
+  assertArrayEquals(["b", "c"], cmvc.kvo.splice(obj, "items", -3, 2, "y"));
+  assertEquals("d", cmvc.kvo.pop(obj, "items"));
+  assertArrayEquals(["a", "y"], obj.items);
+
+  assertArrayEquals(['push', 'insertAt', 'removeAt', 'splice', 'pop'], goog.array.map(changes, function(change) {
+    return change.type;
+  }));
+  assertObjectEquals({index: 2, removed: [], added: ["c", "d"]}, getSpliceFields(changes[0]));
+  assertObjectEquals({index: 1, removed: ["b", "c"], added: ["y"]}, getSpliceFields(changes[3]));
+  assertEquals(obj, changes[3].object);
+  assertEquals("items", changes[3].property);
+}
+
+
+function testReplaceAndMoveModifyTheArrayInPlace() {
+  var items = [1, 2, 3],
+      obj = {items: items},
+      changes = collectChanges(obj, "items");
+
+  assertArrayEquals([1, 2, 3], cmvc.kvo.replace(obj, "items", [4, 5, 6]));
+  cmvc.kvo.move(obj, "items", 0, 2);
+
+  assertEquals(items, obj.items);
+  assertArrayEquals([5, 6, 4], items);
+  assertEquals(0, changes[1].fromIndex);
+  assertEquals(2, changes[1].index);
+  assertThrows(function() { cmvc.kvo.move(obj, "items", 0, 3); });
+}
+
+
+function testSetOfAnItemOfAnArray() {
+  var obj = {items: ["a", "b"]},
+      changes = collectChanges(obj, "items");
+
+  cmvc.kvo.set(obj, "items", 1, "c");
+
+  assertArrayEquals(["a", "c"], obj.items);
+  assertEquals(1, changes[0].index);
+  assertArrayEquals(["b"], changes[0].removed);
+  assertArrayEquals(["c"], changes[0].added);
+}
+
+
+function testGetAndResolvePath() {
+  var app = {account: {owner: {name: "Jane"}}};
+
+  assertEquals("Jane", cmvc.kvo.get(app, "account.owner.name"));
+  assertUndefined(cmvc.kvo.getPath(app, "account.manager.name"));
+  assertArrayEquals([app.account.owner, "name"], cmvc.kvo.resolvePath(app, "account.owner.name"));
+  assertUndefined(cmvc.kvo.resolvePath(app, "account.manager.name")[0]);
+}
+
+
+function testObservePathFollowsReplacedObjects() {
+  var jane = {name: "Jane"},
+      john = {name: "John"},
+      app = {account: {owner: jane}},
+      values = [];
+
+  cmvc.kvo.observeProperty(app, "account.owner.name", function(fnName, value, change) { values.push(value); });
+
+  cmvc.kvo.set(jane, "name", "Janet");
+  cmvc.kvo.set(app.account, "owner", john);
+  cmvc.kvo.set(jane, "name", "stale");
+  cmvc.kvo.set(john, "name", "Johnny");
+  cmvc.kvo.set(app, "account", {owner: {name: "Johnny"}});
+
+  assertArrayEquals(["Janet", "John", "Johnny"], values);
+}
+
+
+function testUnobservingAPathRemovesTheObserversAlongIt() {
+  var owner = {name: "Jane"},
+      app = {account: {owner: owner}},
+      calls = 0,
+      key = cmvc.kvo.observeProperty(app, "account.owner.name", function() { calls++; });
+
+  cmvc.kvo.unobserveByKey(key);
+  cmvc.kvo.set(owner, "name", "Janet");
+  cmvc.kvo.set(app, "account", null);
+
+  assertEquals(0, calls);
+}
+
+
+function testBindingBetweenKeyPaths() {
+  var app = {account: {owner: {name: "Jane"}}},
+      form = {field: {}};
+
+  cmvc.kvo.bind(app, "account.owner.name", form, "field.text");
+  cmvc.kvo.set(app, "account.owner.name", "Janet");
+  assertEquals("Janet", form.field.text);
+
+  cmvc.kvo.set(app, "account", {owner: {name: "John"}});
+  assertEquals("John", form.field.text);
+}
+
+
+function testTwoWayBindingPropagatesBothWaysWithoutEcho() {
+  var model = {name: "a"},
+      input = {value: "a"},
+      modelSets = 0,
+      inputSets = 0;
+
+  cmvc.kvo.bindTwoWay(model, "name", input, "value");
+  cmvc.kvo.observeProperty(model, "name", function() { modelSets++; });
+  cmvc.kvo.observeProperty(input, "value", function() { inputSets++; });
+
+  cmvc.kvo.set(model, "name", "b");
+  assertEquals("b", input.value);
+  assertEquals(1, modelSets);
+  assertEquals(1, inputSets);
+
+  cmvc.kvo.set(input, "value", "c");
+  assertEquals("c", model.name);
+  assertEquals(2, modelSets);
+  assertEquals(2, inputSets);
+}
+
+
+function testTwoWayBindingOfArraysReplaysTheMutations() {
+  var a = {items: [1]},
+      b = {items: [1]};
+
+  cmvc.kvo.bindTwoWay(a, "items", b, "items");
+  cmvc.kvo.push(a, "items", 2);
+  cmvc.kvo.removeAt(b, "items", 0);
+
+  assertArrayEquals([2], a.items);
+  assertArrayEquals([2], b.items);
+}
+
+
+function testRemovingATwoWayBindingRemovesBothDirections() {
+  var a = {x: 1},
+      b = {x: 1},
+      c = {x: 1},
+      d = {x: 1};
+
+  cmvc.kvo.unobserveByKey(cmvc.kvo.bindTwoWay(a, "x", b, "x"));
+  cmvc.kvo.set(a, "x", 2);
+  cmvc.kvo.set(b, "x", 3);
+  assertEquals(2, a.x);
+  assertEquals(3, b.x);
+
+  cmvc.kvo.bindTwoWay(c, "x", d, "x");
+  cmvc.kvo.removeObservers(d);
+  cmvc.kvo.set(c, "x", 2);
+  cmvc.kvo.set(d, "x", 3);
+  assertEquals(2, c.x);
+  assertEquals(3, d.x);
+}
+
+
+function testBindingTransformsTheValue() {
+  var account = {balance: 3.1, items: []},
+      label = {};
+
+  cmvc.kvo.bind(account, "balance", label, "text", {transform: function(value) { return value.toFixed(2); }});
+  cmvc.kvo.bind(account, "items", label, "count", {transform: function(items) { return items.length; }});
+
+  cmvc.kvo.set(account, "balance", 4);
+  cmvc.kvo.push(account, "items", "a", "b");
+
+  assertEquals("4.00", label.text);
+  assertEquals(2, label.count);
+}
+
+
+function testBindingValidationRejectsValues() {
+  var input = {value: "1"},
+      model = {amount: 1};
+
+  cmvc.kvo.bindTwoWay(model, "amount", input, "value", {
+    transform: String,
+    reverseTransform: Number,
+    reverseValidate: function(value) { return !isNaN(value); }
+  });
+
+  cmvc.kvo.set(input, "value", "12");
+  assertEquals(12, model.amount);
+
+  cmvc.kvo.set(input, "value", "abc");
+  assertEquals(12, model.amount);
+
+  cmvc.kvo.set(model, "amount", 5);
+  assertEquals("5", input.value);
+}
+
+
+function testComputedPropertyIsCachedUntilADependencyChanges() {
+  var calls = 0,
+      Order = cmvc.extend(Object, {
+        price: 2,
+        quantity: 3,
+        total: cmvc.kvo.computed(function() { calls++; return this.price * this.quantity; }, ["price", "quantity"])
+      }),
+      order = new Order();
+
+  assertEquals(6, cmvc.kvo.get(order, "total"));
+  assertEquals(6, cmvc.kvo.get(order, "total"));
+  assertEquals(1, calls);
+
+  cmvc.kvo.set(order, "quantity", 4);
+  assertEquals(8, cmvc.kvo.get(order, "total"));
+  assertEquals(2, calls);
+  assertThrows(function() { cmvc.kvo.set(order, "total", 1); });
+}
+
+
+function testComputedPropertyAsBindingSource() {
+  var Person = cmvc.extend(Object, {
+        owner: null,
+        ownerName: cmvc.kvo.computed(function() {
+          return this.owner ? this.owner.name : "(nobody)";
+        }, "owner.name")
+      }),
+      person = new Person(),
+      label = {},
+      values = [];
+
+  cmvc.kvo.bind(person, "ownerName", label, "text");
+  cmvc.kvo.observeProperty(person, "ownerName", function(fnName, value, change) { values.push(value); });
+
+  cmvc.kvo.set(person, "owner", {name: "Jane"});
+  assertEquals("Jane", label.text);
+  cmvc.kvo.set(person.owner, "name", "Janet");
+  assertEquals("Janet", label.text);
+  cmvc.kvo.set(person.owner, "name", "Janet");
+  assertArrayEquals(["Jane", "Janet"], values);
+}
+
+
+function testBatchCoalescesRepeatedChanges() {
+  var person = {firstName: "", lastName: ""},
+      notifications = [];
+
+  goog.array.forEach(["lastName", "firstName"], function(property) {
+    cmvc.kvo.observeProperty(person, property, function(fnName, value, change) {
+      notifications.push(property + " " + change.oldValue + " -> " + value);
+    });
+  });
+
+  cmvc.kvo.beginPropertyChanges();
+  cmvc.kvo.set(person, "firstName", "Jane");
+  cmvc.kvo.beginPropertyChanges();
+  cmvc.kvo.set(person, "lastName", "Doe");
+  cmvc.kvo.endPropertyChanges();
+  cmvc.kvo.set(person, "firstName", "Janet");
+  assertTrue(cmvc.kvo.isBatching());
+  assertEquals("Janet", person.firstName);
+  assertArrayEquals([], notifications);
+  cmvc.kvo.endPropertyChanges();
+
+  assertFalse(cmvc.kvo.isBatching());
+  assertArrayEquals(["firstName  -> Janet", "lastName  -> Doe"], notifications);
+}
+
+
+function testBatchDropsAChangeThatIsUndone() {
+  var obj = {name: "a"},
+      calls = 0;
+
+  cmvc.kvo.observeProperty(obj, "name", function() { calls++; });
+  cmvc.kvo.beginPropertyChanges();
+  cmvc.kvo.set(obj, "name", "b");
+  cmvc.kvo.set(obj, "name", "a");
+  cmvc.kvo.endPropertyChanges();
+
+  assertEquals(0, calls);
+}
+
+
+function testAfterPropertyChanges() {
+  var log = [],
+      obj = {name: "a"};
+
+  cmvc.kvo.observeProperty(obj, "name", function() { log.push("notified"); });
+  cmvc.kvo.afterPropertyChanges(function() { log.push("now " + this.name); }, obj);
+
+  cmvc.kvo.beginPropertyChanges();
+  cmvc.kvo.set(obj, "name", "b");
+  cmvc.kvo.afterPropertyChanges(function() { log.push("after " + this.name); }, obj);
+  cmvc.kvo.endPropertyChanges();
+
+  assertArrayEquals(["now a", "notified", "after b"], log);
+}
+
+
+function testDeferredRunLoopBatchesChangesUntilTheTimerFires() {
+  var clock = new goog.testing.MockClock(true),
+      obj = {name: "a"},
+      values = [];
+
+  try {
+    cmvc.kvo.observeProperty(obj, "name", function(fnName, value) { values.push(value); });
+    cmvc.kvo.setDeferred(true);
+    cmvc.kvo.set(obj, "name", "b");
+    cmvc.kvo.set(obj, "name", "c");
+    assertArrayEquals([], values);
+
+    clock.tick(1);
+    assertArrayEquals(["c"], values);
+  } finally {
+    cmvc.kvo.setDeferred(false);
+    clock.dispose();
+  }
+}
+
+
+function testWillChangeAndDidChangeHooks() {
+  var obj = {name: "a", items: [1]},
+      log = [];
+
+  cmvc.kvo.observeChanges(obj, "name", {
+    willChange: function(oldValue, newValue, change) {
+      log.push("will " + oldValue + " " + newValue + " " + obj.name);
+    },
+    didChange: function(oldValue, newValue, change) {
+      log.push("did " + oldValue + " " + newValue + " " + obj.name);
+    }
+  });
+  cmvc.kvo.observeChanges(obj, "items", {
+    didChange: function(oldValue, newValue, change) { log.push("items " + oldValue + " -> " + newValue); }
+  });
+
+  cmvc.kvo.set(obj, "name", "b");
+  cmvc.kvo.push(obj, "items", 2);
+
+  assertArrayEquals(["will a b a", "did a b b", "items 1 -> 1,2"], log);
+}
+
+
+function testWillChangeIsCalledRightAwayDuringABatch() {
+  var obj = {name: "a"},
+      log = [];
+
+  cmvc.kvo.observeChanges(obj, "name", {
+    willChange: function(oldValue, newValue) { log.push("will " + newValue); },
+    didChange: function(oldValue, newValue) { log.push("did " + oldValue + " " + newValue); }
+  });
+
+  cmvc.kvo.beginPropertyChanges();
+  cmvc.kvo.set(obj, "name", "b");
+  cmvc.kvo.set(obj, "name", "c");
+  log.push("end");
+  cmvc.kvo.endPropertyChanges();
+
+  assertArrayEquals(["will b", "will c", "end", "did a c"], log);
+}
+
+
+function testHandlePropertySetIsGivenTheOldValue() {
+  var calls = [],
+      obj = {
+        name: "a",
+        items: ["x"],
+        handlePropertySet: function(property, index, value, oldValue) {
+          calls.push([property, index, value, oldValue]);
+        }
+      };
+
+  cmvc.kvo.set(obj, "name", "b");
+  cmvc.kvo.set(obj, "items", 0, "y");
+
+  assertObjectEquals([["name", "b", "b", "a"], ["items", 0, "y", "x"]], calls);
+}
+
+
+function testAssignmentsToObservablePropertiesNotifyObservers() {
+  var person = cmvc.kvo.observable({name: "Jane", tags: [], greet: function() {}}),
+      calls = [];
+
+  cmvc.kvo.observeProperty(person, "name", function(fnName, value) { calls.push(fnName + " " + value); });
+  cmvc.kvo.observeProperty(person, "tags", function(fnName) { calls.push(fnName); });
+
+  person.name = "Janet";
+  person.tags.push("a", "b");
+  person.tags.sort();
+  person.tags.reverse();
+  person.tags = ["c"];
+  person.tags.pop();
+
+  // a sort or a reverse replaces the items of the array
+  assertArrayEquals(["set Janet", "push", "replace", "replace", "set", "pop"], calls);
+  assertEquals("Janet", person.name);
+  assertArrayEquals([], person.tags);
+  assertEquals('{"name":"Janet","tags":[]}', goog.json.serialize(person));
+}
+
+
+function testOnlyTheGivenPropertiesAreMadeObservable() {
+  var obj = cmvc.kvo.observable({a: 1, b: 2}, "a"),
+      calls = [];
+
+  cmvc.kvo.observeProperty(obj, "a", function() { calls.push("a"); });
+  cmvc.kvo.observeProperty(obj, "b", function() { calls.push("b"); });
+  obj.a = 10;
+  obj.b = 20;
+
+  assertArrayEquals(["a"], calls);
+}
+
+
+function testObservableClassDeclaresPropertiesOnItsPrototype() {
+  var Account = cmvc.extend(Object, {observable: true, balance: 0}),
+      account = new Account(),
+      other = new Account(),
+      values = [];
+
+  cmvc.kvo.observeProperty(account, "balance", function(fnName, value) { values.push(value); });
+  account.balance = 5;
+
+  assertArrayEquals([5], values);
+  assertEquals(0, other.balance);
+}
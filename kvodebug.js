@@ -0,0 +1,278 @@
+goog.provide("cmvc.kvo.debug");
+
+goog.require("goog.array");
+goog.require("goog.debug.Logger");
+goog.require("goog.object");
+goog.require("goog.string");
+
+goog.require("cmvc.kvo");
+
+
+/**
+ * Functions for inspecting the property observers and bindings registered with cmvc.kvo, and for tracing the changes
+ * that flow through them. Meant to be used while debugging, e.g. from the browser console:
+ *
+ *   cmvc.kvo.debug.getObservers(myView);               // who observes myView?
+ *   console.log(cmvc.kvo.debug.describeBindingGraph()); // who propagates to whom?
+ *   cmvc.kvo.debug.setTraceEnabled(true);              // log every change and propagation chain
+ */
+
+
+/**
+ * The logger that trace messages are written to by default.
+ * @private
+ */
+cmvc.kvo.debug.logger_ = goog.debug.Logger.getLogger("cmvc.kvo");
+
+
+/**
+ * Returns a short human readable description of obj: the id of a goog.ui.Component (e.g. a cmvc.ui.View),
+ * otherwise the unique id that cmvc.kvo knows obj by.
+ */
+cmvc.kvo.debug.describeObject = function(obj) {
+  if(!goog.isObject(obj)) {
+    return String(obj);
+  }
+  if(goog.isFunction(obj.getId) && obj.getId()) {
+    return "#" + obj.getId();
+  }
+  return "object@" + cmvc.kvo.getUid(obj);
+};
+
+
+/**
+ * Returns a short human readable description of obj.property (e.g. "#userLabel.text").
+ */
+cmvc.kvo.debug.describeProperty = function(obj, property) {
+  return cmvc.kvo.debug.describeObject(obj) + "." + property;
+};
+
+
+/**
+ * Returns a description of every property observer registered on obj (or only on obj.opt_property). Each description
+ * has the form:
+ *   { key: Number, object: Object, property: String, kind: String, owners: Array.<Number>, binding: Object? }
+ * where kind is described at cmvc.kvo.observerTree_, owners holds the unique ids of the objects that own the
+ * observer, and binding (only present for bindings) is described at cmvc.kvo.debug.getBindings.
+ */
+cmvc.kvo.debug.getObservers = function(obj, opt_property) {
+  var properties = cmvc.kvo.observerTree_[cmvc.kvo.getUid(obj)] || {},
+      descriptions = [];
+
+  goog.object.forEach(properties, function(records, property, o) {
+    if(!goog.isDef(opt_property) || property == opt_property) {
+      goog.array.forEach(records, function(record, i, a) {
+        descriptions.push(cmvc.kvo.debug.describeRecord_(record));
+      });
+    }
+  });
+
+  return descriptions;
+};
+
+
+/**
+ * Returns a description (see cmvc.kvo.debug.getObservers) of every property observer that is registered on some other
+ * object on behalf of obj, e.g. the bindings that propagate changes into obj. These are the observers that
+ * cmvc.kvo.removeObservers(obj) removes in addition to the observers registered on obj itself.
+ */
+cmvc.kvo.debug.getOwnedObservers = function(obj) {
+  return goog.array.map(cmvc.kvo.ownerTree_[cmvc.kvo.getUid(obj)] || [], function(key, i, a) {
+    return cmvc.kvo.debug.describeRecord_(cmvc.kvo.observers_[key]);
+  });
+};
+
+
+/**
+ * Returns a description of every binding, or only of the bindings that have obj as their source or target.
+ * Each description has the form:
+ *   { key: Number, source: Object, sourceProperty: String, target: Object, targetProperty: String,
+ *     twoWay: Boolean, transformed: Boolean }
+ * A two-way binding (see cmvc.kvo.bindTwoWay) is described once for each direction.
+ */
+cmvc.kvo.debug.getBindings = function(opt_obj) {
+  var bindings = [];
+
+  goog.object.forEach(cmvc.kvo.observers_, function(record, key, o) {
+    var binding = record.binding;
+    if(binding && (!goog.isDef(opt_obj) || binding.source === opt_obj || binding.target === opt_obj)) {
+      bindings.push(cmvc.kvo.debug.describeBinding_(record));
+    }
+  });
+
+  return bindings;
+};
+
+
+/**
+ * Returns a multi-line string describing the binding graph (or only the bindings that have obj as their source or
+ * target), one binding per line, e.g.:
+ *   object@12.currentUser.name -> #userLabel.text
+ *   object@15.email <-> #emailInput.value (transformed)
+ */
+cmvc.kvo.debug.describeBindingGraph = function(opt_obj) {
+  var lines = [];
+
+  goog.array.forEach(cmvc.kvo.debug.getBindings(opt_obj), function(binding, i, a) {
+    // a two-way binding is described once, by its forward direction (the one that holds the reverse as a dependent)
+    if(binding.twoWay && !cmvc.kvo.observers_[binding.key].dependents) {
+      return;
+    }
+    lines.push(cmvc.kvo.debug.describeProperty(binding.source, binding.sourceProperty) +
+               (binding.twoWay ? " <-> " : " -> ") +
+               cmvc.kvo.debug.describeProperty(binding.target, binding.targetProperty) +
+               (binding.transformed ? " (transformed)" : ""));
+  });
+
+  return lines.join("\n");
+};
+
+
+/**
+ * Looks for cycles of one-way bindings, e.g. a.x -> b.y -> a.x. Such a cycle propagates a change around until a
+ * 'set' reaches a property that already holds the value. Two-way bindings are left out, since they never echo a
+ * change back to its source.
+ *
+ * Returns an array of cycles; each cycle is an array of property descriptions (see cmvc.kvo.debug.describeProperty).
+ */
+cmvc.kvo.debug.findBindingCycles = function() {
+  var edges = {},         // edges[node] = Array.<String> - the nodes that node propagates to
+      labels = {},        // labels[node] = the description of the property that node stands for
+      state = {},         // state[node] = 1 while node is being visited, 2 once it has been visited
+      stack = [],
+      cycles = [];
+
+  var nodeOf = function(obj, property) {
+    var node = cmvc.kvo.getUid(obj) + "|" + property;
+    labels[node] = cmvc.kvo.debug.describeProperty(obj, property);
+    return node;
+  };
+
+  goog.array.forEach(cmvc.kvo.debug.getBindings(), function(binding, i, a) {
+    if(!binding.twoWay) {
+      var from = nodeOf(binding.source, binding.sourceProperty);
+      (edges[from] = edges[from] || []).push(nodeOf(binding.target, binding.targetProperty));
+    }
+  });
+
+  var visit = function(node) {
+    state[node] = 1;
+    stack.push(node);
+    goog.array.forEach(edges[node] || [], function(next, i, a) {
+      if(state[next] == 1) {
+        cycles.push(goog.array.map(stack.slice(goog.array.indexOf(stack, next)), function(n) { return labels[n]; }));
+      } else if(!state[next]) {
+        visit(next);
+      }
+    });
+    stack.pop();
+    state[node] = 2;
+  };
+
+  goog.object.forEach(edges, function(targets, node, o) {
+    if(!state[node]) {
+      visit(node);
+    }
+  });
+
+  return cycles;
+};
+
+
+/**
+ * Returns the number of observed objects, the number of registered observers and the number of objects that own
+ * observers registered on other objects. Comparing these numbers before and after disposing of a view tree is
+ * a quick way to spot leaked observers.
+ */
+cmvc.kvo.debug.getStats = function() {
+  return {
+    objects: goog.object.getCount(cmvc.kvo.observerTree_),
+    observers: goog.object.getCount(cmvc.kvo.observers_),
+    owners: goog.object.getCount(cmvc.kvo.ownerTree_)
+  };
+};
+
+
+/**
+ * Enables or disables trace mode. While it is enabled, every change made through cmvc.kvo, and every change that a
+ * binding propagates (or whose value is rejected by the validation hook of a binding) is logged, indented by the depth
+ * of the propagation chain. Messages are logged to the "cmvc.kvo" goog.debug.Logger, or passed to opt_logFn.
+ *
+ * Usage:
+ *   cmvc.kvo.debug.setTraceEnabled(true, function(message) { console.log(message); });
+ */
+cmvc.kvo.debug.setTraceEnabled = function(enable, opt_logFn) {
+  var logFn = opt_logFn || function(message) { cmvc.kvo.debug.logger_.info(message); };
+
+  cmvc.kvo.tracer_ = enable ? function(event) { logFn(cmvc.kvo.debug.formatTraceEvent_(event)); } : null;
+};
+
+
+/**
+ * Returns the description of an observer record.
+ * @private
+ */
+cmvc.kvo.debug.describeRecord_ = function(record) {
+  var description = {
+    key: record.key,
+    object: record.src,
+    property: record.property,
+    kind: record.kind,
+    owners: goog.array.clone(record.owners)
+  };
+  if(record.binding) {
+    description.binding = cmvc.kvo.debug.describeBinding_(record);
+  }
+  return description;
+};
+
+
+/**
+ * Returns the description of the binding held by an observer record.
+ * @private
+ */
+cmvc.kvo.debug.describeBinding_ = function(record) {
+  var description = goog.object.clone(record.binding);
+  description.key = record.key;
+  return description;
+};
+
+
+/**
+ * Returns a short human readable description of a value, for trace messages.
+ * @private
+ */
+cmvc.kvo.debug.formatValue_ = function(value) {
+  if(goog.isString(value)) {
+    return '"' + value + '"';
+  } else if(goog.isArray(value)) {
+    return "[" + value.length + " items]";
+  } else if(goog.isObject(value) && !goog.isFunction(value)) {
+    return cmvc.kvo.debug.describeObject(value);
+  }
+  return String(value);
+};
+
+
+/**
+ * Formats a trace event (see cmvc.kvo.tracer_) as a log message.
+ * @private
+ */
+cmvc.kvo.debug.formatTraceEvent_ = function(event) {
+  var indent = goog.string.repeat("  ", event.depth),
+      change = event.change,
+      binding = event.binding;
+
+  if(event.type == 'change') {
+    return indent + change.type + " " + cmvc.kvo.debug.describeProperty(change.object, change.property) +
+           (goog.isDef(change.index) ? "[" + change.index + "]" : "") +
+           (change.type == 'set' ? " = " + cmvc.kvo.debug.formatValue_(change.added[0]) :
+                                   ": " + change.removed.length + " removed, " + change.added.length + " added") +
+           (event.queued ? " (queued until the batch ends)" : "");
+  }
+
+  return indent + (event.type == 'reject' ? "rejected by validation: " : "propagating: ") +
+         cmvc.kvo.debug.describeProperty(binding.source, binding.sourceProperty) + " -> " +
+         cmvc.kvo.debug.describeProperty(binding.target, binding.targetProperty) + " " + event.modifierFnName + "(" +
+         goog.array.map(event.args, cmvc.kvo.debug.formatValue_).join(", ") + ")";
+};
@@ -0,0 +1,83 @@
+goog.provide("cmvc.kvo.debugTest");
+
+goog.require("goog.array");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.kvo");
+goog.require("cmvc.kvo.debug");
+
+
+function testGetObserversAndOwnedObservers() {
+  var user = {name: "Jane"},
+      label = {getId: function() { return "userLabel"; }},
+      key = cmvc.kvo.bind(user, "name", label, "text");
+
+  cmvc.kvo.observeProperty(user, "name", function() {});
+
+  assertArrayEquals(['binding', 'observer'], goog.array.map(cmvc.kvo.debug.getObservers(user, "name"), function(d) {
+    return d.kind;
+  }));
+  assertEquals(key, cmvc.kvo.debug.getOwnedObservers(label)[0].key);
+  assertEquals("#userLabel.text", cmvc.kvo.debug.describeProperty(label, "text"));
+}
+
+
+function testDescribeBindingGraph() {
+  var a = {getId: function() { return "a"; }},
+      b = {getId: function() { return "b"; }},
+      c = {getId: function() { return "c"; }};
+
+  cmvc.kvo.bind(a, "x", b, "x");
+  cmvc.kvo.bindTwoWay(b, "y", c, "y", {transform: String});
+
+  assertEquals("#a.x -> #b.x", cmvc.kvo.debug.describeBindingGraph(a));
+  assertEquals("#b.y <-> #c.y (transformed)", cmvc.kvo.debug.describeBindingGraph(c));
+  assertEquals(2, cmvc.kvo.debug.getBindings(c).length);
+}
+
+
+function testFindBindingCycles() {
+  var a = {getId: function() { return "cycleA"; }},
+      b = {getId: function() { return "cycleB"; }};
+
+  cmvc.kvo.bind(a, "x", b, "y");
+  cmvc.kvo.bind(b, "y", a, "x");
+
+  assertTrue(goog.array.some(cmvc.kvo.debug.findBindingCycles(), function(cycle) {
+    return goog.array.equals(cycle, ["#cycleA.x", "#cycleB.y"]) || goog.array.equals(cycle, ["#cycleB.y", "#cycleA.x"]);
+  }));
+}
+
+
+function testGetStatsCountsTheRemovedObservers() {
+  var obj = {},
+      before = cmvc.kvo.debug.getStats();
+
+  cmvc.kvo.observeProperty(obj, "x", function() {});
+  assertEquals(before.observers + 1, cmvc.kvo.debug.getStats().observers);
+
+  cmvc.kvo.removeObservers(obj);
+  assertObjectEquals(before, cmvc.kvo.debug.getStats());
+}
+
+
+function testTraceLogsChangesAndPropagations() {
+  var source = {getId: function() { return "source"; }},
+      target = {getId: function() { return "target"; }},
+      messages = [];
+
+  cmvc.kvo.bind(source, "name", target, "name");
+  cmvc.kvo.debug.setTraceEnabled(true, function(message) { messages.push(message); });
+  try {
+    cmvc.kvo.set(source, "name", "Jane");
+  } finally {
+    cmvc.kvo.debug.setTraceEnabled(false);
+  }
+  cmvc.kvo.set(source, "name", "Janet");
+
+  assertArrayEquals([
+    'set #source.name = "Jane"',
+    'propagating: #source.name -> #target.name set("Jane")',
+    '  set #target.name = "Jane"'
+  ], messages);
+}
@@ -0,0 +1,298 @@
+goog.provide("cmvc.LocalStorageAdapter");
+
+goog.require("goog.array");
+goog.require("goog.async.Deferred");
+goog.require("goog.async.DeferredList");
+goog.require("goog.json");
+
+goog.require("cmvc");
+goog.require("cmvc.Model");
+goog.require("cmvc.kvo");
+goog.require("cmvc.serializer");
+
+
+/**
+ * cmvc.LocalStorageAdapter persists models (see cmvc.Model#adapter) in window.localStorage, or in any object that
+ * implements the getItem/setItem/removeItem methods of the Storage interface. It has the same fetch/save/destroy
+ * contract as cmvc.RestAdapter, including the request lifecycle properties of the model, so a model can switch
+ * between the two without any change to the views that show it. It can also load and save whole collections.
+ *
+ * Each model is kept under its own key, "<namespace>.<name>.<id>", as its JSON encoded data (see
+ * cmvc.Model#toJSON). The keys "<namespace>.<name>.ids", "<namespace>.<name>.nextId" and
+ * "<namespace>.<name>.version" hold the ids of the stored models, the id given to the next new model and the schema
+ * version of the stored data.
+ *
+ * When the adapter is first used and the stored data has an older schema version than the adapter (data stored
+ * without a version is version 0), the migrate function is called for each stored model, and the data it returns is
+ * stored instead (a migrate function that returns null drops the model). The migrate function works on the stored data,
+ * i.e. with the keys and transformed values written by cmvc.Model#toJSON.
+ *
+ * Options:
+ *   name - String - the name of the stored models, e.g. "drafts"
+ *   namespace - String - prefixed to all keys, to keep the keys of different applications apart; defaults to "cmvc"
+ *   storage - Object - the Storage-like object; defaults to window.localStorage
+ *   version - Number - the current schema version; defaults to 1
+ *   migrate - function(values, fromVersion, toVersion) - returns the values of a model stored with an older version,
+ *             converted to the current version
+ *   store - cmvc.Store - if given, new models are added to it once they've been saved, destroyed models are unloaded
+ *           from it and fetchAll loads models through it
+ *
+ * Usage:
+ *   myapp.models.Draft = cmvc.Model.extend({
+ *     attributes: { subject: 'string', body: 'string' },
+ *     adapter: new cmvc.LocalStorageAdapter({
+ *       name: "drafts",
+ *       namespace: "myapp",
+ *       version: 2,
+ *       migrate: function(values, fromVersion, toVersion) {
+ *         values.subject = values.title;     // version 1 called it "title"
+ *         return values;
+ *       }
+ *     })
+ *   });
+ */
+cmvc.LocalStorageAdapter = cmvc.extend(Object, {
+  /**
+   * @param {Object} options See above.
+   */
+  constructor: function(options) {
+    this.prefix_ = (options.namespace || "cmvc") + "." + options.name + ".";
+    this.storage_ = options.storage || window.localStorage;
+    this.version_ = goog.isDef(options.version) ? options.version : 1;
+    this.migrate_ = options.migrate || null;
+    this.store_ = options.store || null;
+    this.migrated_ = false;
+  },
+
+
+  /**
+   * Loads model from storage.
+   * @return {goog.async.Deferred} A deferred that succeeds with the model.
+   */
+  fetch: function(model) {
+    return this.request_(model, function() {
+      var data = this.read_(model.getId());
+      if(!data) {
+        throw Error("cmvc.LocalStorageAdapter: no stored model has the id " + model.getId() + ".");
+      }
+      model.fromJSON(data);
+    });
+  },
+
+
+  /**
+   * Stores model, giving it an id first if it is new.
+   * @return {goog.async.Deferred} A deferred that succeeds with the model.
+   */
+  save: function(model) {
+    var isNew = model.isNew(),
+        deferred = this.request_(model, function() {
+          var ids = this.readIds_(),
+              id;
+
+          if(model.isNew()) {
+            id = this.nextId_(ids);
+            this.writeItem_("nextId", id + 1);
+            model.set(model.idAttribute, id);
+          }
+          this.writeItem_(String(model.getId()), model.toJSON());
+          if(!goog.array.contains(ids, model.getId())) {
+            ids.push(model.getId());
+            this.writeItem_("ids", ids);
+          }
+        });
+
+    if(isNew && this.store_) {
+      deferred.addCallback(function(model) {
+        return this.store_.add(model);
+      }, this);
+    }
+    return deferred;
+  },
+
+
+  /**
+   * Removes model from storage (unless it is new).
+   * @return {goog.async.Deferred} A deferred that succeeds with the model.
+   */
+  destroy: function(model) {
+    var deferred;
+
+    // a model that was never saved has nothing to remove from storage
+    if(model.isNew()) {
+      return goog.async.Deferred.succeed(model);
+    }
+
+    deferred = this.request_(model, function() {
+      this.storage_.removeItem(this.prefix_ + model.getId());
+      this.writeItem_("ids", goog.array.filter(this.readIds_(), function(id, i, a) { return id !== model.getId(); }));
+    });
+
+    if(this.store_) {
+      deferred.addCallback(function(model) {
+        this.store_.unload(model.constructor, model.getId());
+        return model;
+      }, this);
+    }
+    return deferred;
+  },
+
+
+  /**
+   * Replaces the models of collection with all of the stored models.
+   * @return {goog.async.Deferred} A deferred that succeeds with the collection.
+   */
+  fetchAll: function(collection) {
+    try {
+      var type = collection.model,
+          data = goog.array.map(this.readIds_(), function(id, i, a) {
+            return cmvc.serializer.deserialize(type, this.read_(id));
+          }, this);
+
+      collection.reset(this.store_ ? this.store_.load(type, data) : goog.array.map(data, function(values, i, a) {
+        var model = new type(values);
+        model.setRequestState({isLoaded: true});
+        return model;
+      }));
+      return goog.async.Deferred.succeed(collection);
+    } catch(e) {
+      return goog.async.Deferred.fail(e);
+    }
+  },
+
+
+  /**
+   * Saves every model of collection (see cmvc.Model#save, which validates the model first).
+   * @return {goog.async.Deferred} A deferred that succeeds with the collection, or fails with the first error.
+   */
+  saveAll: function(collection) {
+    var deferreds = [];
+
+    collection.forEach(function(model, i, a) {
+      deferreds.push(model.save());
+    });
+
+    // consumes the errors of the models, so only the error of the list (the first one) is left to the caller
+    return new goog.async.DeferredList(deferreds, false, true, true).addCallback(function(results) {
+      return collection;
+    });
+  },
+
+
+  /**
+   * Runs fn, which accesses storage for model, and keeps the lifecycle properties of model up to date.
+   * @private
+   */
+  request_: function(model, fn) {
+    model.setRequestState({isLoading: true, requestError: null});
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      fn.call(this);
+      model.commit();
+      model.setRequestState({isLoading: false, isLoaded: true});
+      return goog.async.Deferred.succeed(model);
+    } catch(e) {
+      // e.g. the storage quota is exceeded
+      model.setRequestState({isLoading: false, requestError: e});
+      return goog.async.Deferred.fail(e);
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+  },
+
+
+  /**
+   * Returns the stored values of the model with the given id, or null.
+   * @private
+   */
+  read_: function(id) {
+    return this.readItem_(String(id));
+  },
+
+
+  /**
+   * Returns the ids of the stored models.
+   * @private
+   */
+  readIds_: function() {
+    return this.readItem_("ids") || [];
+  },
+
+
+  /**
+   * Returns the id for a new model: the stored next id, but never one of the ids of the stored models, since data
+   * stored by older versions (or by other code) may hold ids without a next id.
+   * @private
+   */
+  nextId_: function(ids) {
+    var maxId = Math.max.apply(Math, [0].concat(goog.array.filter(ids, goog.isNumber)));
+    return Math.max(this.readItem_("nextId") || 1, maxId + 1);
+  },
+
+
+  /**
+   * Returns the decoded value stored under the key, after migrating the stored data if needed.
+   * @private
+   */
+  readItem_: function(key) {
+    var text;
+
+    this.migrateIfNeeded_();
+    text = this.storage_.getItem(this.prefix_ + key);
+    return goog.isDefAndNotNull(text) ? goog.json.parse(text) : null;
+  },
+
+
+  /**
+   * @private
+   */
+  writeItem_: function(key, value) {
+    this.migrateIfNeeded_();
+    this.storage_.setItem(this.prefix_ + key, goog.json.serialize(value));
+  },
+
+
+  /**
+   * Migrates the stored data to the current schema version, once.
+   * @private
+   */
+  migrateIfNeeded_: function() {
+    var storage = this.storage_,
+        prefix = this.prefix_,
+        text,
+        fromVersion,
+        ids;
+
+    if(this.migrated_) {
+      return;
+    }
+    this.migrated_ = true;
+
+    text = storage.getItem(prefix + "version");
+    fromVersion = goog.isDefAndNotNull(text) ? goog.json.parse(text) : 0;
+    if(fromVersion < this.version_) {
+      text = storage.getItem(prefix + "ids");
+      ids = goog.isDefAndNotNull(text) ? goog.json.parse(text) : [];
+
+      if(this.migrate_) {
+        ids = goog.array.filter(ids, function(id, i, a) {
+          var text = storage.getItem(prefix + id),
+              values = goog.isDefAndNotNull(text) ? this.migrate_(goog.json.parse(text), fromVersion, this.version_) : null;
+
+          if(values) {
+            storage.setItem(prefix + id, goog.json.serialize(values));
+          } else {
+            storage.removeItem(prefix + id);
+          }
+          return !!values;
+        }, this);
+        storage.setItem(prefix + "ids", goog.json.serialize(ids));
+      }
+    }
+    if(fromVersion != this.version_) {
+      storage.setItem(prefix + "version", goog.json.serialize(this.version_));
+    }
+  }
+});
+
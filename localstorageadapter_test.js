@@ -0,0 +1,194 @@
+goog.provide("cmvc.LocalStorageAdapterTest");
+
+goog.require("goog.json");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Collection");
+goog.require("cmvc.LocalStorageAdapter");
+goog.require("cmvc.Model");
+
+
+/**
+ * A Storage-like object backed by a map.
+ */
+function createStorage(items) {
+  return {
+    items: items,
+    getItem: function(key) { return key in this.items ? this.items[key] : null; },
+    setItem: function(key, value) { this.items[key] = String(value); },
+    removeItem: function(key) { delete this.items[key]; }
+  };
+}
+
+
+function testNewIdsSkipTheIdsOfDataStoredWithoutNextId() {
+  // data stored by a version that didn't keep a next id
+  var storage = createStorage({
+        "test.drafts.ids": goog.json.serialize([1]),
+        "test.drafts.1": goog.json.serialize({id: 1, title: "old"})
+      }),
+      Draft = cmvc.Model.extend({
+        attributes: {subject: 'string'},
+        adapter: new cmvc.LocalStorageAdapter({
+          name: "drafts",
+          namespace: "test",
+          storage: storage,
+          version: 2,
+          migrate: function(values, fromVersion, toVersion) {
+            return {id: values.id, subject: values.title};
+          }
+        })
+      }),
+      draft = new Draft({subject: "new"}),
+      collection = new cmvc.Collection();
+
+  draft.save();
+  assertEquals(2, draft.getId());
+
+  collection.model = Draft;
+  Draft.prototype.adapter.fetchAll(collection);
+  assertArrayEquals(["old", "new"], collection.pluck("subject"));
+}
+
+
+/**
+ * Returns a draft class that stores its drafts in storage.
+ */
+function createDraftClass(storage) {
+  return cmvc.Model.extend({
+    attributes: {subject: 'string'},
+    validations: {subject: {required: true}},
+    adapter: new cmvc.LocalStorageAdapter({name: "drafts", namespace: "test", storage: storage})
+  });
+}
+
+
+function testSaveAllStoresEveryModel() {
+  var storage = createStorage({}),
+      Draft = createDraftClass(storage),
+      collection = new cmvc.Collection([new Draft({subject: "a"}), new Draft({subject: "b"})]),
+      result = null;
+
+  Draft.prototype.adapter.saveAll(collection).addCallback(function(c) { result = c; });
+
+  assertEquals(collection, result);
+  assertArrayEquals([1, 2], goog.json.parse(storage.getItem("test.drafts.ids")));
+}
+
+
+function testSaveAllFailsForAnInvalidModelAndDoesNotStoreIt() {
+  var storage = createStorage({}),
+      Draft = createDraftClass(storage),
+      invalid = new Draft({subject: ""}),
+      collection = new cmvc.Collection([new Draft({subject: "valid"}), invalid]),
+      error = null;
+
+  Draft.prototype.adapter.saveAll(collection).addErrback(function(e) { error = e; });
+
+  assertTrue(error instanceof cmvc.Model.ValidationError);
+  assertTrue(invalid.isNew());
+  assertArrayEquals([1], goog.json.parse(storage.getItem("test.drafts.ids")));
+}
+
+
+function testSaveAllFailsWhenTheStorageFails() {
+  var storage = createStorage({}),
+      Draft = createDraftClass(storage),
+      collection = new cmvc.Collection([new Draft({subject: "a"})]),
+      error = null;
+
+  storage.setItem = function(key, value) { throw Error("quota exceeded"); };
+  Draft.prototype.adapter.saveAll(collection).addErrback(function(e) { error = e; });
+
+  assertEquals("quota exceeded", error.message);
+  assertEquals(error, collection.at(0).requestError);
+}
+
+
+function testModelsAreKeptUnderNamespacedKeys() {
+  var storage = createStorage({}),
+      Draft = createDraftClass(storage),
+      draft = new Draft({subject: "hi"});
+
+  draft.save();
+  draft.set('subject', "hello");
+  draft.save();
+
+  assertEquals(1, draft.getId());
+  assertObjectEquals({subject: "hello", id: 1}, goog.json.parse(storage.getItem("test.drafts.1")));
+  assertEquals("2", storage.getItem("test.drafts.nextId"));
+  assertEquals("1", storage.getItem("test.drafts.version"));
+  assertTrue(draft.isLoaded);
+  assertFalse(draft.isLoading);
+  assertFalse(draft.isDirty);
+}
+
+
+function testFetchAndDestroy() {
+  var storage = createStorage({}),
+      Draft = createDraftClass(storage),
+      draft = new Draft({subject: "hi"}),
+      copy,
+      error = null;
+
+  draft.save();
+  copy = new Draft({id: draft.getId()});
+  copy.fetch();
+  assertEquals("hi", copy.subject);
+
+  draft.destroy();
+  assertNull(storage.getItem("test.drafts.1"));
+  assertArrayEquals([], goog.json.parse(storage.getItem("test.drafts.ids")));
+
+  copy.fetch().addErrback(function(e) { error = e; });
+  assertNotNull(error);
+  assertEquals(error, copy.requestError);
+}
+
+
+function testFetchAllReplacesTheModelsOfTheCollection() {
+  var storage = createStorage({}),
+      Draft = createDraftClass(storage),
+      collection = new cmvc.Collection([new Draft({subject: "x"})]);
+
+  new Draft({subject: "a"}).save();
+  new Draft({subject: "b"}).save();
+  collection.model = Draft;
+  Draft.prototype.adapter.fetchAll(collection);
+
+  assertArrayEquals(["a", "b"], collection.pluck("subject"));
+  assertTrue(collection.at(0).isLoaded);
+}
+
+
+function testMigrateConvertsAndDropsStoredModels() {
+  var storage = createStorage({
+        "test.drafts.version": "1",
+        "test.drafts.ids": "[1,2]",
+        "test.drafts.nextId": "3",
+        "test.drafts.1": '{"id":1,"title":"keep"}',
+        "test.drafts.2": '{"id":2,"title":""}'
+      }),
+      versions = [],
+      adapter = new cmvc.LocalStorageAdapter({
+        name: "drafts",
+        namespace: "test",
+        storage: storage,
+        version: 2,
+        migrate: function(values, fromVersion, toVersion) {
+          versions.push(fromVersion + "->" + toVersion);
+          return values.title ? {id: values.id, subject: values.title} : null;
+        }
+      }),
+      Draft = cmvc.Model.extend({attributes: {subject: 'string'}, adapter: adapter}),
+      draft = new Draft({id: 1});
+
+  draft.fetch();
+  draft.fetch();
+
+  assertEquals("keep", draft.subject);
+  assertArrayEquals(["1->2", "1->2"], versions);
+  assertArrayEquals([1], goog.json.parse(storage.getItem("test.drafts.ids")));
+  assertNull(storage.getItem("test.drafts.2"));
+  assertEquals("2", storage.getItem("test.drafts.version"));
+}
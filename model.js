@@ -0,0 +1,717 @@
+goog.provide("cmvc.Model");
+goog.provide("cmvc.Model.ChangeEvent");
+goog.provide("cmvc.Model.EventType");
+goog.provide("cmvc.Model.ValidationError");
+
+goog.require("goog.array");
+goog.require("goog.async.Deferred");
+goog.require("goog.debug.Error");
+goog.require("goog.events.Event");
+goog.require("goog.events.EventTarget");
+goog.require("goog.object");
+goog.require("goog.string");
+
+goog.require("cmvc");
+goog.require("cmvc.kvo");
+goog.require("cmvc.serializer");
+goog.require("cmvc.validation");
+
+
+/**
+ * cmvc.Model is the base class of the "M" in closuremvc. A model declares its attributes, with their types and default
+ * values, in an attributes map. The declarations are inherited and merged down the class hierarchy (see
+ * cmvc.inheritProperty), so a subclass adds attributes to those of its superclass, and may redeclare an inherited one.
+ *
+ * Each attribute is an observable property of the model (see cmvc.kvo.observable), so views can bind to it through
+ * propertyBindings, and changes made with model.set(), cmvc.kvo.set() or a plain assignment are all observed.
+ * Whenever attributes change, the model dispatches a cmvc.Model.ChangeEvent; changes made inside a batch (see
+ * cmvc.kvo.beginPropertyChanges) are dispatched together in a single event.
+ *
+ * An attribute declaration is either a type or an object of the form:
+ *   { type: String|Function, defaultValue: *, key: String, transform: String|Object, serialize: Boolean }
+ * where type is one of 'string', 'number', 'boolean', 'date', 'array', 'object', or a constructor function. Values
+ * passed to the constructor or to set() are converted to the declared type (see cmvc.Model.coerce). A defaultValue
+ * that is a function is called to produce the default value of each new instance; an array or object default value
+ * is cloned for each new instance. key, transform and serialize control how the attribute is written by toJSON() and
+ * read by fromJSON() (see cmvc.serializer).
+ *
+ * A model is validated against the rules declared in its validations and modelValidators (see below) by validate()
+ * and isValid(). The resulting error messages are kept in the observable errors property, which maps attribute names to
+ * error messages, so a view can bind to, e.g., "model.errors.email" to show the error next to the email field.
+ * save() refuses to save an invalid model.
+ *
+ * Usage:
+ *   myapp.models.Person = cmvc.Model.extend({
+ *     attributes: {
+ *       firstName: 'string',
+ *       lastName: 'string',
+ *       age: { type: 'number', defaultValue: 0 },
+ *       tags: 'array'
+ *     }
+ *   });
+ *   myapp.models.Employee = myapp.models.Person.extend({
+ *     attributes: {
+ *       hiredOn: { type: 'date', defaultValue: function() { return new Date(); } }
+ *     }
+ *   });
+ *
+ *   var e = new myapp.models.Employee({firstName: "Ann", age: "42"});
+ *   e.get('age');             // 42
+ *   e.set('lastName', "Lee");
+ *   e.set({firstName: "Anne", age: 43});
+ *
+ *   goog.events.listen(e, cmvc.Model.EventType.CHANGE, function(event) { alert(event.attributes.join(", ")); });
+ */
+cmvc.Model = cmvc.extend(goog.events.EventTarget, {
+  /**
+   * Attribute declarations; merged with the declarations of the superclasses.
+   */
+  attributes: {},
+
+
+  /**
+   * The attribute that identifies the model (see cmvc.Store); it is declared automatically if the attributes don't
+   * declare it.
+   */
+  idAttribute: 'id',
+
+
+  /**
+   * Attribute validation rules; merged with the rules of the superclasses. Maps attribute names to a map of
+   * validators (see cmvc.validation), e.g.:
+   *   validations: {
+   *     name: { required: true, length: { max: 40 } },
+   *     email: { pattern: /^\S+@\S+$/ },
+   *     age: { range: { min: 0, max: 150 } },
+   *     password: { custom: function(value, model) { return value == this.name ? "can't be your name" : null; } }
+   *   }
+   */
+  validations: {},
+
+
+  /**
+   * Whole-model validators; appended to the validators of the superclasses. Each one is called with the model as
+   * "this" and as its argument, and returns null if the model is valid, an error message (which is reported under the
+   * 'base' key of the errors map) or a map of attribute names to error messages, e.g.:
+   *   modelValidators: [
+   *     function(model) { return this.endsOn < this.startsOn ? {endsOn: "must be after the start date"} : null; }
+   *   ]
+   */
+  modelValidators: [],
+
+
+  /**
+   * If true, the model is validated again whenever its attributes change, so errors shown by views stay current.
+   */
+  validateOnChange: false,
+
+
+  /**
+   * The adapter that persists the model (e.g. a cmvc.RestAdapter); it is used by fetch(), save() and destroy(). An
+   * adapter has the methods fetch(model), save(model) and destroy(model), each of which returns a goog.async.Deferred.
+   */
+  adapter: null,
+
+
+  /**
+   * Relationship declarations (see cmvc.relationships); merged with the declarations of the superclasses. A file that
+   * declares a model with relationships must require cmvc.relationships.
+   */
+  relationships: {},
+
+
+  /**
+   * @param {Object=} opt_values A map of initial attribute values; the others get their default values.
+   */
+  constructor: function(opt_values) {
+    goog.events.EventTarget.call(this);
+
+    var declarations = this.getAttributeDeclarations(),
+        values = opt_values || {};
+
+    goog.object.forEach(declarations, function(declaration, name, o) {
+      if(goog.isFunction(this[name])) {
+        throw Error("cmvc.Model: the attribute '" + name + "' would hide the method of the same name.");
+      }
+      this[name] = name in values ? cmvc.Model.coerce(values[name], declaration.type) : cmvc.Model.defaultValue_(declaration);
+    }, this);
+
+    /**
+     * Maps the names of the invalid attributes to their error messages; errors of the whole model are kept under the
+     * 'base' key. Set by validate(); observable.
+     * @type {Object}
+     */
+    this.errors = {};
+
+    /**
+     * The state of the requests made by the adapter; all observable:
+     *   isLoading - true while a request is in progress
+     *   isLoaded - true once the model has been fetched or saved
+     *   requestError - the error of the last request that failed, or null
+     */
+    this.isLoading = false;
+    this.isLoaded = false;
+    this.requestError = null;
+
+    /**
+     * True if some attribute differs from its committed value (see commit()); observable, so e.g. the enabled_ property
+     * of a Save button can be bound to it.
+     * @type {boolean}
+     */
+    this.isDirty = false;
+
+    /**
+     * The committed attribute values; see commit().
+     * @type {Object}
+     * @private
+     */
+    this.committedValues_ = this.snapshot();
+
+    cmvc.kvo.observable(this, goog.object.getKeys(declarations).concat(["errors", "isLoading", "isLoaded", "requestError",
+                                                                        "isDirty"]));
+
+    if(this.hasRelationships_()) {
+      cmvc.relationships.init(this, values);
+    }
+  },
+
+
+  /**
+   * Returns the attribute declarations of this model, merged down the class hierarchy and normalized to the form
+   *   { type: String|Function, defaultValue: * }
+   */
+  getAttributeDeclarations: function() {
+    // the declarations are cached on the object itself, which may also be the prototype of the class (see
+    //   cmvc.serializer.deserialize), so they aren't picked up by the instances of a subclass
+    if(!this.hasOwnProperty("attributeDeclarations_")) {
+      this.attributeDeclarations_ = goog.object.map(cmvc.inheritProperty(this, "attributes", 2) || {}, function(declaration, name, o) {
+        return goog.isString(declaration) || goog.isFunction(declaration) ? { type: declaration } : declaration;
+      });
+      if(!this.attributeDeclarations_[this.idAttribute]) {
+        this.attributeDeclarations_[this.idAttribute] = {};
+      }
+    }
+    return this.attributeDeclarations_;
+  },
+
+
+  /**
+   * Returns the value of the id attribute.
+   */
+  getId: function() {
+    return this[this.idAttribute];
+  },
+
+
+  /**
+   * Returns the relationship declarations of this model, merged down the class hierarchy.
+   */
+  getRelationships: function() {
+    if(!this.hasOwnProperty("relationshipDeclarations_")) {
+      this.relationshipDeclarations_ = cmvc.inheritProperty(this, "relationships", 2) || {};
+    }
+    return this.relationshipDeclarations_;
+  },
+
+
+  /**
+   * Returns the names of the declared attributes.
+   */
+  getAttributeNames: function() {
+    return goog.object.getKeys(this.getAttributeDeclarations());
+  },
+
+
+  /**
+   * Returns true if name is a declared attribute of this model.
+   */
+  hasAttribute: function(name) {
+    return goog.object.containsKey(this.getAttributeDeclarations(), name);
+  },
+
+
+  /**
+   * Returns the value of an attribute. name may also be a key path (e.g. "address.city") or a computed property
+   * (see cmvc.kvo.get).
+   */
+  get: function(name) {
+    return cmvc.kvo.get(this, name);
+  },
+
+
+  /**
+   * Sets the value of an attribute, converted to the declared type of the attribute, or of a relationship (see
+   * cmvc.relationships.set).
+   *
+   * Function signature:
+   *   1. set(name, value)
+   *   2. set(values) - sets several attributes at once; their observers are notified after all of them have been set
+   */
+  set: function(name, value) {
+    if(goog.isObject(name)) {
+      cmvc.kvo.beginPropertyChanges();
+      try {
+        goog.object.forEach(name, function(v, n, o) { this.set(n, v); }, this);
+      } finally {
+        cmvc.kvo.endPropertyChanges();
+      }
+    } else if(this.getRelationships()[name]) {
+      cmvc.relationships.set(this, name, value);
+    } else {
+      if(!this.hasAttribute(name)) {
+        throw Error("cmvc.Model: '" + name + "' is not a declared attribute.");
+      }
+      cmvc.kvo.set(this, name, cmvc.Model.coerce(value, this.getAttributeDeclarations()[name].type));
+    }
+    return this;
+  },
+
+
+  /**
+   * Returns a map of the current attribute values.
+   */
+  getValues: function() {
+    return goog.object.map(this.getAttributeDeclarations(), function(declaration, name, o) {
+      return this[name];
+    }, this);
+  },
+
+
+  /**
+   * Sets the declared attributes in values whose values differ from the current ones, so observers are only notified
+   * of the attributes that actually changed; relationships in values are set as well (see cmvc.relationships.merge),
+   * other members of values are ignored. Used to apply data received from a server.
+   */
+  merge: function(values) {
+    var declarations = this.getAttributeDeclarations(),
+        changed = {};
+
+    goog.object.forEach(values, function(value, name, o) {
+      if(declarations[name]) {
+        value = cmvc.Model.coerce(value, declarations[name].type);
+        if(!cmvc.Model.valuesEqual_(value, this[name])) {
+          changed[name] = value;
+        }
+      }
+    }, this);
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      if(!goog.object.isEmpty(changed)) {
+        this.set(changed);
+      }
+      if(this.hasRelationships_()) {
+        cmvc.relationships.merge(this, values);
+      }
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+    return this;
+  },
+
+
+  /**
+   * Returns the data of the model as a map that can be JSON encoded, as declared by its attributes (see
+   * cmvc.serializer); dates are written as milliseconds since the epoch unless declared otherwise. Used by the
+   * adapters.
+   */
+  toJSON: function() {
+    return cmvc.serializer.serialize(this);
+  },
+
+
+  /**
+   * Merges data written by toJSON() (e.g. by a server or into storage) into the model (see merge()). Used by the
+   * adapters.
+   */
+  fromJSON: function(data) {
+    return this.merge(cmvc.serializer.deserialize(this.constructor, data));
+  },
+
+
+  /**
+   * Sets the request lifecycle properties (isLoading, isLoaded and requestError) in state that differ from the current
+   * ones; called by adapters.
+   * @protected
+   */
+  setRequestState: function(state) {
+    goog.object.forEach(state, function(value, name, o) {
+      if(this[name] !== value) {
+        cmvc.kvo.set(this, name, value);
+      }
+    }, this);
+  },
+
+
+  /**
+   * Returns the attributes whose values differ from their committed values, as a map of attribute names to
+   * { oldValue: *, newValue: * } pairs, where oldValue is the committed value.
+   */
+  changedAttributes: function() {
+    var changed = {};
+
+    goog.object.forEach(this.committedValues_, function(value, name, o) {
+      if(!cmvc.Model.valuesEqual_(value, this[name])) {
+        changed[name] = { oldValue: value, newValue: this[name] };
+      }
+    }, this);
+    return changed;
+  },
+
+
+  /**
+   * Returns a copy of the current attribute values, which can be passed to rollback() later.
+   */
+  snapshot: function() {
+    return cmvc.Model.copyValues_(this.getValues());
+  },
+
+
+  /**
+   * Reverts the attributes to a snapshot (see snapshot()), or to their committed values if no snapshot is given.
+   */
+  rollback: function(opt_snapshot) {
+    return this.merge(cmvc.Model.copyValues_(opt_snapshot || this.committedValues_));
+  },
+
+
+  /**
+   * Makes the current attribute values the committed values, so the model is no longer dirty. Adapters commit a model
+   * once it has been fetched or saved.
+   */
+  commit: function() {
+    this.committedValues_ = this.snapshot();
+    if(this.isDirty) {
+      cmvc.kvo.set(this, "isDirty", false);
+    }
+    return this;
+  },
+
+
+  /**
+   * Returns true if the model hasn't been saved yet, i.e. if it has no id.
+   */
+  isNew: function() {
+    return !goog.isDefAndNotNull(this.getId());
+  },
+
+
+  /**
+   * Validates the model, updates the errors property and returns a map of the errors found (see the errors property).
+   */
+  validate: function() {
+    var errors = {};
+
+    goog.object.forEach(this.getAttributeValidators_(), function(validators, name, o) {
+      var value = this[name],
+          message = null;
+      goog.array.some(validators, function(validator, i, a) {
+        return goog.isDefAndNotNull(message = validator.call(this, value, this));
+      }, this);
+      if(goog.isDefAndNotNull(message)) {
+        errors[name] = message;
+      }
+    }, this);
+
+    goog.array.forEach(cmvc.inheritProperty(this, "modelValidators", 3) || [], function(validator, i, a) {
+      var result = validator.call(this, this);
+      if(goog.isString(result)) {
+        errors['base'] = errors['base'] || result;
+      } else if(goog.isObject(result)) {
+        goog.object.forEach(result, function(message, name, o) {
+          errors[name] = errors[name] || message;
+        });
+      }
+    }, this);
+
+    // only replace the errors property when the errors changed, so views bound to it aren't updated needlessly; it is
+    //   set to a copy of errors, since observing a key path through it (e.g. "errors.email") stamps it with a uid
+    if(goog.object.getCount(errors) != goog.object.getCount(this.errors) ||
+       goog.object.some(errors, function(message, name, o) { return this.errors[name] !== message; }, this)) {
+      cmvc.kvo.set(this, "errors", goog.object.clone(errors));
+    }
+    return errors;
+  },
+
+
+  /**
+   * Validates the model and returns true if it is valid.
+   */
+  isValid: function() {
+    return goog.object.isEmpty(this.validate());
+  },
+
+
+  /**
+   * Saves the model. An invalid model isn't saved; the returned deferred fails with a cmvc.Model.ValidationError.
+   *
+   * @return {goog.async.Deferred} A deferred that succeeds with the model once it has been saved.
+   */
+  save: function() {
+    var errors = this.validate();
+    if(!goog.object.isEmpty(errors)) {
+      return goog.async.Deferred.fail(new cmvc.Model.ValidationError(this, errors));
+    }
+    return this.saveInternal();
+  },
+
+
+  /**
+   * Saves a valid model through its adapter.
+   * @return {goog.async.Deferred}
+   * @protected
+   */
+  saveInternal: function() {
+    return this.adapter ? this.adapter.save(this) :
+                          goog.async.Deferred.fail(Error("cmvc.Model: this model doesn't know how to save itself."));
+  },
+
+
+  /**
+   * Loads the model through its adapter.
+   *
+   * @return {goog.async.Deferred} A deferred that succeeds with the model once it has been loaded.
+   */
+  fetch: function() {
+    return this.adapter ? this.adapter.fetch(this) :
+                          goog.async.Deferred.fail(Error("cmvc.Model: this model doesn't know how to fetch itself."));
+  },
+
+
+  /**
+   * Deletes the model through its adapter. Once it has been deleted, it is detached from the models it is related to,
+   * and the related models declared with the cascade option are destroyed as well.
+   *
+   * @return {goog.async.Deferred} A deferred that succeeds with the model once it has been deleted.
+   */
+  destroy: function() {
+    var cascaded;
+
+    if(!this.adapter) {
+      return goog.async.Deferred.fail(Error("cmvc.Model: this model doesn't know how to destroy itself."));
+    }
+    if(!this.hasRelationships_()) {
+      return this.adapter.destroy(this);
+    }
+
+    cascaded = cmvc.relationships.getCascadedModels(this);
+    return this.adapter.destroy(this).addCallback(function(model) {
+      cmvc.relationships.detach(this);
+      goog.array.forEach(cascaded, function(related, i, a) {
+        // a related model that can't be destroyed reports the error through its own requestError property
+        related.destroy().addErrback(function(error) { return null; });
+      });
+      return model;
+    }, this);
+  },
+
+
+  /**
+   * Returns the validator functions for every attribute that has validation rules.
+   * @private
+   */
+  getAttributeValidators_: function() {
+    if(!this.attributeValidators_) {
+      this.attributeValidators_ = goog.object.map(cmvc.inheritProperty(this, "validations", 2) || {}, function(rules, name, o) {
+        return cmvc.validation.createValidators(rules);
+      });
+    }
+    return this.attributeValidators_;
+  },
+
+
+  /**
+   * Called by cmvc.kvo once with all of the property changes of this model that were made since the last call (see
+   * cmvc.kvo.deliver_). Updates isDirty and dispatches a CHANGE event for the attribute changes.
+   */
+  handlePropertyChanges: function(changes) {
+    changes = goog.array.filter(changes, function(change, i, a) {
+      return this.hasAttribute(change.property) || goog.object.containsKey(this.getRelationships(), change.property);
+    }, this);
+
+    if(changes.length > 0) {
+      if(this.isDirty != !goog.object.isEmpty(this.changedAttributes())) {
+        cmvc.kvo.set(this, "isDirty", !this.isDirty);
+      }
+      if(this.validateOnChange) {
+        this.validate();
+      }
+      this.dispatchEvent(new cmvc.Model.ChangeEvent(this, changes));
+    }
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    cmvc.Model.superClass_.disposeInternal.call(this);
+
+    if(this.hasRelationships_()) {
+      cmvc.relationships.dispose(this);
+    }
+
+    // remove all property observers
+    cmvc.kvo.removeObservers(this);
+  },
+
+
+  /**
+   * @private
+   */
+  hasRelationships_: function() {
+    return !goog.object.isEmpty(this.getRelationships());
+  }
+});
+
+
+/**
+ * Events dispatched by models.
+ * @enum {string}
+ */
+cmvc.Model.EventType = {
+  CHANGE: 'change'
+};
+
+
+/**
+ * The error that save() fails with when the model is invalid.
+ *
+ * @param {cmvc.Model} model The invalid model.
+ * @param {Object} errors The errors map of the model (see cmvc.Model#errors).
+ * @constructor
+ */
+cmvc.Model.ValidationError = cmvc.extend(goog.debug.Error, {
+  constructor: function(model, errors) {
+    goog.debug.Error.call(this, "Validation failed: " + goog.array.map(goog.object.getKeys(errors), function(name, i, a) {
+      return name + " " + errors[name];
+    }).join(", "));
+
+    /**
+     * The invalid model.
+     * @type {cmvc.Model}
+     */
+    this.model = model;
+
+    /**
+     * Maps the names of the invalid attributes to their error messages.
+     * @type {Object}
+     */
+    this.errors = errors;
+  },
+
+
+  /** @override */
+  name: "cmvc.Model.ValidationError"
+});
+
+
+/**
+ * Returns true if a and b are the same value; dates are compared by time and arrays by their members.
+ * @private
+ */
+cmvc.Model.valuesEqual_ = function(a, b) {
+  if(a instanceof Date && b instanceof Date) {
+    return a.getTime() == b.getTime();
+  }
+  if(goog.isArray(a) && goog.isArray(b)) {
+    return goog.array.equals(a, b);
+  }
+  return a === b;
+};
+
+
+/**
+ * Returns a copy of a map of attribute values, with arrays copied as well, so changes made to the arrays of one copy
+ * don't show in the other.
+ * @private
+ */
+cmvc.Model.copyValues_ = function(values) {
+  return goog.object.map(values, function(value, name, o) {
+    return goog.isArray(value) ? goog.array.clone(value) : value;
+  });
+};
+
+
+/**
+ * Converts value to type (see the cmvc.Model documentation). null and undefined are left as they are.
+ */
+cmvc.Model.coerce = function(value, type) {
+  if(!goog.isDefAndNotNull(value) || !goog.isDef(type)) {
+    return value;
+  }
+
+  if(goog.isFunction(type)) {
+    return value instanceof type ? value : new type(value);
+  }
+
+  switch(type) {
+    case 'string':
+      return String(value);
+    case 'number':
+      return goog.isNumber(value) ? value : (goog.string.isEmptySafe(value) ? null : Number(value));
+    case 'boolean':
+      return goog.isString(value) ? value != "" && value != "false" && value != "0" : !!value;
+    case 'date':
+      return value instanceof Date ? value : new Date(value);
+    case 'array':
+      return goog.isArray(value) ? value : [value];
+    case 'object':
+      return value;
+  }
+
+  throw Error("cmvc.Model: unknown attribute type '" + type + "'.");
+};
+
+
+/**
+ * Returns the default value of a declared attribute for a new model instance.
+ * @private
+ */
+cmvc.Model.defaultValue_ = function(declaration) {
+  var value = declaration.defaultValue;
+
+  // each instance gets its own copy of a mutable default; other objects are shared as they are
+  if(goog.isFunction(value)) {
+    return value();
+  } else if(value instanceof Date) {
+    return new Date(value.getTime());
+  } else if(goog.isArray(value) || (goog.isObject(value) && Object.getPrototypeOf(value) === Object.prototype)) {
+    return goog.cloneObject(value);
+  } else if(goog.isDef(value)) {
+    return value;
+  }
+  return declaration.type == 'array' ? [] : null;
+};
+
+
+/**
+ * The event dispatched by a model whenever some of its attributes change.
+ *
+ * @param {cmvc.Model} model The model whose attributes changed.
+ * @param {Array.<Object>} changes The cmvc.kvo change records of the attribute changes.
+ * @constructor
+ */
+cmvc.Model.ChangeEvent = cmvc.extend(goog.events.Event, {
+  constructor: function(model, changes) {
+    goog.events.Event.call(this, cmvc.Model.EventType.CHANGE, model);
+
+    /**
+     * The cmvc.kvo change records of the attribute changes; each one has the oldValue and newValue of the attribute.
+     * @type {Array.<Object>}
+     */
+    this.changes = changes;
+
+    /**
+     * The names of the attributes that changed.
+     * @type {Array.<string>}
+     */
+    this.attributes = goog.array.map(changes, function(change, i, a) { return change.property; });
+  },
+
+
+  /**
+   * Returns true if the named attribute is one of the attributes that changed.
+   */
+  hasChanged: function(name) {
+    return goog.array.contains(this.attributes, name);
+  }
+});
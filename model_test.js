@@ -0,0 +1,236 @@
+goog.provide("cmvc.ModelTest");
+
+goog.require("goog.async.Deferred");
+goog.require("goog.events");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Model");
+goog.require("cmvc.kvo");
+
+
+var Person = cmvc.Model.extend({
+  attributes: {
+    name: 'string',
+    age: {type: 'number', defaultValue: 0},
+    active: 'boolean',
+    tags: 'array',
+    bornOn: 'date'
+  }
+});
+
+
+var Employee = Person.extend({
+  attributes: {
+    age: {type: 'number', defaultValue: 18},
+    startedOn: {type: 'date', defaultValue: new Date(2010, 0, 1)},
+    badges: {type: 'array', defaultValue: ["new"]}
+  }
+});
+
+
+function testAttributesAreInheritedAndMayBeRedeclared() {
+  var employee = new Employee({name: "Ann"});
+
+  assertArrayEquals(["name", "age", "active", "tags", "bornOn", "startedOn", "badges", "id"],
+                    employee.getAttributeNames());
+  assertEquals(18, employee.get('age'));
+  assertEquals(0, new Person().get('age'));
+  assertTrue(employee.hasAttribute('id'));
+  assertTrue(employee.isNew());
+}
+
+
+function testValuesAreCoercedToTheDeclaredTypes() {
+  var person = new Person({age: "42", active: "false", tags: "a", bornOn: 0});
+
+  assertEquals(42, person.age);
+  assertFalse(person.active);
+  assertArrayEquals(["a"], person.tags);
+  assertEquals(0, person.bornOn.getTime());
+
+  person.set('name', 7);
+  assertEquals("7", person.name);
+  assertNull(cmvc.Model.coerce("", 'number'));
+  assertThrows(function() { cmvc.Model.coerce(1, 'money'); });
+}
+
+
+function testEachInstanceGetsItsOwnCopyOfMutableDefaults() {
+  var a = new Employee(),
+      b = new Employee();
+
+  a.badges.push("x");
+  a.startedOn.setFullYear(2000);
+
+  assertArrayEquals(["new"], b.badges);
+  assertEquals(2010, b.startedOn.getFullYear());
+  assertArrayEquals([], a.tags);
+  assertNull(a.name);
+}
+
+
+function testSetOfSeveralAttributesDispatchesOneChangeEvent() {
+  var person = new Person(),
+      events = [];
+
+  goog.events.listen(person, cmvc.Model.EventType.CHANGE, function(e) { events.push(e); });
+  person.set({name: "Ann", age: 3});
+
+  assertEquals(1, events.length);
+  assertArrayEquals(["name", "age"], events[0].attributes);
+  assertTrue(events[0].hasChanged('age'));
+  assertEquals(0, events[0].changes[1].oldValue);
+}
+
+
+function testAttributesAreObservable() {
+  var person = new Person(),
+      values = [];
+
+  cmvc.kvo.observeProperty(person, "name", function(fnName, value) { values.push(value); });
+  person.name = "Ann";
+  person.set('name', "Anne");
+
+  assertArrayEquals(["Ann", "Anne"], values);
+}
+
+
+function testMergeOnlySetsTheChangedAttributes() {
+  var person = new Person({name: "Ann", tags: ["a"]}),
+      events = [];
+
+  goog.events.listen(person, cmvc.Model.EventType.CHANGE, function(e) { events.push(e.attributes); });
+  person.merge({name: "Ann", tags: ["a"], age: 5, unknown: true});
+
+  assertArrayEquals([["age"]], events);
+}
+
+
+function testUndeclaredAttributesAndHiddenMethodsAreRejected() {
+  var Broken = cmvc.Model.extend({attributes: {save: 'string'}});
+
+  assertThrows(function() { new Person().set('nickname', "x"); });
+  assertThrows(function() { new Broken(); });
+}
+
+
+var Event = cmvc.Model.extend({
+  attributes: {title: 'string', startsOn: 'number', endsOn: 'number'},
+  validations: {title: {required: true, length: {max: 5}}},
+  modelValidators: [
+    function(model) { return this.endsOn < this.startsOn ? {endsOn: "must be after the start"} : null; },
+    function(model) { return this.title == "none" ? "is cancelled" : null; }
+  ]
+});
+
+
+function testValidateReportsTheErrorsOfTheAttributesAndOfTheModel() {
+  var event = new Event({title: "", startsOn: 2, endsOn: 1});
+
+  assertObjectEquals({title: "is required", endsOn: "must be after the start"}, event.validate());
+  assertObjectEquals(event.errors, event.validate());
+  assertFalse(event.isValid());
+
+  event.set({title: "none", endsOn: 3});
+  assertObjectEquals({base: "is cancelled"}, event.validate());
+
+  event.set('title', "party");
+  assertTrue(event.isValid());
+  assertObjectEquals({}, event.errors);
+}
+
+
+function testViewsCanObserveTheErrorOfAnAttribute() {
+  var event = new Event({title: "party"}),
+      label = {};
+
+  cmvc.kvo.bind(event, "errors.title", label, "text");
+  event.set('title', "birthday");
+  event.validate();
+  assertEquals("must be at most 5 characters long", label.text);
+
+  event.set('title', "dance");
+  event.validate();
+  assertUndefined(label.text);
+}
+
+
+function testValidateOnChange() {
+  var Checked = Event.extend({validateOnChange: true}),
+      event = new Checked({title: "party"});
+
+  event.set('title', "");
+  assertEquals("is required", event.errors.title);
+}
+
+
+function testSaveRefusesAnInvalidModel() {
+  var saved = false,
+      event = new Event({title: ""}),
+      error = null;
+
+  event.adapter = {save: function(model) { saved = true; return goog.async.Deferred.succeed(model); }};
+  event.save().addErrback(function(e) { error = e; });
+
+  assertFalse(saved);
+  assertTrue(error instanceof cmvc.Model.ValidationError);
+  assertEquals(event, error.model);
+  assertEquals("Validation failed: title is required", error.message);
+}
+
+
+function testIsDirtyTracksTheDifferenceFromTheCommittedValues() {
+  var person = new Person({name: "Ann", tags: ["a"]}),
+      dirty = [];
+
+  assertFalse(person.isDirty);
+  cmvc.kvo.observeProperty(person, "isDirty", function(fnName, value) { dirty.push(value); });
+
+  person.set('name', "Annie");
+  assertTrue(person.isDirty);
+  assertObjectEquals({name: {oldValue: "Ann", newValue: "Annie"}}, person.changedAttributes());
+
+  person.set('name', "Ann");
+  assertFalse(person.isDirty);
+  assertObjectEquals({}, person.changedAttributes());
+
+  person.tags.push("b");
+  person.set('tags', person.tags);
+  assertTrue(person.isDirty);
+
+  person.commit();
+  assertFalse(person.isDirty);
+  assertObjectEquals({}, person.changedAttributes());
+  assertArrayEquals([true, false, true, false], dirty);
+}
+
+
+function testRollbackRevertsToASnapshotOrToTheCommittedValues() {
+  var person = new Person({name: "Ann", age: 30}),
+      snapshot;
+
+  person.set('name', "Annie");
+  snapshot = person.snapshot();
+  person.set({name: "Bob", age: 40});
+
+  person.rollback(snapshot);
+  assertEquals("Annie", person.name);
+  assertEquals(30, person.age);
+  assertTrue(person.isDirty);
+
+  person.rollback();
+  assertEquals("Ann", person.name);
+  assertFalse(person.isDirty);
+}
+
+
+function testSnapshotsAreCopies() {
+  var person = new Person({tags: ["a"]}),
+      snapshot = person.snapshot();
+
+  person.tags.push("b");
+  assertArrayEquals(["a"], snapshot.tags);
+  person.rollback(snapshot);
+  assertArrayEquals(["a"], person.tags);
+  assertNotEquals(snapshot.tags, person.tags);
+}
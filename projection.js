@@ -0,0 +1,462 @@
+goog.provide("cmvc.Grouping");
+goog.provide("cmvc.Projection");
+
+goog.require("goog.array");
+goog.require("goog.events.EventHandler");
+goog.require("goog.events.EventTarget");
+goog.require("goog.object");
+
+goog.require("cmvc");
+goog.require("cmvc.Collection");
+goog.require("cmvc.Model");
+goog.require("cmvc.kvo");
+goog.require("cmvc.string");
+
+
+/**
+ * cmvc.Projection is a live, read-only view of a source collection: the models of the source that pass a filter,
+ * sorted by a key or a comparator, and optionally limited to a range (for paging). Since a projection is itself a
+ * cmvc.Collection, it can be observed, bound to, used as the store of a cmvc.ui.GoogleSelect, or be the source of
+ * another projection; the mutators of cmvc.Collection (add, remove, reset and sort) throw an error.
+ *
+ * A projection keeps itself up to date as models are added to or removed from the source, and as the attributes of
+ * the models change through cmvc.kvo. When a model changes, only that model is filtered and positioned again; the
+ * changes to the projection are reported as fine-grained ADD and REMOVE events (a model that moves is removed and
+ * added again). If the filter or sort key only depends on some of the attributes, list them in dependsOn, so changes
+ * of the other attributes are ignored.
+ *
+ * Options:
+ *   filter - function(model) - returns true for the models of the projection; all models by default
+ *   sortBy - String|Function - an attribute name or a comparator function(modelA, modelB); if it is not given, the
+ *            models are in the same order as in the source
+ *   start - Number - the index of the first model of the range; defaults to 0
+ *   count - Number - the number of models in the range; all of them by default
+ *   dependsOn - Array.<String>|String - the attributes that the filter and sortBy depend on; an attribute given as
+ *               sortBy is depended on automatically
+ *
+ * Usage:
+ *   var overdue = new cmvc.Projection(invoices, {
+ *     filter: function(invoice) { return invoice.get('dueOn') < new Date() && !invoice.get('paid'); },
+ *     sortBy: 'dueOn',
+ *     dependsOn: 'dueOn paid'
+ *   });
+ *   var firstPage = new cmvc.Projection(overdue, {count: 20});
+ *   firstPage.setRange(20, 20);   // second page
+ */
+cmvc.Projection = cmvc.Collection.extend({
+  /**
+   * @param {cmvc.Collection} source The collection that is projected.
+   * @param {Object=} opt_options See above.
+   */
+  constructor: function(source, opt_options) {
+    var options = opt_options || {};
+
+    cmvc.Projection.superClass_.constructor.call(this);
+
+    /**
+     * @type {cmvc.Collection}
+     * @private
+     */
+    this.source_ = source;
+
+    this.filter_ = options.filter || null;
+    this.sortBy_ = options.sortBy || null;
+    this.start_ = options.start || 0;
+    this.count_ = goog.isDef(options.count) ? options.count : null;
+    this.dependsOn_ = goog.isString(options.dependsOn) ? cmvc.string.words(options.dependsOn) : (options.dependsOn || null);
+    if(this.dependsOn_ && goog.isString(this.sortBy_)) {
+      this.dependsOn_ = this.dependsOn_.concat([this.sortBy_]);
+    }
+
+    /**
+     * The models of the source that pass the filter, in projection order, before the range is applied.
+     * @type {Array.<cmvc.Model>}
+     * @private
+     */
+    this.matches_ = [];
+
+    /**
+     * @type {goog.events.EventHandler}
+     * @private
+     */
+    this.handler_ = new goog.events.EventHandler(this);
+    this.handler_.listen(source, cmvc.Collection.EventType.ADD, this.handleSourceAdd_).
+                  listen(source, cmvc.Collection.EventType.REMOVE, this.handleSourceRemove_).
+                  listen(source, [cmvc.Collection.EventType.RESET, cmvc.Collection.EventType.SORT], this.rebuild_).
+                  listen(source, cmvc.Model.EventType.CHANGE, this.handleSourceModelChange_);
+
+    this.rebuild_();
+  },
+
+
+  /**
+   * Returns the source collection.
+   */
+  getSource: function() {
+    return this.source_;
+  },
+
+
+  /**
+   * Replaces the filter function; null removes it.
+   */
+  setFilter: function(filter) {
+    this.filter_ = filter;
+    this.rebuild_();
+  },
+
+
+  /**
+   * Replaces the sort key or comparator; null restores the order of the source.
+   */
+  setSortBy: function(sortBy) {
+    this.sortBy_ = sortBy;
+    this.rebuild_();
+  },
+
+
+  /**
+   * Limits the projection to count models, starting at index start; a count of null removes the limit.
+   */
+  setRange: function(start, count) {
+    this.start_ = start;
+    this.count_ = count;
+    this.sync_();
+  },
+
+
+  /**
+   * Returns the number of models that pass the filter, regardless of the range; e.g. for computing the number of pages.
+   */
+  getMatchCount: function() {
+    return this.matches_.length;
+  },
+
+
+  add: function(models, opt_index) {
+    throw Error("cmvc.Projection: a projection is read-only.");
+  },
+
+
+  remove: function(models) {
+    throw Error("cmvc.Projection: a projection is read-only.");
+  },
+
+
+  reset: function(opt_models) {
+    throw Error("cmvc.Projection: a projection is read-only.");
+  },
+
+
+  sort: function(opt_comparator) {
+    throw Error("cmvc.Projection: a projection is read-only.");
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    this.handler_.dispose();
+    this.handler_ = null;
+    this.matches_ = [];
+    this.source_ = null;
+
+    cmvc.Projection.superClass_.disposeInternal.call(this);
+  },
+
+
+  /**
+   * Returns true if model passes the filter.
+   * @private
+   */
+  accepts_: function(model) {
+    return !this.filter_ || !!this.filter_(model);
+  },
+
+
+  /**
+   * Filters and sorts all of the models of the source again.
+   * @private
+   */
+  rebuild_: function() {
+    this.matches_ = goog.array.filter(this.source_.models, this.accepts_, this);
+    if(this.sortBy_) {
+      goog.array.stableSort(this.matches_, this.getSortCompareFn_());
+    }
+    this.sync_();
+  },
+
+
+  /**
+   * @private
+   */
+  handleSourceAdd_: function(e) {
+    goog.array.forEach(e.models, this.insertMatch_, this);
+    this.sync_();
+  },
+
+
+  /**
+   * @private
+   */
+  handleSourceRemove_: function(e) {
+    goog.array.forEach(e.models, function(model, i, a) {
+      goog.array.remove(this.matches_, model);
+    }, this);
+    this.sync_();
+  },
+
+
+  /**
+   * Filters and positions a model of the source again after its attributes changed.
+   * @private
+   */
+  handleSourceModelChange_: function(e) {
+    var model = e.target,
+        index = goog.array.indexOf(this.matches_, model);
+
+    if(this.dependsOn_ && !goog.array.some(this.dependsOn_, e.hasChanged, e)) {
+      return;
+    }
+
+    if(index >= 0) {
+      goog.array.removeAt(this.matches_, index);
+    }
+    if(this.accepts_(model)) {
+      this.insertMatch_(model);
+    }
+    this.sync_();
+  },
+
+
+  /**
+   * Inserts a model of the source that passes the filter into matches_, at its sorted position or at the position
+   * that follows the order of the source.
+   * @private
+   */
+  insertMatch_: function(model) {
+    var compareFn,
+        sourceIndex,
+        low = 0,
+        high = this.matches_.length,
+        middle;
+
+    if(!this.accepts_(model)) {
+      return;
+    }
+
+    if(this.sortBy_) {
+      compareFn = this.getSortCompareFn_();
+      while(low < high) {
+        middle = (low + high) >> 1;
+        if(compareFn(this.matches_[middle], model) <= 0) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+    } else {
+      sourceIndex = this.source_.indexOf(model);
+      while(low < high) {
+        middle = (low + high) >> 1;
+        if(this.source_.indexOf(this.matches_[middle]) < sourceIndex) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+    }
+
+    goog.array.insertAt(this.matches_, model, low);
+  },
+
+
+  /**
+   * Returns the compare function for sortBy.
+   * @private
+   */
+  getSortCompareFn_: function() {
+    var sortBy = this.sortBy_;
+    if(goog.isString(sortBy)) {
+      return function(a, b) {
+        return goog.array.defaultCompare(cmvc.kvo.get(a, sortBy), cmvc.kvo.get(b, sortBy));
+      };
+    }
+    return sortBy;
+  },
+
+
+  /**
+   * Brings the models of the projection in line with the range of matches_, with as few removals and insertions as
+   * possible, so observers are notified of what actually changed.
+   * @private
+   */
+  sync_: function() {
+    var target = goog.isDefAndNotNull(this.count_) ? this.matches_.slice(this.start_, this.start_ + this.count_) :
+                                                     this.matches_.slice(this.start_),
+        inTarget = {},
+        superClass = cmvc.Projection.superClass_,
+        i;
+
+    goog.array.forEach(target, function(model, i, a) {
+      inTarget[cmvc.kvo.getUid(model)] = true;
+    });
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      for(i = this.models.length - 1; i >= 0; i--) {
+        if(!inTarget[cmvc.kvo.getUid(this.models[i])]) {
+          superClass.remove.call(this, this.models[i]);
+        }
+      }
+
+      for(i = 0; i < target.length; i++) {
+        if(this.models[i] !== target[i]) {
+          // a model that is out of place is removed and added again
+          superClass.remove.call(this, target[i]);
+          superClass.add.call(this, target[i], i);
+        }
+      }
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+  }
+});
+
+
+/**
+ * cmvc.Grouping groups the models of a source collection by a key: an attribute name or a function(model) that returns
+ * the key of a model. Each group is a cmvc.Projection of the source that holds the models with the same key, so the
+ * groups are kept up to date like any other projection.
+ *
+ * The keys property is an observable, sorted array of the keys of the groups; groups are created and disposed of as
+ * keys appear and disappear.
+ *
+ * Options:
+ *   sortBy - String|Function - sorts the models within each group (see cmvc.Projection)
+ *   dependsOn - Array.<String>|String - the attributes the key and sortBy depend on (see cmvc.Projection); an
+ *               attribute key and a string sortBy are added to them
+ *
+ * Usage:
+ *   var byStatus = new cmvc.Grouping(tickets, 'status', {sortBy: 'openedOn'});
+ *   byStatus.keys;                    // ["closed", "open"]
+ *   byStatus.getGroup("open");        // a cmvc.Projection
+ */
+cmvc.Grouping = cmvc.extend(goog.events.EventTarget, {
+  /**
+   * @param {cmvc.Collection} source The collection whose models are grouped.
+   * @param {String|Function} key The attribute to group by, or a function(model) that returns the key of a model.
+   * @param {Object=} opt_options See above.
+   */
+  constructor: function(source, key, opt_options) {
+    goog.events.EventTarget.call(this);
+
+    this.source_ = source;
+    this.keyFn_ = goog.isString(key) ? function(model) { return cmvc.kvo.get(model, key); } : key;
+    this.options_ = opt_options || {};
+
+    // like a string sortBy (see cmvc.Projection), an attribute key is one of the attributes the groups depend on
+    this.dependsOn_ = goog.isString(this.options_.dependsOn) ? cmvc.string.words(this.options_.dependsOn) :
+                                                               (this.options_.dependsOn || null);
+    if(this.dependsOn_ && goog.isString(key)) {
+      this.dependsOn_ = this.dependsOn_.concat([key]);
+    }
+
+    /**
+     * The sorted keys of the groups; read-only.
+     * @type {Array}
+     */
+    this.keys = [];
+
+    /**
+     * Maps String(key) to the group (a cmvc.Projection) of the key.
+     * @type {Object}
+     * @private
+     */
+    this.groups_ = {};
+
+    // listen to the source before any group does, so a group is created before its models are reported to it
+    this.handler_ = new goog.events.EventHandler(this);
+    this.handler_.listen(source, [cmvc.Collection.EventType.ADD, cmvc.Collection.EventType.REMOVE,
+                                  cmvc.Collection.EventType.RESET, cmvc.Model.EventType.CHANGE], this.updateGroups_);
+
+    this.updateGroups_();
+  },
+
+
+  /**
+   * Returns the group of key, or null if no model has that key.
+   */
+  getGroup: function(key) {
+    return this.groups_[String(key)] || null;
+  },
+
+
+  /**
+   * Returns the key of model.
+   */
+  getKey: function(model) {
+    return this.keyFn_(model);
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    cmvc.Grouping.superClass_.disposeInternal.call(this);
+
+    this.handler_.dispose();
+    goog.object.forEach(this.groups_, function(group, k, o) {
+      group.dispose();
+    });
+    this.groups_ = {};
+
+    // remove all property observers
+    cmvc.kvo.removeObservers(this);
+  },
+
+
+  /**
+   * Creates the groups of new keys, disposes of the groups of keys that no model has any more and updates keys.
+   * @private
+   */
+  updateGroups_: function() {
+    var keys = [],
+        seen = {},
+        groups = {};
+
+    this.source_.forEach(function(model, i, a) {
+      var key = this.keyFn_(model);
+      if(!seen[String(key)]) {
+        seen[String(key)] = true;
+        keys.push(key);
+      }
+    }, this);
+    goog.array.sort(keys);
+
+    goog.array.forEach(keys, function(key, i, a) {
+      groups[String(key)] = this.groups_[String(key)] || this.createGroup_(key);
+    }, this);
+    goog.object.forEach(this.groups_, function(group, k, o) {
+      if(!groups[k]) {
+        group.dispose();
+      }
+    });
+    this.groups_ = groups;
+
+    if(!goog.array.equals(keys, this.keys)) {
+      cmvc.kvo.replace(this, "keys", keys);
+    }
+  },
+
+
+  /**
+   * @private
+   */
+  createGroup_: function(key) {
+    var keyFn = this.keyFn_;
+    return new cmvc.Projection(this.source_, {
+      filter: function(model) { return String(keyFn(model)) == String(key); },
+      sortBy: this.options_.sortBy,
+      dependsOn: this.dependsOn_
+    });
+  }
+});
@@ -0,0 +1,141 @@
+goog.provide("cmvc.ProjectionTest");
+
+goog.require("goog.array");
+goog.require("goog.events");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Collection");
+goog.require("cmvc.Grouping");
+goog.require("cmvc.Model");
+goog.require("cmvc.Projection");
+goog.require("cmvc.kvo");
+
+
+function testGroupingByAttributeRegroupsWithDependsOn() {
+  var Item = cmvc.Model.extend({attributes: {kind: 'string', n: 'number'}}),
+      a = new Item({kind: 'x', n: 1}),
+      b = new Item({kind: 'y', n: 2}),
+      grouping = new cmvc.Grouping(new cmvc.Collection([a, b]), 'kind', {dependsOn: 'n'});
+
+  a.set('kind', 'y');
+
+  assertArrayEquals(['y'], grouping.keys);
+  assertNull(grouping.getGroup('x'));
+  assertEquals(2, grouping.getGroup('y').length);
+  assertTrue(grouping.getGroup('y').contains(a));
+}
+
+
+var Invoice = cmvc.Model.extend({attributes: {number: 'number', amount: 'number', paid: 'boolean'}});
+
+
+/**
+ * Returns a collection of invoices with the given amounts, numbered from 1.
+ */
+function createInvoices(amounts) {
+  return new cmvc.Collection(goog.array.map(amounts, function(amount, i) {
+    return new Invoice({number: i + 1, amount: amount});
+  }));
+}
+
+
+function testProjectionFiltersAndSortsTheSourceLive() {
+  var invoices = createInvoices([30, 10, 20]),
+      unpaid = new cmvc.Projection(invoices, {
+        filter: function(invoice) { return !invoice.paid; },
+        sortBy: 'amount',
+        dependsOn: 'paid'
+      }),
+      events = [];
+
+  goog.events.listen(unpaid, [cmvc.Collection.EventType.ADD, cmvc.Collection.EventType.REMOVE], function(e) {
+    events.push(e.type + " " + e.models[0].number + " " + e.index);
+  });
+
+  assertArrayEquals([10, 20, 30], unpaid.pluck('amount'));
+
+  invoices.at(1).set('paid', true);
+  invoices.add(new Invoice({number: 4, amount: 25}));
+  invoices.at(0).set('amount', 5);
+  invoices.remove(invoices.at(2));
+
+  assertArrayEquals([1, 4], unpaid.pluck('number'));
+  assertArrayEquals(["remove 2 0", "add 4 1", "remove 1 2", "add 1 0", "remove 3 1"], events);
+}
+
+
+function testProjectionIgnoresChangesOfAttributesItDoesNotDependOn() {
+  var invoices = createInvoices([10, 20]),
+      projection = new cmvc.Projection(invoices, {
+        filter: function(invoice) { return invoice.amount > 15; },
+        dependsOn: 'paid'
+      });
+
+  invoices.at(0).set('amount', 50);
+  assertArrayEquals([2], projection.pluck('number'));
+
+  invoices.at(0).set('paid', true);
+  assertArrayEquals([1, 2], projection.pluck('number'));
+}
+
+
+function testRangeOfAProjectionOfAProjection() {
+  var invoices = createInvoices([1, 2, 3, 4, 5]),
+      sorted = new cmvc.Projection(invoices, {sortBy: function(a, b) { return b.amount - a.amount; }}),
+      page = new cmvc.Projection(sorted, {count: 2});
+
+  assertArrayEquals([5, 4], page.pluck('amount'));
+  page.setRange(2, 2);
+  assertArrayEquals([3, 2], page.pluck('amount'));
+
+  invoices.add(new Invoice({amount: 6}));
+  assertArrayEquals([4, 3], page.pluck('amount'));
+  assertEquals(6, page.getMatchCount());
+
+  page.setRange(4, null);
+  assertArrayEquals([2, 1], page.pluck('amount'));
+}
+
+
+function testSetFilterAndSetSortBy() {
+  var invoices = createInvoices([3, 1, 2]),
+      projection = new cmvc.Projection(invoices);
+
+  assertArrayEquals([3, 1, 2], projection.pluck('amount'));
+  projection.setSortBy('amount');
+  assertArrayEquals([1, 2, 3], projection.pluck('amount'));
+  projection.setFilter(function(invoice) { return invoice.amount != 2; });
+  assertArrayEquals([1, 3], projection.pluck('amount'));
+  projection.setSortBy(null);
+  assertArrayEquals([3, 1], projection.pluck('amount'));
+}
+
+
+function testProjectionIsReadOnly() {
+  var projection = new cmvc.Projection(createInvoices([1]));
+
+  assertThrows(function() { projection.add(new Invoice()); });
+  assertThrows(function() { projection.remove(projection.at(0)); });
+  assertThrows(function() { projection.reset(); });
+  assertThrows(function() { projection.sort('amount'); });
+}
+
+
+function testGroupingCreatesAndDisposesOfGroups() {
+  var invoices = createInvoices([10, 20, 30]),
+      byPaid = new cmvc.Grouping(invoices, function(invoice) { return invoice.paid ? "paid" : "open"; },
+                                 {sortBy: 'amount', dependsOn: 'paid'}),
+      keys = [];
+
+  cmvc.kvo.observeProperty(byPaid, "keys", function() { keys.push(goog.array.clone(byPaid.keys)); });
+  assertArrayEquals(["open"], byPaid.keys);
+
+  invoices.at(2).set('paid', true);
+  invoices.at(0).set('paid', true);
+  assertArrayEquals([10, 30], byPaid.getGroup("paid").pluck('amount'));
+  assertEquals("paid", byPaid.getKey(invoices.at(0)));
+
+  invoices.remove(invoices.at(1));
+  assertArrayEquals([["open", "paid"], ["paid"]], keys);
+  assertNull(byPaid.getGroup("open"));
+}
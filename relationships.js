@@ -0,0 +1,362 @@
+goog.provide("cmvc.relationships");
+goog.provide("cmvc.relationships.HasManyCollection");
+
+goog.require("goog.array");
+goog.require("goog.object");
+
+goog.require("cmvc");
+goog.require("cmvc.Collection");
+goog.require("cmvc.Model");
+goog.require("cmvc.Store");
+goog.require("cmvc.kvo");
+goog.require("cmvc.serializer");
+
+
+/**
+ * Support for the relationships that models declare (see cmvc.Model#relationships); a file that declares a model
+ * with relationships must require cmvc.relationships.
+ *
+ * A relationship declaration has the form:
+ *   { type: 'hasMany'|'hasOne'|'belongsTo', model: Function|String, inverse: String,
+ *     serialize: 'ids'|'embedded'|false, key: String, cascade: Boolean, store: cmvc.Store }
+ * where
+ *   model - the related model class, or its dotted name (e.g. "myapp.models.Screen"), so classes can refer to each
+ *           other regardless of the order they're defined in
+ *   inverse - the name of the relationship on the related model that points back (a hasMany or hasOne relationship
+ *             is the inverse of a belongsTo relationship, and vice versa); the two are kept in sync
+ *   serialize - how cmvc.Model#toJSON writes the relationship: 'ids' (the default) writes the id (or array of
+ *               ids) of the related models, 'embedded' writes their data (hasMany and hasOne only), and false
+ *               leaves the relationship out (see cmvc.serializer)
+ *   key - the name of the relationship in the data written by cmvc.Model#toJSON, if it differs from its name
+ *   cascade - if true, destroying the model destroys the related models too (hasMany and hasOne only)
+ *   store - the cmvc.Store that related models referenced by id are looked up in (and loaded into, for embedded
+ *           data); defaults to cmvc.Store.getInstance()
+ *
+ * A hasMany relationship is a read-only property that holds a cmvc.relationships.HasManyCollection of the related
+ * models; hasOne and belongsTo relationships are observable properties that hold the related model, or null. Since
+ * they are all observed through cmvc.kvo, views can bind to paths such as "account.screens.length" or
+ * "screen.account.name".
+ *
+ * Usage:
+ *   myapp.models.Account = cmvc.Model.extend({
+ *     attributes: { name: 'string' },
+ *     relationships: {
+ *       screens: { type: 'hasMany', model: 'myapp.models.Screen', inverse: 'account', cascade: true }
+ *     }
+ *   });
+ *   myapp.models.Screen = cmvc.Model.extend({
+ *     attributes: { title: 'string' },
+ *     relationships: {
+ *       account: { type: 'belongsTo', model: 'myapp.models.Account', inverse: 'screens' }
+ *     }
+ *   });
+ *
+ *   account.screens.add(screen);    // screen.account === account
+ *   screen.set('account', other);   // removed from account.screens, added to other.screens
+ */
+
+
+/**
+ * Sets up the relationship properties of a new model, with their initial values taken from values. Called by the
+ * cmvc.Model constructor.
+ */
+cmvc.relationships.init = function(model, values) {
+  var relationships = model.getRelationships(),
+      names = [];
+
+  goog.object.forEach(relationships, function(declaration, name, o) {
+    if(declaration.type == 'hasMany') {
+      model[name] = new cmvc.relationships.HasManyCollection(model, name);
+    } else {
+      model[name] = null;
+      names.push(name);
+    }
+  });
+
+  cmvc.kvo.observable(model, names);
+
+  goog.array.forEach(names, function(name, i, a) {
+    cmvc.kvo.observeChanges(model, name, {
+      didChange: function(oldValue, newValue, change) {
+        cmvc.relationships.updateInverse_(model, relationships[name], oldValue, newValue);
+      }
+    }, model);
+  });
+
+  cmvc.relationships.merge(model, values);
+};
+
+
+/**
+ * Sets the relationships in values. A related model may be given as a model, an id or (embedded) data; a hasMany
+ * relationship is given as an array of those.
+ */
+cmvc.relationships.merge = function(model, values) {
+  goog.object.forEach(model.getRelationships(), function(declaration, name, o) {
+    if(name in values) {
+      cmvc.relationships.set(model, name, values[name]);
+    }
+  });
+};
+
+
+/**
+ * Sets a relationship of model; value is given as for cmvc.relationships.merge. A hasMany relationship is reset to
+ * the given models.
+ */
+cmvc.relationships.set = function(model, name, value) {
+  var declaration = model.getRelationships()[name];
+
+  if(declaration.type == 'hasMany') {
+    model[name].reset(goog.array.map(value || [], function(v, i, a) {
+      return cmvc.relationships.resolve_(declaration, v);
+    }));
+  } else {
+    value = goog.isDefAndNotNull(value) ? cmvc.relationships.resolve_(declaration, value) : null;
+    if(model[name] !== value) {
+      cmvc.kvo.set(model, name, value);
+    }
+  }
+};
+
+
+/**
+ * Writes the relationships of model into data (see cmvc.serializer.serialize).
+ */
+cmvc.relationships.serialize = function(model, data) {
+  goog.object.forEach(model.getRelationships(), function(declaration, name, o) {
+    var key = declaration.key || name,
+        write = function(related) {
+          return cmvc.relationships.isEmbedded_(declaration) ? related.toJSON() : related.getId();
+        };
+
+    if(declaration.serialize === false) {
+      return;
+    }
+    if(declaration.type == 'hasMany') {
+      data[key] = goog.array.map(model[name].models, write);
+    } else {
+      data[key] = model[name] ? write(model[name]) : null;
+    }
+  });
+  return data;
+};
+
+
+/**
+ * Reads the relationships of a model of type from data into values (see cmvc.serializer.deserialize). Embedded data
+ * of related models is read through cmvc.serializer.deserialize as well.
+ */
+cmvc.relationships.deserialize = function(type, data, values) {
+  goog.object.forEach(type.prototype.getRelationships(), function(declaration, name, o) {
+    var key = declaration.key || name,
+        read = function(value) {
+          return cmvc.relationships.isEmbedded_(declaration) && goog.isObject(value) ?
+              cmvc.serializer.deserialize(cmvc.relationships.getModelClass(declaration), value) : value;
+        };
+
+    if(declaration.serialize === false || !(key in data)) {
+      return;
+    }
+    if(declaration.type == 'hasMany') {
+      values[name] = goog.array.map(data[key] || [], function(value, i, a) { return read(value); });
+    } else {
+      values[name] = goog.isDefAndNotNull(data[key]) ? read(data[key]) : null;
+    }
+  });
+  return values;
+};
+
+
+/**
+ * Returns the related models that are destroyed along with model (see the cascade option).
+ */
+cmvc.relationships.getCascadedModels = function(model) {
+  var models = [];
+
+  goog.object.forEach(model.getRelationships(), function(declaration, name, o) {
+    if(declaration.cascade && declaration.type == 'hasMany') {
+      models = models.concat(model[name].toArray());
+    } else if(declaration.cascade && declaration.type == 'hasOne' && model[name]) {
+      models.push(model[name]);
+    }
+  });
+  return models;
+};
+
+
+/**
+ * Detaches a destroyed model from the models it is related to, so it disappears from their hasMany collections.
+ */
+cmvc.relationships.detach = function(model) {
+  cmvc.kvo.beginPropertyChanges();
+  try {
+    goog.object.forEach(model.getRelationships(), function(declaration, name, o) {
+      cmvc.relationships.set(model, name, declaration.type == 'hasMany' ? [] : null);
+    });
+  } finally {
+    cmvc.kvo.endPropertyChanges();
+  }
+};
+
+
+/**
+ * Disposes of the hasMany collections of model.
+ */
+cmvc.relationships.dispose = function(model) {
+  goog.object.forEach(model.getRelationships(), function(declaration, name, o) {
+    if(declaration.type == 'hasMany') {
+      model[name].dispose();
+    }
+  });
+};
+
+
+/**
+ * Returns the related model class of a declaration.
+ */
+cmvc.relationships.getModelClass = function(declaration) {
+  var type = goog.isString(declaration.model) ? goog.getObjectByName(declaration.model) : declaration.model;
+  if(!goog.isFunction(type)) {
+    throw Error("cmvc.relationships: unknown model class '" + declaration.model + "'.");
+  }
+  return type;
+};
+
+
+/**
+ * Returns true if the related models of a relationship are written as embedded data.
+ * @private
+ */
+cmvc.relationships.isEmbedded_ = function(declaration) {
+  return declaration.serialize == 'embedded' && declaration.type != 'belongsTo';
+};
+
+
+/**
+ * Returns the related model for a model, an id or embedded data.
+ * @private
+ */
+cmvc.relationships.resolve_ = function(declaration, value) {
+  var type = cmvc.relationships.getModelClass(declaration),
+      store = declaration.store || cmvc.Store.getInstance();
+
+  if(value instanceof cmvc.Model) {
+    return value;
+  }
+  if(!goog.isObject(value)) {
+    // an id; a model that hasn't been loaded yet is loaded as a stub that holds just the id, so loading its data
+    //   later (e.g. with store.load or fetch) fills in the same instance
+    return store.find(type, value) || store.load(type, goog.object.create(type.prototype.idAttribute, value));
+  }
+  return goog.isDefAndNotNull(value[type.prototype.idAttribute]) ? store.load(type, value) : new type(value);
+};
+
+
+/**
+ * Brings the inverse relationship of a hasOne or belongsTo relationship of model in line with its new value.
+ * @private
+ */
+cmvc.relationships.updateInverse_ = function(model, declaration, oldValue, newValue) {
+  var inverse = declaration.inverse;
+
+  if(!inverse) {
+    return;
+  }
+
+  if(oldValue && oldValue !== newValue) {
+    if(oldValue[inverse] instanceof cmvc.Collection) {
+      oldValue[inverse].remove(model);
+    } else if(oldValue[inverse] === model) {
+      cmvc.kvo.set(oldValue, inverse, null);
+    }
+  }
+
+  if(newValue) {
+    if(newValue[inverse] instanceof cmvc.Collection) {
+      newValue[inverse].add(model);
+    } else if(newValue[inverse] !== model) {
+      cmvc.kvo.set(newValue, inverse, model);
+    }
+  }
+};
+
+
+/**
+ * The collection held by a hasMany relationship. Adding a model to it (or removing one from it) sets (or clears) the
+ * inverse belongsTo relationship of that model.
+ *
+ * @param {cmvc.Model} owner The model that has the relationship.
+ * @param {string} name The name of the relationship.
+ * @constructor
+ */
+cmvc.relationships.HasManyCollection = cmvc.Collection.extend({
+  constructor: function(owner, name) {
+    cmvc.relationships.HasManyCollection.superClass_.constructor.call(this);
+
+    this.owner_ = owner;
+    this.declaration_ = owner.getRelationships()[name];
+    this.model = cmvc.relationships.getModelClass(this.declaration_);
+  },
+
+
+  /**
+   * Returns the model that has the relationship.
+   */
+  getOwner: function() {
+    return this.owner_;
+  },
+
+
+  /** @inheritDoc */
+  add: function(models, opt_index) {
+    var added = cmvc.relationships.HasManyCollection.superClass_.add.apply(this, arguments);
+    goog.array.forEach(added, this.setInverse_, this);
+    return added;
+  },
+
+
+  /** @inheritDoc */
+  remove: function(models) {
+    var removed = cmvc.relationships.HasManyCollection.superClass_.remove.apply(this, arguments);
+    goog.array.forEach(removed, this.clearInverse_, this);
+    return removed;
+  },
+
+
+  /** @inheritDoc */
+  reset: function(opt_models) {
+    var previous = this.toArray();
+
+    cmvc.relationships.HasManyCollection.superClass_.reset.apply(this, arguments);
+
+    goog.array.forEach(previous, function(model, i, a) {
+      if(!this.contains(model)) {
+        this.clearInverse_(model);
+      }
+    }, this);
+    goog.array.forEach(this.models, this.setInverse_, this);
+  },
+
+
+  /**
+   * @private
+   */
+  setInverse_: function(model) {
+    var inverse = this.declaration_.inverse;
+    if(inverse && model[inverse] !== this.owner_) {
+      cmvc.kvo.set(model, inverse, this.owner_);
+    }
+  },
+
+
+  /**
+   * @private
+   */
+  clearInverse_: function(model) {
+    var inverse = this.declaration_.inverse;
+    if(inverse && model[inverse] === this.owner_) {
+      cmvc.kvo.set(model, inverse, null);
+    }
+  }
+});
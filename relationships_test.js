@@ -0,0 +1,155 @@
+goog.provide("cmvc.relationshipsTest");
+
+goog.require("goog.async.Deferred");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Model");
+goog.require("cmvc.Store");
+goog.require("cmvc.kvo");
+goog.require("cmvc.relationships");
+
+
+/**
+ * An adapter that destroys every model it is given.
+ */
+var destroyingAdapter = {
+  destroy: function(model) { return goog.async.Deferred.succeed(model); }
+};
+
+
+/**
+ * Declares the Account, Screen and Profile classes (in cmvc.relationshipsTest), whose related models are looked up in
+ * store. An account has many screens and one profile; the screens are destroyed along with their account.
+ */
+function declareClasses(store) {
+  var ns = cmvc.relationshipsTest;
+
+  ns.Account = cmvc.Model.extend({
+    attributes: {name: 'string'},
+    adapter: destroyingAdapter,
+    relationships: {
+      screens: {
+        type: 'hasMany', model: 'cmvc.relationshipsTest.Screen', inverse: 'account', cascade: true, store: store
+      },
+      profile: {type: 'hasOne', model: 'cmvc.relationshipsTest.Profile', inverse: 'account', store: store}
+    }
+  });
+  ns.Screen = cmvc.Model.extend({
+    attributes: {title: 'string'},
+    adapter: destroyingAdapter,
+    relationships: {
+      account: {type: 'belongsTo', model: 'cmvc.relationshipsTest.Account', inverse: 'screens', store: store}
+    }
+  });
+  ns.Profile = cmvc.Model.extend({
+    attributes: {bio: 'string'},
+    relationships: {
+      account: {type: 'belongsTo', model: 'cmvc.relationshipsTest.Account', inverse: 'profile', store: store}
+    }
+  });
+  return ns;
+}
+
+
+function testHasManyAndBelongsToAreKeptInSync() {
+  var ns = declareClasses(new cmvc.Store()),
+      a = new ns.Account({id: 1}),
+      b = new ns.Account({id: 2}),
+      screen = new ns.Screen({title: "home"});
+
+  a.screens.add(screen);
+  assertEquals(a, screen.account);
+
+  screen.set('account', b);
+  assertFalse(a.screens.contains(screen));
+  assertTrue(b.screens.contains(screen));
+
+  b.screens.remove(screen);
+  assertNull(screen.account);
+
+  a.set('screens', [screen]);
+  assertEquals(a, screen.account);
+  a.set('screens', []);
+  assertNull(screen.account);
+}
+
+
+function testHasOneIsKeptInSync() {
+  var ns = declareClasses(new cmvc.Store()),
+      a = new ns.Account({id: 1}),
+      b = new ns.Account({id: 2}),
+      profile = new ns.Profile();
+
+  a.set('profile', profile);
+  assertEquals(a, profile.account);
+
+  profile.set('account', b);
+  assertNull(a.profile);
+  assertEquals(profile, b.profile);
+}
+
+
+function testRelatedModelsAreResolvedThroughTheStore() {
+  var store = new cmvc.Store(),
+      ns = declareClasses(store),
+      screen = new ns.Screen({title: "home", account: 5}),
+      account = store.find(ns.Account, 5);
+
+  assertNotNull(account);
+  assertEquals(account, screen.account);
+  assertTrue(account.screens.contains(screen));
+
+  store.load(ns.Account, {id: 5, name: "Main"});
+  assertEquals("Main", screen.account.name);
+
+  account.set('screens', [{id: 9, title: "settings"}]);
+  assertEquals(account, store.find(ns.Screen, 9).account);
+}
+
+
+function testRelationshipsCanBeObservedThroughKeyPaths() {
+  var ns = declareClasses(new cmvc.Store()),
+      account = new ns.Account({id: 1, name: "Main"}),
+      screen = new ns.Screen(),
+      label = {};
+
+  cmvc.kvo.bind(screen, "account.name", label, "accountName");
+  cmvc.kvo.bind(account, "screens.length", label, "screenCount");
+
+  account.screens.add(screen);
+  assertEquals("Main", label.accountName);
+  assertEquals(1, label.screenCount);
+}
+
+
+function testDestroyCascadesAndDetaches() {
+  var ns = declareClasses(new cmvc.Store()),
+      account = new ns.Account({id: 1}),
+      screen = new ns.Screen({id: 2}),
+      other = new ns.Screen({id: 3}),
+      destroyed = [];
+
+  account.screens.add([screen, other]);
+  destroyingAdapter.destroy = function(model) {
+    destroyed.push(model);
+    return goog.async.Deferred.succeed(model);
+  };
+  try {
+    other.destroy();
+    assertEquals(1, account.screens.length);
+    assertNull(other.account);
+
+    account.destroy();
+    assertArrayEquals([other, account, screen], destroyed);
+    assertNull(screen.account);
+  } finally {
+    destroyingAdapter.destroy = function(model) { return goog.async.Deferred.succeed(model); };
+  }
+}
+
+
+function testUnknownModelClass() {
+  assertThrows(function() {
+    cmvc.relationships.getModelClass({model: 'cmvc.relationshipsTest.Nothing'});
+  });
+}
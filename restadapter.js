@@ -0,0 +1,285 @@
+goog.provide("cmvc.RestAdapter");
+goog.provide("cmvc.RestAdapter.Error");
+goog.provide("cmvc.RestAdapter.XhrTransport");
+
+goog.require("goog.async.Deferred");
+goog.require("goog.debug.Error");
+goog.require("goog.json");
+goog.require("goog.net.XhrIo");
+goog.require("goog.object");
+goog.require("goog.string");
+
+goog.require("cmvc");
+goog.require("cmvc.Model");
+goog.require("cmvc.Template");
+goog.require("cmvc.kvo");
+goog.require("cmvc.serializer");
+
+
+/**
+ * cmvc.RestAdapter persists models (see cmvc.Model#adapter) through a conventional REST API:
+ *   fetch   - GET    url
+ *   save    - POST   collectionUrl    if the model is new (see cmvc.Model#isNew), otherwise
+ *             PUT    url
+ *   destroy - DELETE url
+ * The urls are cmvc.Template strings whose variables are filled in with the (URI encoded) attributes of the model.
+ * Request bodies are the JSON encoded data of the model (see serialize); a response body holding a JSON
+ * object is merged into the model (see cmvc.Model#fromJSON), e.g. to pick up the id the server gave a new model.
+ *
+ * While a request is in progress the isLoading property of the model is true; once the model has been fetched or
+ * saved, isLoaded is true; when a request fails, requestError holds the error. All three are observable, so views
+ * can show a spinner or an error message by binding to them.
+ *
+ * A response with the status 422 (Unprocessable Entity) is taken to hold validation errors, of the form
+ *   { "errors": { "email": "is already taken", ... } }
+ * (an attribute may also map to an array of messages, of which the first one is used; attributes are named by their
+ * keys in the data, see cmvc.serializer). They become the errors of the model (see cmvc.Model#errors) and the request
+ * fails with a cmvc.Model.ValidationError. Any other failure makes the request fail with a cmvc.RestAdapter.Error.
+ *
+ * Options:
+ *   url - String - the url of a single model, e.g. "/accounts/{id}"
+ *   collectionUrl - String - the url that new models are POSTed to; defaults to url without its last "/{...}" segment
+ *   transport - Object - sends the requests; defaults to a cmvc.RestAdapter.XhrTransport. A transport has the method
+ *               send(method, url, content, headers), which returns a goog.async.Deferred that succeeds with a
+ *               response of the form { status: Number, text: String } once a response has been received (whatever
+ *               its status), and fails if no response could be received. Tests can inject a transport that fakes a
+ *               server in memory.
+ *   store - cmvc.Store - if given, new models are added to it once they've been saved, and destroyed models are
+ *           unloaded from it
+ *
+ * Usage:
+ *   myapp.models.Account = cmvc.Model.extend({
+ *     attributes: { name: 'string', balance: 'number' },
+ *     adapter: new cmvc.RestAdapter({url: "/accounts/{id}"})
+ *   });
+ *
+ *   var account = new myapp.models.Account({name: "Savings"});
+ *   account.save().addCallback(function(account) { alert(account.id); });    // POST /accounts
+ */
+cmvc.RestAdapter = cmvc.extend(Object, {
+  /**
+   * @param {Object} options See above.
+   */
+  constructor: function(options) {
+    this.urlTemplate_ = new cmvc.Template(options.url);
+    this.collectionUrlTemplate_ = new cmvc.Template(options.collectionUrl || options.url.replace(/\/\{[\w-]+\}$/, ""));
+    this.transport_ = options.transport || new cmvc.RestAdapter.XhrTransport();
+    this.store_ = options.store || null;
+  },
+
+
+  /**
+   * Loads model from the server.
+   * @return {goog.async.Deferred} A deferred that succeeds with the model.
+   */
+  fetch: function(model) {
+    return this.request_(model, "GET", this.getUrl(model), null);
+  },
+
+
+  /**
+   * Creates or updates model on the server.
+   * @return {goog.async.Deferred} A deferred that succeeds with the model.
+   */
+  save: function(model) {
+    var isNew = model.isNew(),
+        deferred = isNew ? this.request_(model, "POST", this.getCollectionUrl(model), this.serialize(model)) :
+                           this.request_(model, "PUT", this.getUrl(model), this.serialize(model));
+
+    if(isNew && this.store_) {
+      deferred.addCallback(function(model) {
+        return this.store_.add(model);
+      }, this);
+    }
+    return deferred;
+  },
+
+
+  /**
+   * Deletes model on the server (unless it is new).
+   * @return {goog.async.Deferred} A deferred that succeeds with the model.
+   */
+  destroy: function(model) {
+    var deferred;
+
+    // a model that was never saved has nothing to delete on the server
+    if(model.isNew()) {
+      return goog.async.Deferred.succeed(model);
+    }
+
+    deferred = this.request_(model, "DELETE", this.getUrl(model), null);
+
+    if(this.store_) {
+      deferred.addCallback(function(model) {
+        this.store_.unload(model.constructor, model.getId());
+        return model;
+      }, this);
+    }
+    return deferred;
+  },
+
+
+  /**
+   * Returns the url of model.
+   */
+  getUrl: function(model) {
+    return this.urlTemplate_.applyTemplate(cmvc.RestAdapter.encodeValues_(model));
+  },
+
+
+  /**
+   * Returns the url that model is POSTed to when it is created.
+   */
+  getCollectionUrl: function(model) {
+    return this.collectionUrlTemplate_.applyTemplate(cmvc.RestAdapter.encodeValues_(model));
+  },
+
+
+  /**
+   * Returns the request body for model: its data (see cmvc.Model#toJSON), JSON encoded. Subclasses can override
+   * this method (and deserialize) to support other formats.
+   */
+  serialize: function(model) {
+    return goog.json.serialize(model.toJSON());
+  },
+
+
+  /**
+   * Returns the data (see cmvc.Model#fromJSON) held by the body of a response, or null if it doesn't hold any.
+   */
+  deserialize: function(text) {
+    var data = goog.string.isEmptySafe(text) ? null : goog.json.parse(text);
+    return goog.isObject(data) && !goog.isArray(data) ? data : null;
+  },
+
+
+  /**
+   * Sends a request for model and keeps the lifecycle properties of model up to date.
+   * @private
+   */
+  request_: function(model, method, url, content) {
+    var headers = content ? {"Content-Type": "application/json"} : {};
+
+    model.setRequestState({isLoading: true, requestError: null});
+
+    return this.transport_.send(method, url, content, headers).addCallbacks(
+      function(response) {
+        var data;
+
+        if(response.status == 422) {
+          data = this.deserialize(response.text);
+          throw new cmvc.Model.ValidationError(model, cmvc.RestAdapter.getServerErrors_(model, data));
+        }
+        if(response.status < 200 || response.status >= 300) {
+          throw new cmvc.RestAdapter.Error(method, url, response.status, response.text);
+        }
+
+        data = this.deserialize(response.text);
+        cmvc.kvo.beginPropertyChanges();
+        try {
+          if(data) {
+            model.fromJSON(data);
+          }
+          model.commit();
+          model.setRequestState({isLoading: false, isLoaded: true});
+        } finally {
+          cmvc.kvo.endPropertyChanges();
+        }
+        return model;
+      },
+      function(error) {
+        throw new cmvc.RestAdapter.Error(method, url, 0, String(error));
+      },
+      this
+    ).addErrback(function(error) {
+      cmvc.kvo.beginPropertyChanges();
+      try {
+        if(error instanceof cmvc.Model.ValidationError) {
+          cmvc.kvo.set(model, "errors", goog.object.clone(error.errors));
+        }
+        model.setRequestState({isLoading: false, requestError: error});
+      } finally {
+        cmvc.kvo.endPropertyChanges();
+      }
+      throw error;
+    });
+  }
+});
+
+
+/**
+ * Returns the attribute values of model, URI encoded, for filling in url templates.
+ * @private
+ */
+cmvc.RestAdapter.encodeValues_ = function(model) {
+  return goog.object.map(model.getValues(), function(value, name, o) {
+    return goog.isDefAndNotNull(value) ? encodeURIComponent(String(value)) : value;
+  });
+};
+
+
+/**
+ * Returns the errors map of model for the body of a 422 response.
+ * @private
+ */
+cmvc.RestAdapter.getServerErrors_ = function(model, data) {
+  var errors = {};
+
+  goog.object.forEach(data && goog.isObject(data.errors) ? data.errors : {base: "is invalid"}, function(messages, name, o) {
+    errors[name] = goog.isArray(messages) ? messages[0] : String(messages);
+  });
+  return cmvc.serializer.keysToNames(model.constructor, errors);
+};
+
+
+/**
+ * The error that a request of a cmvc.RestAdapter fails with, unless the server reported validation errors.
+ *
+ * @param {string} method The HTTP method of the request.
+ * @param {string} url The url of the request.
+ * @param {number} status The HTTP status of the response, or 0 if no response was received.
+ * @param {string} text The body of the response, or a description of why no response was received.
+ * @constructor
+ */
+cmvc.RestAdapter.Error = cmvc.extend(goog.debug.Error, {
+  constructor: function(method, url, status, text) {
+    goog.debug.Error.call(this, method + " " + url + " failed" + (status ? " with status " + status : "") + ".");
+
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.text = text;
+  },
+
+
+  /** @override */
+  name: "cmvc.RestAdapter.Error"
+});
+
+
+/**
+ * The default transport of cmvc.RestAdapter; sends requests with goog.net.XhrIo.
+ * @constructor
+ */
+cmvc.RestAdapter.XhrTransport = cmvc.extend(Object, {
+  /**
+   * @return {goog.async.Deferred} A deferred that succeeds with { status: Number, text: String }, or fails if no
+   *     response was received.
+   */
+  send: function(method, url, content, headers) {
+    var deferred = new goog.async.Deferred();
+
+    goog.net.XhrIo.send(url, function(e) {
+      var xhr = e.target,
+          status = xhr.getStatus();
+
+      if(status > 0) {
+        deferred.callback({ status: status, text: xhr.getResponseText() });
+      } else {
+        deferred.errback(Error(xhr.getLastError() || "no response"));
+      }
+    }, method, content || undefined, headers);
+
+    return deferred;
+  }
+});
@@ -0,0 +1,156 @@
+goog.provide("cmvc.RestAdapterTest");
+
+goog.require("goog.async.Deferred");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Model");
+goog.require("cmvc.RestAdapter");
+goog.require("cmvc.Store");
+goog.require("cmvc.kvo");
+
+
+/**
+ * A transport that records the requests it is given and answers each one with the next of the given responses; a
+ * response that is an Error makes the request fail as if no response had been received.
+ */
+function createTransport(responses) {
+  return {
+    requests: [],
+    send: function(method, url, content, headers) {
+      var response = responses.shift();
+
+      this.requests.push(method + " " + url + (content ? " " + content : ""));
+      return response instanceof Error ? goog.async.Deferred.fail(response) : goog.async.Deferred.succeed(response);
+    }
+  };
+}
+
+
+/**
+ * Returns an account class whose adapter sends its requests with transport.
+ */
+function createAccountClass(transport, opt_store) {
+  return cmvc.Model.extend({
+    attributes: {name: 'string', balance: 'number'},
+    adapter: new cmvc.RestAdapter({url: "/accounts/{id}", transport: transport, store: opt_store})
+  });
+}
+
+
+function testSaveCreatesANewModelAndUpdatesAnExistingOne() {
+  var transport = createTransport([
+        {status: 201, text: '{"id": 7, "name": "Savings", "balance": 0}'},
+        {status: 204, text: ""}
+      ]),
+      Account = createAccountClass(transport),
+      account = new Account({name: "Savings"}),
+      result = null;
+
+  account.save().addCallback(function(a) { result = a; });
+  assertEquals(account, result);
+  assertEquals(7, account.getId());
+  assertTrue(account.isLoaded);
+  assertFalse(account.isLoading);
+
+  account.set('balance', 10);
+  assertTrue(account.isDirty);
+  account.save();
+  assertFalse(account.isDirty);
+
+  assertArrayEquals([
+    'POST /accounts {"name":"Savings","balance":null,"id":null}',
+    'PUT /accounts/7 {"name":"Savings","balance":10,"id":7}'
+  ], transport.requests);
+}
+
+
+function testFetchAndDestroy() {
+  var transport = createTransport([{status: 200, text: '{"name": "a/b"}'}, {status: 200, text: ""}]),
+      store = new cmvc.Store(),
+      Account = createAccountClass(transport, store),
+      account = store.load(Account, {id: "x y"});
+
+  account.fetch();
+  assertEquals("a/b", account.name);
+
+  account.destroy();
+  assertNull(store.find(Account, "x y"));
+  assertArrayEquals(["GET /accounts/x%20y", "DELETE /accounts/x%20y"], transport.requests);
+
+  new Account().destroy();
+  assertEquals(2, transport.requests.length);
+}
+
+
+function testSavedModelsAreAddedToTheStore() {
+  var store = new cmvc.Store(),
+      Account = createAccountClass(createTransport([{status: 201, text: '{"id": 3}'}]), store),
+      account = new Account({name: "Checking"});
+
+  account.save();
+  assertEquals(account, store.find(Account, 3));
+}
+
+
+function testValidationErrorsOfTheServerBecomeTheErrorsOfTheModel() {
+  var transport = createTransport([{status: 422, text: '{"errors": {"name": ["is taken", "is too short"]}}'}]),
+      Account = createAccountClass(transport),
+      account = new Account({name: "a"}),
+      label = {},
+      error = null;
+
+  cmvc.kvo.bind(account, "errors.name", label, "text");
+  account.save().addErrback(function(e) { error = e; });
+
+  assertTrue(error instanceof cmvc.Model.ValidationError);
+  assertObjectEquals({name: "is taken"}, account.errors);
+  assertEquals("is taken", label.text);
+  assertEquals(error, account.requestError);
+  assertFalse(account.isLoading);
+  assertTrue(account.isNew());
+}
+
+
+function testTheValidationErrorsOfTheServerAreNamedByTheKeysOfTheAttributes() {
+  var transport = createTransport([
+        {status: 422, text: '{"errors": {"account_name": "is taken", "base": "is closed"}}'}
+      ]),
+      Account = cmvc.Model.extend({
+        attributes: {accountName: {type: 'string', key: 'account_name'}},
+        adapter: new cmvc.RestAdapter({url: "/accounts/{id}", transport: transport})
+      }),
+      account = new Account({accountName: "a"});
+
+  account.save();
+  assertObjectEquals({accountName: "is taken", base: "is closed"}, account.errors);
+  assertEquals('POST /accounts {"account_name":"a","id":null}', transport.requests[0]);
+}
+
+
+function testFailedRequests() {
+  var transport = createTransport([{status: 500, text: "oops"}, Error("network down")]),
+      Account = createAccountClass(transport),
+      account = new Account({id: 1}),
+      errors = [];
+
+  account.fetch().addErrback(function(e) { errors.push(e); });
+  account.fetch().addErrback(function(e) { errors.push(e); });
+
+  assertTrue(errors[0] instanceof cmvc.RestAdapter.Error);
+  assertEquals(500, errors[0].status);
+  assertEquals("GET /accounts/1 failed with status 500.", errors[0].message);
+  assertEquals(0, errors[1].status);
+  assertEquals("Error: network down", errors[1].text);
+  assertEquals(errors[1], account.requestError);
+  assertFalse(account.isLoaded);
+}
+
+
+function testCollectionUrl() {
+  var adapter = new cmvc.RestAdapter({url: "/users/{owner}/accounts/{id}", transport: createTransport([])}),
+      Account = cmvc.Model.extend({attributes: {owner: 'string'}, adapter: adapter}),
+      account = new Account({owner: "ann", id: 2});
+
+  assertEquals("/users/ann/accounts/2", adapter.getUrl(account));
+  assertEquals("/users/ann/accounts", adapter.getCollectionUrl(account));
+}
@@ -0,0 +1,700 @@
+goog.provide("cmvc.Router");
+goog.provide("cmvc.Router.Event");
+goog.provide("cmvc.Router.EventType");
+
+goog.require("goog.History");
+goog.require("goog.array");
+goog.require("goog.events.Event");
+goog.require("goog.events.EventHandler");
+goog.require("goog.events.EventTarget");
+goog.require("goog.history.EventType");
+goog.require("goog.history.Html5History");
+goog.require("goog.object");
+goog.require("goog.string");
+
+goog.require("cmvc");
+goog.require("cmvc.kvo");
+
+
+/**
+ * cmvc.Router maps the URL of a single-page application to its screens. Each route has a name and a path pattern;
+ * when the URL changes (or navigate() is called), the first route whose pattern matches the path is entered: the
+ * parameters are extracted from the path and passed to the handler of the route.
+ *
+ * Path patterns are made of:
+ *   :name - a parameter; matches one segment of the path, e.g. "/accounts/:id" matches "/accounts/7"
+ *   *name - a wildcard parameter; matches the rest of the path, slashes included, e.g. "/files/*path"; the name
+ *           can't be left out, so a catch-all route is declared as "/*path"
+ *   (...) - an optional part, e.g. "/search(/:query)" matches both "/search" and "/search/closure"
+ * Parameter values are URI decoded; the parameters of an optional part that isn't in the path are left out.
+ *
+ * Routes are declared in the routes map of a subclass (merged with the routes of its superclass; see
+ * cmvc.inheritProperty), or added with addRoute(). A route is declared either as its path pattern, in which case its
+ * handler is the method of the router that has the name of the route, or as an object that holds:
+ *   path - the path pattern
+ *   handler - function(params, routeName), called when the route is entered
+ *   before - function(params, routeName), called before the route is entered; returning false cancels the navigation
+ *   after - function(params, routeName), called after the handler
+ *   view - the cmvc.ui.View subclass that renders the route (see below)
+ *   outlet - the name of the outlet that the view is rendered into, an outlet of the view of the nearest parent route
+ *            that has one (or of the view of the router); defaults to its first outlet (see cmvc.ui.View#outlets)
+ *   routes - nested routes, declared the same way; their paths are relative to the path of this route
+ *   parent - for a route added with addRoute(), the name of its parent route; its path is relative to the parent's
+ * The functions are called with the router as "this"; each may also be given as the name of a method of the router,
+ * or as a "dotted" reference to a function (e.g. 'myapp.screens.showAccount').
+ *
+ * When a route that declares a view is entered, the view is created, with {params: the parameters of the route} as its
+ * config, and put into its outlet (see cmvc.ui.View#setOutletView), before the handler is called. The views of the
+ * parent routes are created as well, unless they are already shown for the same parameters: navigating between
+ * sibling routes (e.g. from "/accounts/7/screens/3" to "/accounts/7/settings") only replaces, and disposes of, the
+ * views of the routes that changed, and the view of the common parent route (the account) stays. The views of the
+ * routes that are left are removed from their outlets; when no route matches the path, all of the views of the router
+ * are removed (a NOT_FOUND listener can then show its own). The current views can be read with getView().
+ *
+ * Besides the hooks of the routes, the router dispatches a BEFORE_NAVIGATE event (see cmvc.Router.Event) before it
+ * enters a route, which a listener can cancel by calling preventDefault() on it (or by returning false), a NAVIGATE
+ * event once the route has been entered, and a NOT_FOUND event when no route matches the path. When a navigation
+ * that started in the browser (the back button, a link, a typed URL) is cancelled, the previous URL is restored.
+ *
+ * The current path, the name of the current route and its parameters are observable (see below), so views can bind to
+ * them.
+ *
+ * Options:
+ *   mode - 'hash' (the default) keeps the path in the fragment of the URL ("/app#/accounts/7"); 'pushState' keeps it
+ *          in the URL itself ("/app/accounts/7") with the HTML5 history API, and falls back to 'hash' in browsers that
+ *          don't support it
+ *   root - String - in 'pushState' mode, the part of the URL before the path; defaults to "/"
+ *   view - cmvc.ui.View - the view whose outlets the views of the top-level routes are rendered into
+ *   history - the history object the router reads and writes the path with, instead of the one it creates for the
+ *             mode (a goog.History or a goog.history.Html5History). Any goog.events.EventTarget that implements
+ *             getToken(), setToken(token), replaceToken(token) and setEnabled(enable), and that dispatches
+ *             goog.history.EventType.NAVIGATE events (see goog.history.Event) when the token changes, will do; so
+ *             routing can be tested without a browser. The token is the path, without the leading "/" in 'pushState'
+ *             mode.
+ * goog.History has to be created while the page is loading (see goog.History), so in 'hash' mode the router has to be
+ * created then as well, unless a history is given.
+ *
+ * Usage:
+ *   myapp.Router = cmvc.Router.extend({
+ *     routes: {
+ *       'accounts': '/accounts',
+ *       'account': {
+ *         path: '/accounts/:id',
+ *         view: myapp.views.AccountPage,                       // rendered into the outlet of the application view
+ *         routes: {
+ *           'screen': {
+ *             path: '/screens/:screenId(/*rest)',
+ *             view: 'myapp.views.ScreenView',
+ *             outlet: 'detail',                                // of the AccountPage
+ *             handler: 'showScreen',
+ *             before: function(params) { return myapp.session.isSignedIn(); }
+ *           }
+ *         }
+ *       }
+ *     },
+ *
+ *     accounts: function(params) { ... },
+ *     showScreen: function(params) { myapp.controllers.screen.content = myapp.screens.find(params.screenId); }
+ *   });
+ *
+ *   var router = new myapp.Router({mode: 'pushState', root: "/app/", view: myapp.applicationView});
+ *   router.start();                                             // enters the route of the current URL
+ *   router.navigate("/accounts/7/screens/3");                   // calls showScreen({id: "7", screenId: "3"}, 'screen')
+ *   router.generate('screen', {id: 7, screenId: 4});            // "/accounts/7/screens/4"
+ *   router.href('screen', {id: 7, screenId: 4});                // "/app/accounts/7/screens/4", for links
+ */
+cmvc.Router = cmvc.extend(goog.events.EventTarget, {
+  /**
+   * The declared routes; see above.
+   */
+  routes: {},
+
+
+  /**
+   * @param {Object=} opt_options See above.
+   */
+  constructor: function(opt_options) {
+    var options = opt_options || {};
+
+    goog.events.EventTarget.call(this);
+
+    /**
+     * The current path, e.g. "/accounts/7", or null before the first route is entered; observable.
+     * @type {?string}
+     */
+    this.currentPath = null;
+
+    /**
+     * The name of the current route, or null if no route matches the current path; observable.
+     * @type {?string}
+     */
+    this.currentRoute = null;
+
+    /**
+     * The parameters of the current route; observable.
+     * @type {Object}
+     */
+    this.params = {};
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this.mode_ = options.mode || 'hash';
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this.root_ = options.root || "/";
+
+    /**
+     * True if the router created its history, and disposes of it.
+     * @type {boolean}
+     * @private
+     */
+    this.ownsHistory_ = !options.history;
+
+    /**
+     * @private
+     */
+    this.history_ = options.history || this.createHistory_();
+
+    /**
+     * The routes, in the order they are matched in; each is { name, path, regExp, paramNames, handler, before, after }.
+     * @type {Array.<Object>}
+     * @private
+     */
+    this.routes_ = [];
+
+    /**
+     * @type {goog.events.EventHandler}
+     * @private
+     */
+    this.handler_ = new goog.events.EventHandler(this);
+
+    /**
+     * The view whose outlets the views of the top-level routes are rendered into.
+     * @type {cmvc.ui.View}
+     * @private
+     */
+    this.view_ = options.view || null;
+
+    /**
+     * The shown routes, from the top-level route down to the current route; each is { route, params, view, parentView,
+     * outlet }, where view is null for a route without a view.
+     * @type {Array.<Object>}
+     * @private
+     */
+    this.shownRoutes_ = [];
+
+    /**
+     * True once the router has handled a path.
+     * @type {boolean}
+     * @private
+     */
+    this.routed_ = false;
+
+    cmvc.kvo.observable(this, ["currentPath", "currentRoute", "params"]);
+
+    goog.object.forEach(cmvc.inheritProperty(this, "routes", 2) || {}, function(declaration, name, o) {
+      this.addRoute(name, declaration);
+    }, this);
+  },
+
+
+  /**
+   * Adds a route, and its nested routes; declaration is its path pattern or an object (see above). A route with the
+   * name of an existing route replaces it.
+   */
+  addRoute: function(name, declaration) {
+    var parent,
+        path,
+        route;
+
+    declaration = this.getDeclaration_(name, declaration);
+    parent = declaration.parent ? this.getRoute_(declaration.parent) : null;
+    path = parent ? parent.path.replace(/\/+$/, "") + "/" + declaration.path.replace(/^\/+/, "") : declaration.path;
+
+    route = cmvc.Router.compile_(path);
+    route.name = name;
+    route.path = path;
+    route.parent = parent ? parent.name : null;
+    route.outlet = declaration.outlet || null;
+    goog.array.forEach(['handler', 'before', 'after', 'view'], function(hook, i, a) {
+      route[hook] = declaration[hook] ? this.resolveFunctionReference_(declaration[hook]) : null;
+    }, this);
+
+    goog.array.removeIf(this.routes_, function(r, i, a) { return r.name == name; });
+    this.routes_.push(route);
+
+    goog.object.forEach(declaration.routes || {}, function(childDeclaration, childName, o) {
+      childDeclaration = this.getDeclaration_(childName, childDeclaration);
+      childDeclaration.parent = name;
+      this.addRoute(childName, childDeclaration);
+    }, this);
+    return this;
+  },
+
+
+  /**
+   * Starts listening to the history, and enters the route of the current path.
+   */
+  start: function() {
+    this.handler_.listen(this.history_, goog.history.EventType.NAVIGATE, this.handleNavigate_);
+    this.history_.setEnabled(true);
+
+    // a history that doesn't dispatch a NAVIGATE event for the initial token has to be read
+    if(!this.routed_) {
+      this.handlePath_(this.fromToken_(this.history_.getToken()), true);
+    }
+  },
+
+
+  /**
+   * Stops listening to the history.
+   */
+  stop: function() {
+    this.handler_.removeAll();
+    this.history_.setEnabled(false);
+  },
+
+
+  /**
+   * Navigates to path: enters the route that matches path, and adds it to the browser history (or, with
+   * opt_options.replace, replaces the current entry). Navigating to the current path does nothing, unless
+   * opt_options.reload is true.
+   *
+   * @param {string} path The path, e.g. "/accounts/7".
+   * @param {Object=} opt_options {replace: boolean, reload: boolean}
+   * @return {boolean} false if the navigation was cancelled.
+   */
+  navigate: function(path, opt_options) {
+    var options = opt_options || {},
+        token;
+
+    path = cmvc.Router.normalize_(path);
+    if(path === this.currentPath && !options.reload) {
+      return true;
+    }
+
+    return this.handlePath_(path, false, function() {
+      token = this.toToken_(path);
+      if(this.history_.getToken() != token) {
+        if(options.replace) {
+          this.history_.replaceToken(token);
+        } else {
+          this.history_.setToken(token);
+        }
+      }
+    });
+  },
+
+
+  /**
+   * Navigates to the path of the route called name, with the given parameters (see generate and navigate).
+   */
+  navigateTo: function(name, opt_params, opt_options) {
+    return this.navigate(this.generate(name, opt_params), opt_options);
+  },
+
+
+  /**
+   * Returns the first route that matches path, as { route: the name of the route, params: the parameters }, or null.
+   */
+  match: function(path) {
+    var match = null;
+
+    path = cmvc.Router.normalize_(path);
+    goog.array.some(this.routes_, function(route, i, a) {
+      var values = route.regExp.exec(path),
+          params = {};
+
+      if(!values) {
+        return false;
+      }
+      goog.array.forEach(route.paramNames, function(paramName, j, arr) {
+        if(goog.isDef(values[j + 1])) {
+          params[paramName] = decodeURIComponent(values[j + 1]);
+        }
+      });
+      match = {route: route.name, params: params};
+      return true;
+    });
+    return match;
+  },
+
+
+  /**
+   * Returns the path of the route called name, with the given parameters filled in; an optional part is only included
+   * if its parameters are all given. Throws an error if the route doesn't exist or if a required parameter is missing.
+   *
+   * @param {string} name The name of the route.
+   * @param {Object=} opt_params The parameters.
+   * @return {string} The path, e.g. "/accounts/7/screens/4".
+   */
+  generate: function(name, opt_params) {
+    var route = this.getRoute_(name),
+        params = opt_params || {},
+        path = route.path,
+        optionalPart = /\(([^()]*)\)/,
+        fill = function(text, isOptional) {
+          var isComplete = true;
+
+          text = text.replace(/([:*])(\w+)/g, function(match, kind, paramName) {
+            var value = params[paramName];
+
+            if(!goog.isDefAndNotNull(value)) {
+              isComplete = false;
+              return "";
+            }
+            // a wildcard parameter keeps its slashes
+            value = String(value);
+            return kind == ':' ? encodeURIComponent(value) :
+                                 goog.array.map(value.split("/"), encodeURIComponent).join("/");
+          });
+
+          if(!isComplete && !isOptional) {
+            throw Error("cmvc.Router: a parameter of the route '" + name + "' (" + route.path + ") is missing.");
+          }
+          return isComplete ? text : "";
+        };
+
+    // fill in the optional parts from the innermost out
+    while(optionalPart.test(path)) {
+      path = path.replace(optionalPart, function(match, part) {
+        return fill(part, true);
+      });
+    }
+    return cmvc.Router.normalize_(fill(path, false));
+  },
+
+
+  /**
+   * Returns the URL of the route called name, with the given parameters, for use as the href of a link: "#/accounts/7"
+   * in 'hash' mode, or the path after the root in 'pushState' mode.
+   */
+  href: function(name, opt_params) {
+    var path = this.generate(name, opt_params);
+    return this.mode_ == 'pushState' ? this.root_.replace(/\/$/, "") + path : "#" + path;
+  },
+
+
+  /**
+   * Returns the view shown for the route called name (the current route or one of its parent routes), or null.
+   */
+  getView: function(name) {
+    var entry = goog.array.find(this.shownRoutes_, function(e, i, a) { return e.route.name == name; });
+    return entry ? entry.view : null;
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    cmvc.Router.superClass_.disposeInternal.call(this);
+
+    this.handler_.dispose();
+    this.handler_ = null;
+    if(this.ownsHistory_) {
+      this.history_.dispose();
+    }
+    this.history_ = null;
+    cmvc.kvo.removeObservers(this);
+  },
+
+
+  /**
+   * Enters the route of a path read from the history.
+   * @private
+   */
+  handleNavigate_: function(e) {
+    var path = this.fromToken_(e.token);
+
+    if(path !== this.currentPath) {
+      this.handlePath_(path, true);
+    }
+  },
+
+
+  /**
+   * Runs the before hooks for path and, unless they cancel the navigation, calls opt_commit (which updates the
+   * history) and enters the route. A cancelled navigation that started in the browser (fromHistory) is undone.
+   * @return {boolean} false if the navigation was cancelled.
+   * @private
+   */
+  handlePath_: function(path, fromHistory, opt_commit) {
+    var match = this.match(path),
+        route = match ? this.getRoute_(match.route) : null,
+        params = match ? match.params : {},
+        name = route ? route.name : null;
+
+    this.routed_ = true;
+
+    if(!this.dispatchEvent(new cmvc.Router.Event(cmvc.Router.EventType.BEFORE_NAVIGATE, this, path, name, params)) ||
+       (route && route.before && route.before.call(this, params, name) === false)) {
+      if(fromHistory && goog.isDefAndNotNull(this.currentPath)) {
+        this.history_.replaceToken(this.toToken_(this.currentPath));
+      }
+      return false;
+    }
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      cmvc.kvo.set(this, "currentPath", path);
+      cmvc.kvo.set(this, "currentRoute", name);
+      cmvc.kvo.set(this, "params", params);
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+
+    if(opt_commit) {
+      opt_commit.call(this);
+    }
+
+    this.showViews_(route, params);
+    if(!route) {
+      this.dispatchEvent(new cmvc.Router.Event(cmvc.Router.EventType.NOT_FOUND, this, path, null, params));
+      return true;
+    }
+
+    if(route.handler) {
+      route.handler.call(this, params, name);
+    }
+    if(route.after) {
+      route.after.call(this, params, name);
+    }
+    this.dispatchEvent(new cmvc.Router.Event(cmvc.Router.EventType.NAVIGATE, this, path, name, params));
+    return true;
+  },
+
+
+  /**
+   * Shows the views of route and of its parent routes; the views that are already shown for the same parameters stay
+   * (see above). A null route removes all of the views.
+   * @private
+   */
+  showViews_: function(route, params) {
+    var routes = [],
+        shown = this.shownRoutes_,
+        kept = 0,
+        parentView = this.view_;
+
+    for(var r = route; r; r = r.parent ? this.getRoute_(r.parent) : null) {
+      routes.unshift(r);
+    }
+
+    while(kept < routes.length && kept < shown.length && shown[kept].route === routes[kept] &&
+          cmvc.Router.haveSameParams_(routes[kept], shown[kept].params, params)) {
+      kept++;
+    }
+
+    // remove the views of the routes that are left, the innermost first, so only the changed subtree is disposed of
+    goog.array.forEachRight(shown.slice(kept), function(entry, i, a) {
+      if(entry.view && entry.parentView.getOutletView(entry.outlet) === entry.view) {
+        entry.parentView.setOutletView(entry.outlet, null);
+      }
+    });
+    shown = this.shownRoutes_ = shown.slice(0, kept);
+
+    goog.array.forEach(shown, function(entry, i, a) {
+      parentView = entry.view || parentView;
+    });
+
+    goog.array.forEach(routes.slice(kept), function(r, i, a) {
+      var entry = {route: r, params: params, view: null, parentView: parentView, outlet: null},
+          view;
+
+      if(r.view) {
+        if(!parentView) {
+          throw Error("cmvc.Router: there is no view to render the view of the route '" + r.name + "' into.");
+        }
+        entry.outlet = r.outlet || parentView.getOutletNames()[0];
+        view = new r.view({params: params});
+        entry.view = parentView.setOutletView(entry.outlet, view);
+        if(entry.view) {
+          parentView = entry.view;
+        } else {
+          // the parent view has been disposed of
+          view.dispose();
+        }
+      }
+      shown.push(entry);
+    });
+  },
+
+
+  /**
+   * Returns a copy of the declaration of the route called name, as an object.
+   * @private
+   */
+  getDeclaration_: function(name, declaration) {
+    if(goog.isString(declaration)) {
+      return {path: declaration, handler: goog.isFunction(this[name]) ? name : null};
+    }
+    return goog.object.clone(declaration);
+  },
+
+
+  /**
+   * Returns the route called name; throws an error if there is none.
+   * @private
+   */
+  getRoute_: function(name) {
+    var route = goog.array.find(this.routes_, function(r, i, a) { return r.name == name; });
+
+    if(!route) {
+      throw Error("cmvc.Router: there is no route called '" + name + "'.");
+    }
+    return route;
+  },
+
+
+  /**
+   * Creates the history of the mode.
+   * @private
+   */
+  createHistory_: function() {
+    var history;
+
+    if(this.mode_ == 'pushState' && goog.history.Html5History.isSupported()) {
+      history = new goog.history.Html5History();
+      history.setUseFragment(false);
+      history.setPathPrefix(this.root_);
+      return history;
+    }
+
+    this.mode_ = 'hash';
+    return new goog.History();
+  },
+
+
+  /**
+   * Returns the history token of path.
+   * @private
+   */
+  toToken_: function(path) {
+    return this.mode_ == 'pushState' ? path.substring(1) : path;
+  },
+
+
+  /**
+   * Returns the path of a history token.
+   * @private
+   */
+  fromToken_: function(token) {
+    return cmvc.Router.normalize_(token);
+  },
+
+
+  /**
+   * Returns fn if it is a function. Otherwise fn is either the name of a method of the router or a "dotted" reference
+   * to a function (see cmvc.ui.View#resolveFunctionReference_).
+   * @private
+   */
+  resolveFunctionReference_: function(fn) {
+    var resolved = fn;
+
+    if(goog.isString(fn)) {
+      resolved = fn.indexOf('.') >= 0 ? eval(fn) : this[fn];
+      if(!goog.isFunction(resolved)) {
+        throw Error("cmvc.Router: '" + fn + "' isn't a function.");
+      }
+    }
+    return resolved;
+  }
+});
+
+
+/**
+ * Returns path with a leading "/" and without a trailing "/", e.g. "accounts/7/" -> "/accounts/7".
+ * @private
+ */
+cmvc.Router.normalize_ = function(path) {
+  path = "/" + goog.string.trim(path || "").replace(/^\/+/, "");
+  return path.length > 1 ? path.replace(/\/+$/, "") : path;
+};
+
+
+/**
+ * Returns true if the parameters of route are the same in paramsA and paramsB.
+ * @private
+ */
+cmvc.Router.haveSameParams_ = function(route, paramsA, paramsB) {
+  return goog.array.every(route.paramNames, function(paramName, i, a) {
+    return paramsA[paramName] === paramsB[paramName];
+  });
+};
+
+
+/**
+ * Compiles a path pattern into { regExp, paramNames }. Throws an Error if the pattern has a "*" that isn't followed by
+ * the name of a wildcard parameter.
+ * @private
+ */
+cmvc.Router.compile_ = function(pattern) {
+  var path = cmvc.Router.normalize_(pattern),
+      paramNames = [],
+      source;
+
+  if(/\*(?!\w)/.test(path)) {
+    throw Error("cmvc.Router: the path '" + pattern + "' has a wildcard without a name (e.g. *path).");
+  }
+
+  source = path
+    .replace(/[\-\[\]{}+?.,\\\^$|#\s]/g, "\\$&")
+    .replace(/\(/g, "(?:")
+    .replace(/\)/g, ")?")
+    .replace(/([:*])(\w+)/g, function(match, kind, paramName) {
+      paramNames.push(paramName);
+      return kind == ':' ? "([^/]+)" : "(.*?)";
+    });
+
+  return {
+    regExp: new RegExp("^" + source + "/?$"),
+    paramNames: paramNames
+  };
+};
+
+
+/**
+ * The events dispatched by a router.
+ * @enum {string}
+ */
+cmvc.Router.EventType = {
+  BEFORE_NAVIGATE: 'beforenavigate',
+  NAVIGATE: 'navigate',
+  NOT_FOUND: 'notfound'
+};
+
+
+/**
+ * The event dispatched by a router when it is about to enter a route, once it has entered it, or when no route matches
+ * the path.
+ *
+ * @param {string} type The event type (see cmvc.Router.EventType).
+ * @param {cmvc.Router} router The router.
+ * @param {string} path The path.
+ * @param {?string} route The name of the route, or null if no route matches the path.
+ * @param {Object} params The parameters of the route.
+ * @constructor
+ */
+cmvc.Router.Event = cmvc.extend(goog.events.Event, {
+  constructor: function(type, router, path, route, params) {
+    goog.events.Event.call(this, type, router);
+
+    /**
+     * @type {string}
+     */
+    this.path = path;
+
+    /**
+     * @type {?string}
+     */
+    this.route = route;
+
+    /**
+     * @type {Object}
+     */
+    this.params = params;
+  }
+});
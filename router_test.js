@@ -0,0 +1,344 @@
+goog.provide("cmvc.RouterTest");
+
+goog.require("goog.events");
+goog.require("goog.events.EventTarget");
+goog.require("goog.history.Event");
+goog.require("goog.object");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc");
+goog.require("cmvc.Router");
+goog.require("cmvc.kvo");
+goog.require("cmvc.ui.View");
+
+
+/**
+ * A history that keeps the token in memory (see the history option of cmvc.Router).
+ */
+var FakeHistory = cmvc.extend(goog.events.EventTarget, {
+  constructor: function(token) {
+    goog.events.EventTarget.call(this);
+    this.token = token || "";
+  },
+  getToken: function() { return this.token; },
+  setToken: function(token) {
+    this.token = token;
+    this.dispatchEvent(new goog.history.Event(token, false));
+  },
+  replaceToken: function(token) {
+    this.replacedToken = token;
+    this.setToken(token);
+  },
+  setEnabled: function(enable) {}
+});
+
+
+/**
+ * Returns a router, with a FakeHistory, that has a route for each of the given path patterns.
+ */
+function createRouter(routes) {
+  var router = new cmvc.Router({history: new FakeHistory("/")});
+
+  goog.object.forEach(routes, function(path, name, o) {
+    router.addRoute(name, {path: path});
+  });
+  return router;
+}
+
+
+function testParameter() {
+  var router = createRouter({account: "/accounts/:id"});
+
+  assertObjectEquals({route: "account", params: {id: "7"}}, router.match("/accounts/7"));
+  assertObjectEquals({route: "account", params: {id: "a b"}}, router.match("/accounts/a%20b/"));
+  assertNull(router.match("/accounts"));
+  assertNull(router.match("/accounts/7/screens"));
+}
+
+
+function testWildcardParameter() {
+  var router = createRouter({files: "/files/*path"});
+
+  assertObjectEquals({route: "files", params: {path: "a/b/c.txt"}}, router.match("/files/a/b/c.txt"));
+  assertNull(router.match("/documents/a"));
+}
+
+
+function testOptionalPart() {
+  var router = createRouter({search: "/search(/:query)(/p:page)"});
+
+  assertObjectEquals({route: "search", params: {}}, router.match("/search"));
+  assertObjectEquals({route: "search", params: {query: "closure"}}, router.match("/search/closure"));
+  assertObjectEquals({route: "search", params: {query: "closure", page: "2"}}, router.match("/search/closure/p2"));
+}
+
+
+function testCatchAll() {
+  var router = createRouter({home: "/", other: "/*path"});
+
+  assertObjectEquals({route: "home", params: {}}, router.match("/"));
+  assertObjectEquals({route: "other", params: {path: "any/thing"}}, router.match("/any/thing"));
+}
+
+
+function testWildcardWithoutANameIsRejected() {
+  var router = createRouter({});
+
+  assertThrows(function() { router.addRoute("all", {path: "*"}); });
+  assertThrows(function() { router.addRoute("files", {path: "/files/*"}); });
+  assertNull(router.match("/"));
+}
+
+
+function testDeclaredRoutesCallTheirHandlersAndHooks() {
+  var calls = [],
+      log = function(text) { return function(params, name) { calls.push(text + " " + name + " " + params.id); }; },
+      Router = cmvc.Router.extend({
+        routes: {
+          'accounts': '/accounts',
+          'account': {path: '/accounts/:id', handler: 'showAccount', before: log("before"), after: log("after")}
+        },
+        accounts: function(params, name) { calls.push(name); },
+        showAccount: log("handler")
+      }),
+      router = new Router({history: new FakeHistory("/accounts")});
+
+  router.start();
+  assertArrayEquals(["accounts"], calls);
+  assertEquals("/accounts", router.currentPath);
+
+  calls = [];
+  assertTrue(router.navigate("/accounts/7"));
+  assertArrayEquals(["before account 7", "handler account 7", "after account 7"], calls);
+  assertEquals("account", router.currentRoute);
+  assertObjectEquals({id: "7"}, router.params);
+}
+
+
+function testNestedRoutesArePrefixedWithThePathOfTheirParent() {
+  var router = new cmvc.Router({history: new FakeHistory()});
+
+  router.addRoute("account", {path: "/accounts/:id/", routes: {screen: "/screens/:screenId"}});
+  router.addRoute("settings", {path: "settings", parent: "account"});
+
+  assertObjectEquals({route: "screen", params: {id: "7", screenId: "3"}}, router.match("/accounts/7/screens/3"));
+  assertObjectEquals({route: "settings", params: {id: "7"}}, router.match("/accounts/7/settings"));
+  assertThrows(function() { router.addRoute("x", {path: "/x", handler: 'noSuchMethod'}); });
+}
+
+
+function testBeforeHooksAndListenersCanCancelTheNavigation() {
+  var history = new FakeHistory("/"),
+      router = new cmvc.Router({history: history}),
+      allowed = false,
+      entered = [];
+
+  router.addRoute("home", {path: "/", handler: function() { entered.push("home"); }});
+  router.addRoute("admin", {path: "/admin", before: function() { return allowed; }});
+  router.addRoute("help", {path: "/help", handler: function() { entered.push("help"); }});
+  router.start();
+
+  assertFalse(router.navigate("/admin"));
+  assertEquals("/", router.currentPath);
+  assertEquals("/", history.getToken());
+
+  goog.events.listen(router, cmvc.Router.EventType.BEFORE_NAVIGATE, function(e) {
+    if(e.route == "help") {
+      e.preventDefault();
+    }
+  });
+  assertFalse(router.navigate("/help"));
+
+  // a navigation that started in the browser is undone
+  history.setToken("/help");
+  assertEquals("/", history.getToken());
+  assertEquals("/", history.replacedToken);
+  assertArrayEquals(["home"], entered);
+
+  allowed = true;
+  assertTrue(router.navigate("/admin"));
+  assertEquals("admin", router.currentRoute);
+}
+
+
+function testEventsAndNotFound() {
+  var router = createRouter({account: "/accounts/:id"}),
+      events = [];
+
+  goog.events.listen(router, [cmvc.Router.EventType.BEFORE_NAVIGATE, cmvc.Router.EventType.NAVIGATE,
+                              cmvc.Router.EventType.NOT_FOUND], function(e) {
+    events.push(e.type + " " + e.path + " " + e.route);
+  });
+
+  router.navigate("/accounts/7");
+  router.navigate("/nowhere");
+  assertArrayEquals([
+    "beforenavigate /accounts/7 account",
+    "navigate /accounts/7 account",
+    "beforenavigate /nowhere null",
+    "notfound /nowhere null"
+  ], events);
+  assertNull(router.currentRoute);
+  assertEquals("/nowhere", router.currentPath);
+}
+
+
+function testNavigateUpdatesTheHistory() {
+  var history = new FakeHistory("/"),
+      router = new cmvc.Router({history: history}),
+      calls = 0,
+      label = {};
+
+  router.addRoute("account", {path: "/accounts/:id", handler: function() { calls++; }});
+  router.start();
+  cmvc.kvo.bind(router, "currentRoute", label, "route");
+
+  router.navigate("accounts/7/");
+  assertEquals("/accounts/7", history.getToken());
+  router.navigate("/accounts/7");
+  assertEquals(1, calls);
+  router.navigate("/accounts/7", {reload: true});
+  assertEquals(2, calls);
+
+  router.navigateTo("account", {id: 8}, {replace: true});
+  assertEquals("/accounts/8", history.replacedToken);
+
+  history.setToken("/accounts/9");
+  assertEquals(4, calls);
+  assertObjectEquals({id: "9"}, router.params);
+  assertEquals("account", label.route);
+
+  router.stop();
+  history.setToken("/accounts/10");
+  assertEquals("/accounts/9", router.currentPath);
+}
+
+
+function testGenerateAndHref() {
+  var router = createRouter({
+        screen: "/accounts/:id/screens/:screenId",
+        search: "/search(/:query(/p:page))",
+        files: "/files/*path"
+      }),
+      pushStateRouter = new cmvc.Router({mode: 'pushState', root: "/app/", history: new FakeHistory()});
+
+  assertEquals("/accounts/7/screens/a%20b", router.generate("screen", {id: 7, screenId: "a b"}));
+  assertThrows(function() { router.generate("screen", {id: 7}); });
+  assertThrows(function() { router.generate("nothing"); });
+
+  assertEquals("/search", router.generate("search"));
+  assertEquals("/search/closure", router.generate("search", {query: "closure"}));
+  assertEquals("/search", router.generate("search", {page: 2}));
+  assertEquals("/search/closure/p2", router.generate("search", {query: "closure", page: 2}));
+  assertEquals("/files/a%20b/c.txt", router.generate("files", {path: "a b/c.txt"}));
+
+  assertEquals("#/search/closure", router.href("search", {query: "closure"}));
+  pushStateRouter.addRoute("search", "/search/:query");
+  assertEquals("/app/search/closure", pushStateRouter.href("search", {query: "closure"}));
+}
+
+
+function testPushStateTokensDoNotStartWithASlash() {
+  var history = new FakeHistory("accounts/7"),
+      router = new cmvc.Router({mode: 'pushState', history: history});
+
+  router.addRoute("account", "/accounts/:id");
+  router.start();
+  assertEquals("/accounts/7", router.currentPath);
+
+  router.navigate("/accounts/8");
+  assertEquals("accounts/8", history.getToken());
+}
+
+
+/**
+ * A view with main and detail outlets; the router gives it the parameters of its route (see cmvc.Router).
+ */
+var RouteView = cmvc.ui.View.extend({
+  root: {tag: 'div', children: [{tag: 'div', cls: 'cmvc-outlet-main'}, {tag: 'div', cls: 'cmvc-outlet-detail'}]},
+  outlets: "main detail"
+});
+
+
+/**
+ * Returns a router, with a FakeHistory, whose nested routes render RouteViews into the outlets of applicationView.
+ */
+function createViewRouter(applicationView) {
+  var router = new cmvc.Router({history: new FakeHistory("/"), view: applicationView});
+
+  router.addRoute("home", {path: "/"});
+  router.addRoute("account", {
+    path: "/accounts/:id",
+    view: RouteView,
+    routes: {
+      screen: {path: "/screens/:screenId", view: RouteView, outlet: 'detail'},
+      settings: {path: "/settings", view: RouteView},
+      history: {path: "/history"}
+    }
+  });
+  return router;
+}
+
+
+function testRoutesRenderTheirViewsIntoTheOutletsOfTheirParentRoutes() {
+  var applicationView = new RouteView(),
+      router = createViewRouter(applicationView),
+      account,
+      screen;
+
+  applicationView.render(document.body);
+  router.start();
+  assertNull(applicationView.getOutletView("main"));
+
+  router.navigate("/accounts/7/screens/3");
+  account = router.getView("account");
+  screen = router.getView("screen");
+  assertEquals(account, applicationView.getOutletView("main"));
+  assertEquals(screen, account.getOutletView("detail"));
+  assertObjectEquals({id: "7", screenId: "3"}, screen.params);
+  assertEquals(account.getOutletElement("detail"), screen.getElement().parentNode);
+
+  applicationView.dispose();
+}
+
+
+function testOnlyTheViewsOfTheRoutesThatChangedAreReplaced() {
+  var applicationView = new RouteView(),
+      router = createViewRouter(applicationView),
+      account,
+      screen;
+
+  applicationView.render(document.body);
+  router.start();
+  router.navigate("/accounts/7/screens/3");
+  account = router.getView("account");
+  screen = router.getView("screen");
+
+  router.navigate("/accounts/7/settings");
+  assertFalse(account.isDisposed());
+  assertTrue(screen.isDisposed());
+  assertEquals(router.getView("settings"), account.getOutletView("main"));
+  assertNull(account.getOutletView("detail"));
+
+  router.navigate("/accounts/7/history");
+  assertNull(account.getOutletView("main"));
+  assertEquals(account, router.getView("account"));
+
+  router.navigate("/accounts/8/history");
+  assertTrue(account.isDisposed());
+  assertEquals("8", router.getView("account").params.id);
+
+  router.navigate("/nowhere");
+  assertNull(applicationView.getOutletView("main"));
+  assertNull(router.getView("account"));
+
+  applicationView.dispose();
+}
+
+
+function testARouteWithAViewNeedsAViewToRenderInto() {
+  var router = createViewRouter(null);
+
+  router.start();
+  assertThrows(function() { router.navigate("/accounts/7"); });
+}
@@ -0,0 +1,218 @@
+goog.provide("cmvc.serializer");
+goog.provide("cmvc.serializer.transforms");
+
+goog.require("goog.array");
+goog.require("goog.object");
+goog.require("goog.string");
+
+goog.require("cmvc");
+
+
+/**
+ * Converts models to and from the data exchanged with servers and storage (see cmvc.Model#toJSON and
+ * cmvc.Model#fromJSON). The adapters (cmvc.RestAdapter, cmvc.LocalStorageAdapter) all go through it, so a model
+ * round-trips through any of them the same way.
+ *
+ * The conversion is driven by the attribute declarations of the model (see cmvc.Model#attributes), which may hold:
+ *   key - the name of the attribute in the data, if it differs from the attribute name (e.g. "account_name")
+ *   transform - converts the value of the attribute to and from the data; either the name of one of the built-in
+ *               transforms in cmvc.serializer.transforms (e.g. 'isoDate'), or an object of the form
+ *                 { serialize: function(value) -> data value, deserialize: function(data value) -> value }
+ *               Dates default to the 'timestamp' transform; null and undefined are never transformed
+ *   serialize - false leaves the attribute out of the data, and ignores it in data that is read
+ * Relationships (see cmvc.relationships) may declare a key, and serialize: false, as well.
+ *
+ * Usage:
+ *   myapp.models.Account = cmvc.Model.extend({
+ *     attributes: {
+ *       accountName: { type: 'string', key: 'account_name' },
+ *       openedOn: { type: 'date', transform: 'isoDate' },
+ *       status: { type: 'string', transform: cmvc.serializer.transforms.enumeration({open: 1, closed: 2}) },
+ *       isSelected: { type: 'boolean', serialize: false }
+ *     }
+ *   });
+ *
+ *   account.toJSON();     // { id: 7, account_name: "Savings", openedOn: "2010-07-04T00:00:00.000Z", status: 1 }
+ */
+
+
+/**
+ * Returns the data of model, as a map that can be JSON encoded: its attributes, and its relationships (see
+ * cmvc.relationships.serialize).
+ */
+cmvc.serializer.serialize = function(model) {
+  var data = {};
+
+  goog.object.forEach(model.getAttributeDeclarations(), function(declaration, name, o) {
+    var transform = cmvc.serializer.getTransform(declaration),
+        value = model[name];
+
+    if(declaration.serialize === false) {
+      return;
+    }
+    if(goog.isArray(value)) {
+      value = goog.array.clone(value);
+    }
+    data[declaration.key || name] = transform && goog.isDefAndNotNull(value) ? transform.serialize(value) : value;
+  });
+
+  return cmvc.serializer.hasRelationships_(model) ? cmvc.relationships.serialize(model, data) : data;
+};
+
+
+/**
+ * Returns the attribute (and relationship) values held by data, which was read from a server or from storage, for a
+ * model of type. The values are keyed by attribute name; members of data that don't belong to an attribute or
+ * relationship are left out.
+ *
+ * @param {Function} type The model class (a subclass of cmvc.Model).
+ * @param {Object} data The data, as written by cmvc.serializer.serialize.
+ * @return {Object} The values, ready to be passed to the constructor or to cmvc.Model#merge.
+ */
+cmvc.serializer.deserialize = function(type, data) {
+  var prototype = type.prototype,
+      values = {};
+
+  goog.object.forEach(prototype.getAttributeDeclarations(), function(declaration, name, o) {
+    var key = declaration.key || name,
+        transform = cmvc.serializer.getTransform(declaration),
+        value = data[key];
+
+    if(declaration.serialize === false || !(key in data)) {
+      return;
+    }
+    values[name] = transform && goog.isDefAndNotNull(value) ? transform.deserialize(value) : value;
+  });
+
+  return cmvc.serializer.hasRelationships_(prototype) ? cmvc.relationships.deserialize(type, data, values) : values;
+};
+
+
+/**
+ * Returns a copy of map, a map of data keys (e.g. the validation errors sent by a server), keyed by the names of the
+ * attributes instead; keys that don't belong to an attribute are kept as they are.
+ */
+cmvc.serializer.keysToNames = function(type, map) {
+  var names = {},
+      result = {};
+
+  goog.object.forEach(type.prototype.getAttributeDeclarations(), function(declaration, name, o) {
+    names[declaration.key || name] = name;
+  });
+  goog.object.forEach(map, function(value, key, o) {
+    result[names[key] || key] = value;
+  });
+  return result;
+};
+
+
+/**
+ * Returns the transform (an object with serialize and deserialize functions) of an attribute declaration, or null
+ * if its values are written as they are.
+ */
+cmvc.serializer.getTransform = function(declaration) {
+  var transform = declaration.transform;
+
+  if(goog.isString(transform)) {
+    if(!cmvc.serializer.transforms[transform]) {
+      throw Error("cmvc.serializer: unknown transform '" + transform + "'.");
+    }
+    return cmvc.serializer.transforms[transform];
+  }
+  if(transform) {
+    return transform;
+  }
+  return declaration.type == 'date' ? cmvc.serializer.transforms.timestamp : null;
+};
+
+
+/**
+ * Returns true if the model (or model prototype) declares relationships.
+ * @private
+ */
+cmvc.serializer.hasRelationships_ = function(model) {
+  return !goog.object.isEmpty(model.getRelationships());
+};
+
+
+/**
+ * Built-in transforms, for use as the transform of an attribute declaration (see above). New transforms are added by
+ * adding them to this namespace.
+ */
+
+
+/**
+ * Dates as milliseconds since the epoch.
+ */
+cmvc.serializer.transforms.timestamp = {
+  serialize: function(date) {
+    return date.getTime();
+  },
+  deserialize: function(ms) {
+    return new Date(ms);
+  }
+};
+
+
+/**
+ * Dates as ISO 8601 strings in UTC, e.g. "2010-07-04T12:30:00.000Z". Strings without a time zone are read as UTC,
+ * and strings without a time as midnight UTC.
+ */
+cmvc.serializer.transforms.isoDate = {
+  serialize: function(date) {
+    var pad = goog.string.padNumber;
+
+    return pad(date.getUTCFullYear(), 4) + "-" + pad(date.getUTCMonth() + 1, 2) + "-" + pad(date.getUTCDate(), 2) +
+           "T" + pad(date.getUTCHours(), 2) + ":" + pad(date.getUTCMinutes(), 2) + ":" + pad(date.getUTCSeconds(), 2) +
+           "." + pad(date.getUTCMilliseconds(), 3) + "Z";
+  },
+  deserialize: function(text) {
+    var match = /^(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d)(?::(\d\d)(?:\.(\d+))?)?)?(Z|([+-])(\d\d):?(\d\d))?$/.exec(text),
+        number = function(i) { return match[i] ? Number(match[i]) : 0; },
+        ms,
+        offset;
+
+    if(!match) {
+      throw Error("cmvc.serializer: '" + text + "' isn't an ISO 8601 date.");
+    }
+
+    ms = Date.UTC(number(1), number(2) - 1, number(3), number(4), number(5), number(6),
+                  match[7] ? Math.round(Number("0." + match[7]) * 1000) : 0);
+    offset = match[9] ? (number(10) * 60 + number(11)) * (match[9] == "-" ? -1 : 1) : 0;
+    return new Date(ms - offset * 60000);
+  }
+};
+
+
+/**
+ * Numbers as strings; an empty string reads as null.
+ */
+cmvc.serializer.transforms.numberString = {
+  serialize: function(number) {
+    return String(number);
+  },
+  deserialize: function(text) {
+    return goog.string.isEmptySafe(text) ? null : Number(text);
+  }
+};
+
+
+/**
+ * Returns a transform that maps values to the values in the data through map, and back. Values that map doesn't
+ * hold are written (and read) as they are.
+ *
+ * Usage:
+ *   status: { type: 'string', transform: cmvc.serializer.transforms.enumeration({open: 1, closed: 2}) }
+ */
+cmvc.serializer.transforms.enumeration = function(map) {
+  var reverse = goog.object.transpose(map);
+
+  return {
+    serialize: function(value) {
+      return goog.object.containsKey(map, value) ? map[value] : value;
+    },
+    deserialize: function(value) {
+      return goog.object.containsKey(reverse, value) ? reverse[value] : value;
+    }
+  };
+};
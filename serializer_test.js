@@ -0,0 +1,145 @@
+goog.provide("cmvc.serializerTest");
+
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Model");
+goog.require("cmvc.Store");
+goog.require("cmvc.relationships");
+goog.require("cmvc.serializer");
+goog.require("cmvc.serializer.transforms");
+
+
+var Account = cmvc.Model.extend({
+  attributes: {
+    accountName: {type: 'string', key: 'account_name'},
+    openedOn: {type: 'date', transform: 'isoDate'},
+    closedOn: 'date',
+    status: {type: 'string', transform: cmvc.serializer.transforms.enumeration({open: 1, closed: 2})},
+    isSelected: {type: 'boolean', serialize: false}
+  }
+});
+
+
+function testToJSONFollowsTheAttributeDeclarations() {
+  var account = new Account({
+    id: 7,
+    accountName: "Savings",
+    openedOn: new Date(Date.UTC(2010, 6, 4)),
+    closedOn: new Date(1000),
+    status: "open",
+    isSelected: true
+  });
+
+  assertObjectEquals({
+    id: 7,
+    account_name: "Savings",
+    openedOn: "2010-07-04T00:00:00.000Z",
+    closedOn: 1000,
+    status: 1
+  }, account.toJSON());
+
+  account.set({openedOn: null, status: "frozen"});
+  assertNull(account.toJSON().openedOn);
+  assertEquals("frozen", account.toJSON().status);
+}
+
+
+function testFromJSONReadsWhatToJSONWrites() {
+  var account = new Account({
+        id: 7, accountName: "Savings", openedOn: new Date(Date.UTC(2010, 6, 4)), status: "closed"
+      }),
+      copy = new Account({isSelected: true});
+
+  copy.fromJSON(account.toJSON());
+  assertEquals(7, copy.getId());
+  assertEquals("Savings", copy.accountName);
+  assertEquals(account.openedOn.getTime(), copy.openedOn.getTime());
+  assertEquals("closed", copy.status);
+  assertTrue(copy.isSelected);
+
+  assertObjectEquals({accountName: "Checking"},
+                     cmvc.serializer.deserialize(Account, {account_name: "Checking", isSelected: false, other: 1}));
+}
+
+
+function testKeysToNames() {
+  assertObjectEquals({accountName: "is taken", base: "is invalid"},
+                     cmvc.serializer.keysToNames(Account, {account_name: "is taken", base: "is invalid"}));
+}
+
+
+function testIsoDateTransform() {
+  var isoDate = cmvc.serializer.transforms.isoDate;
+
+  assertEquals(Date.UTC(2010, 6, 4), isoDate.deserialize("2010-07-04").getTime());
+  assertEquals(Date.UTC(2010, 6, 4, 12, 30, 5, 250), isoDate.deserialize("2010-07-04T12:30:05.25").getTime());
+  assertEquals(Date.UTC(2010, 6, 4, 10, 30), isoDate.deserialize("2010-07-04T12:30+02:00").getTime());
+  assertEquals(Date.UTC(2010, 6, 4, 14, 0), isoDate.deserialize("2010-07-04 12:00-0200").getTime());
+  assertThrows(function() { isoDate.deserialize("July 4th"); });
+}
+
+
+function testNumberStringTransform() {
+  var numberString = cmvc.serializer.transforms.numberString;
+
+  assertEquals("1.5", numberString.serialize(1.5));
+  assertEquals(1.5, numberString.deserialize("1.5"));
+  assertNull(numberString.deserialize(" "));
+}
+
+
+function testUnknownTransforms() {
+  assertThrows(function() { cmvc.serializer.getTransform({transform: 'nothing'}); });
+}
+
+
+/**
+ * Declares the Folder and Note classes (in cmvc.serializerTest), whose related models are looked up in store.
+ */
+function declareClasses(store) {
+  var ns = cmvc.serializerTest;
+
+  ns.Folder = cmvc.Model.extend({
+    attributes: {name: 'string'},
+    relationships: {
+      notes: {
+        type: 'hasMany', model: 'cmvc.serializerTest.Note', inverse: 'folder', serialize: 'embedded', store: store
+      }
+    }
+  });
+  ns.Note = cmvc.Model.extend({
+    attributes: {text: {type: 'string', key: 'body'}},
+    relationships: {
+      folder: {
+        type: 'belongsTo', model: 'cmvc.serializerTest.Folder', inverse: 'notes', key: 'folder_id', store: store
+      },
+      tags: {type: 'hasMany', model: 'cmvc.serializerTest.Folder', serialize: false, store: store}
+    }
+  });
+  return ns;
+}
+
+
+function testRelationshipsAreWrittenAsIdsOrEmbedded() {
+  var ns = declareClasses(new cmvc.Store()),
+      folder = new ns.Folder({id: 1, name: "Inbox"}),
+      note = new ns.Note({id: 2, text: "hi"});
+
+  folder.notes.add(note);
+  assertObjectEquals({id: 2, body: "hi", folder_id: 1}, note.toJSON());
+  assertObjectEquals({id: 1, name: "Inbox", notes: [{id: 2, body: "hi", folder_id: 1}]}, folder.toJSON());
+}
+
+
+function testEmbeddedDataIsReadIntoTheStore() {
+  var store = new cmvc.Store(),
+      ns = declareClasses(store),
+      folder = new ns.Folder({id: 1});
+
+  folder.fromJSON({name: "Inbox", notes: [{id: 2, body: "hi", folder_id: 1}]});
+  assertEquals("Inbox", folder.name);
+  assertEquals(1, folder.notes.length);
+  assertEquals("hi", folder.notes.at(0).text);
+  assertEquals(folder.notes.at(0), store.find(ns.Note, 2));
+  assertEquals(folder, store.find(ns.Note, 2).folder);
+}
@@ -12,6 +12,7 @@ goog.require("goog.events.KeyCodes");
 goog.require("cmvc");
 goog.require("cmvc.array");
 goog.require("cmvc.Template");
+goog.require("cmvc.kvo");
 goog.require("cmvc.ui.View");
 goog.require("cmvc.ui.View.EventDispatch");
 
@@ -39,10 +40,12 @@ cmvc.ui.LabelView = cmvc.ui.View.extend({
     this.getElement().innerHTML = this.content_;
   },
   
-  handlePropertySet: function(property, index, value) {
-    value = arguments.length == 2 ? index : value;
-    
-    this.updateText();
+  // Called by cmvc.kvo once per batch of property changes (see cmvc.kvo.beginPropertyChanges), so setting several
+  //   properties at once only re-renders the text once.
+  handlePropertyChanges: function(changes) {
+    if(this.isInDocument()) {
+      this.updateText();
+    }
   }
 });
 
@@ -181,6 +184,18 @@ cmvc.ui.InlineTextInputView = cmvc.ui.View.extend({
   
   onFocus: function(e) { console.log('text input received focus'); },
   
+  // charArray and cursorIndex are changed through cmvc.kvo, so the edits can be recorded by a cmvc.UndoManager
+  //   (e.g. undoManager.register(input, "charArray")); the text is refreshed once per batch of changes, including the
+  //   changes made by undo() and redo().
+  handlePropertyChanges: function(changes) {
+    if(this.cursorIndex > this.charArray.length) {
+      cmvc.kvo.set(this, "cursorIndex", this.charArray.length);
+    }
+    if(this.isInDocument()) {
+      this.refreshText();
+    }
+  },
+  
   refreshText: function() {
     var pair = cmvc.array.split(this.charArray, this.cursorIndex),
         left = pair[0],
@@ -202,6 +217,12 @@ cmvc.ui.InlineTextInputView = cmvc.ui.View.extend({
     // key codes: http://www.quirksmode.org/js/keys.html
     var cc = e.charCode,
         kc = e.keyCode;
+    
+    // leave shortcuts such as Ctrl+Z to the other key handlers (e.g. cmvc.UndoManager#handleKeyEvent)
+    if(e.ctrlKey || e.metaKey) {
+      return;
+    }
+    
     console.log(cc, kc);
     if (cc > 0) {           // we have a valid charCode; no need to use keyCode
       var key = String.fromCharCode(cc);
@@ -241,8 +262,10 @@ cmvc.ui.InlineTextInputView = cmvc.ui.View.extend({
              (65 <= cc && cc <= 90) ||      // uppercase letters: A-Z
              (48 <= cc && cc <= 57)) {      // numbers: 0-9
             console.log("key: " + key + "(" + cc + ")");
-            this.charArray.splice(this.cursorIndex, 0, key);
-            this.cursorIndex++;
+            cmvc.kvo.beginPropertyChanges();
+            cmvc.kvo.insertAt(this, "charArray", this.cursorIndex, key);
+            cmvc.kvo.set(this, "cursorIndex", this.cursorIndex + 1);
+            cmvc.kvo.endPropertyChanges();
           }
       }
     } else {            // we don't have a valid charCode, so we deal with the keyCode
@@ -250,8 +273,10 @@ cmvc.ui.InlineTextInputView = cmvc.ui.View.extend({
         case goog.events.KeyCodes.BACKSPACE:
           console.log("[Backspace]");
           if(this.cursorIndex > 0) {
-            this.cursorIndex--;
-            this.charArray.splice(this.cursorIndex, 1);
+            cmvc.kvo.beginPropertyChanges();
+            cmvc.kvo.set(this, "cursorIndex", this.cursorIndex - 1);
+            cmvc.kvo.removeAt(this, "charArray", this.cursorIndex);
+            cmvc.kvo.endPropertyChanges();
           }
           break;
         case goog.events.KeyCodes.ENTER:
@@ -260,23 +285,22 @@ cmvc.ui.InlineTextInputView = cmvc.ui.View.extend({
         case goog.events.KeyCodes.DELETE:
           console.log("[Delete]");
           if (this.charArray.length > 0 && this.cursorIndex < this.charArray.length) {
-            this.charArray.splice(this.cursorIndex, 1);
+            cmvc.kvo.removeAt(this, "charArray", this.cursorIndex);
           }
           break;
         case goog.events.KeyCodes.LEFT:
           console.log("[Left]");
           if (this.cursorIndex > 0) {
-            this.cursorIndex--;
+            cmvc.kvo.set(this, "cursorIndex", this.cursorIndex - 1);
           }
           break;
         case goog.events.KeyCodes.RIGHT:
           console.log("[Right]");
           if (this.cursorIndex < this.charArray.length) {
-            this.cursorIndex++;
+            cmvc.kvo.set(this, "cursorIndex", this.cursorIndex + 1);
           }
           break;
       }
     }
-    this.refreshText();
   }
 });
\ No newline at end of file
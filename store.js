@@ -0,0 +1,205 @@
+goog.provide("cmvc.Store");
+
+goog.require("goog.Disposable");
+goog.require("goog.array");
+goog.require("goog.object");
+
+goog.require("cmvc");
+goog.require("cmvc.Collection");
+goog.require("cmvc.Model");
+goog.require("cmvc.Projection");
+goog.require("cmvc.kvo");
+
+
+/**
+ * cmvc.Store is an identity map of records: it holds at most one instance of a model class (a "type") per id, so the
+ * same entity loaded from several endpoints is always the same object.
+ *
+ * Data loaded for a record that is already in the store is merged into that record (see cmvc.Model#merge): only the
+ * attributes whose values differ are set, so cmvc.kvo observers (and views bound to the record) are only notified of
+ * the fields that actually changed.
+ *
+ * cmvc.Store.getInstance() returns a shared store; separate stores can be created with new cmvc.Store().
+ *
+ * Usage:
+ *   var store = cmvc.Store.getInstance();
+ *   var ann = store.load(myapp.models.Person, {id: 7, name: "Ann"});
+ *   store.load(myapp.models.Person, [{id: 7, name: "Anne"}, {id: 8, name: "Bob"}]);
+ *   ann.name;                                          // "Anne"
+ *   store.find(myapp.models.Person, 7) === ann;        // true
+ *   var people = store.all(myapp.models.Person);       // a live, read-only collection of all the loaded people
+ *   store.unload(myapp.models.Person, 8);
+ */
+cmvc.Store = cmvc.extend(goog.Disposable, {
+  constructor: function() {
+    goog.Disposable.call(this);
+
+    /**
+     * Maps the uid of a type (see goog.getUid) to { records: Object, collection: cmvc.Collection, all: cmvc.Projection },
+     * where records maps ids to records.
+     * @type {Object}
+     * @private
+     */
+    this.types_ = {};
+  },
+
+
+  /**
+   * Loads the data of one record, or an array of data of several records, of type into the store. Data for a record
+   * that is already in the store is merged into it; the others become new records.
+   *
+   * @param {Function} type The model class (a subclass of cmvc.Model).
+   * @param {Object|Array.<Object>} data The attribute values of the record(s); they must include the id.
+   * @return {cmvc.Model|Array.<cmvc.Model>} The record(s).
+   */
+  load: function(type, data) {
+    var records;
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      records = goog.array.map(goog.isArray(data) ? data : [data], function(values, i, a) {
+        return this.load_(type, values);
+      }, this);
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+
+    return goog.isArray(data) ? records : records[0];
+  },
+
+
+  /**
+   * Adds a record that isn't in the store yet, e.g. a new record once it has been saved and has been given an id.
+   * Throws an error if another record of the same type already has the id.
+   */
+  add: function(record) {
+    var type = record.constructor,
+        id = record.getId(),
+        entry = this.getEntry_(type);
+
+    if(!goog.isDefAndNotNull(id)) {
+      throw Error("cmvc.Store: can't add a record without an id.");
+    }
+    if(entry.records[id] && entry.records[id] !== record) {
+      throw Error("cmvc.Store: another record already has the id " + id + ".");
+    }
+
+    entry.records[id] = record;
+    entry.collection.add(record);
+    return record;
+  },
+
+
+  /**
+   * Returns the record of type with the given id, or null if it isn't in the store.
+   */
+  find: function(type, id) {
+    return this.getEntry_(type).records[id] || null;
+  },
+
+
+  /**
+   * Returns true if record is in the store.
+   */
+  contains: function(record) {
+    return this.find(record.constructor, record.getId()) === record;
+  },
+
+
+  /**
+   * Returns a live, read-only collection (a cmvc.Projection) of all of the records of type in the store; records are
+   * added to it as they are loaded and removed from it as they are unloaded.
+   */
+  all: function(type) {
+    return this.getEntry_(type).all;
+  },
+
+
+  /**
+   * Removes the record of type with the given id from the store, or all of the records of type if no id is given.
+   * Unloaded records aren't disposed of, since views may still be showing them.
+   *
+   * @return {Array.<cmvc.Model>} The unloaded records.
+   */
+  unload: function(type, opt_id) {
+    var entry = this.getEntry_(type),
+        records;
+
+    if(goog.isDef(opt_id)) {
+      records = entry.records[opt_id] ? [entry.records[opt_id]] : [];
+      delete entry.records[opt_id];
+    } else {
+      records = goog.object.getValues(entry.records);
+      entry.records = {};
+    }
+
+    entry.collection.remove(records);
+    return records;
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    cmvc.Store.superClass_.disposeInternal.call(this);
+
+    goog.object.forEach(this.types_, function(entry, uid, o) {
+      entry.all.dispose();
+      entry.collection.dispose();
+    });
+    this.types_ = {};
+  },
+
+
+  /**
+   * Loads the data of one record.
+   * @private
+   */
+  load_: function(type, values) {
+    var entry = this.getEntry_(type),
+        id = values[type.prototype.idAttribute],
+        record,
+        wasDirty;
+
+    if(!goog.isDefAndNotNull(id)) {
+      throw Error("cmvc.Store: can't load a record without an id.");
+    }
+
+    record = entry.records[id];
+    if(record) {
+      // a record without unsaved changes stays clean (see cmvc.Model#isDirty); the loaded values are its saved values
+      wasDirty = record.isDirty;
+      record.merge(values);
+      if(!wasDirty) {
+        record.commit();
+      }
+    } else {
+      record = entry.records[id] = new type(values);
+      entry.collection.add(record);
+    }
+    return record;
+  },
+
+
+  /**
+   * Returns the entry of type in types_, creating it if it doesn't exist.
+   * @private
+   */
+  getEntry_: function(type) {
+    var uid = goog.getUid(type),
+        entry = this.types_[uid],
+        collection;
+
+    if(!entry) {
+      collection = new cmvc.Collection();
+      collection.model = type;
+      entry = this.types_[uid] = {
+        records: {},
+        collection: collection,
+        all: new cmvc.Projection(collection)
+      };
+    }
+    return entry;
+  }
+});
+goog.addSingletonGetter(cmvc.Store);
+
@@ -0,0 +1,98 @@
+goog.provide("cmvc.StoreTest");
+
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Model");
+goog.require("cmvc.Store");
+goog.require("cmvc.kvo");
+
+
+var Person = cmvc.Model.extend({attributes: {name: 'string', email: 'string'}});
+
+
+var Company = cmvc.Model.extend({attributes: {name: 'string'}});
+
+
+function testLoadKeepsOneRecordPerTypeAndId() {
+  var store = new cmvc.Store(),
+      ann = store.load(Person, {id: 7, name: "Ann"}),
+      records = store.load(Person, [{id: 7, name: "Anne"}, {id: 8, name: "Bob"}]),
+      acme = store.load(Company, {id: 7, name: "Acme"});
+
+  assertEquals(ann, records[0]);
+  assertEquals("Anne", ann.name);
+  assertEquals(ann, store.find(Person, 7));
+  assertEquals(acme, store.find(Company, 7));
+  assertNull(store.find(Person, 9));
+  assertTrue(store.contains(records[1]));
+  assertFalse(store.contains(new Person({id: 8})));
+  assertThrows(function() { store.load(Person, {name: "nobody"}); });
+}
+
+
+function testLoadOnlyNotifiesTheObserversOfTheChangedAttributes() {
+  var store = new cmvc.Store(),
+      ann = store.load(Person, {id: 1, name: "Ann", email: "ann@example.com"}),
+      changed = [];
+
+  cmvc.kvo.observeProperty(ann, "name", function() { changed.push("name"); });
+  cmvc.kvo.observeProperty(ann, "email", function() { changed.push("email"); });
+  store.load(Person, {id: 1, name: "Ann", email: "ann@example.org"});
+
+  assertArrayEquals(["email"], changed);
+}
+
+
+function testLoadKeepsACleanRecordClean() {
+  var store = new cmvc.Store(),
+      ann = store.load(Person, {id: 1, name: "Ann"});
+
+  store.load(Person, {id: 1, name: "Annie"});
+  assertEquals("Annie", ann.name);
+  assertFalse(ann.isDirty);
+}
+
+
+function testLoadKeepsTheUnsavedChangesOfADirtyRecord() {
+  var store = new cmvc.Store(),
+      ann = store.load(Person, {id: 1, name: "Ann", email: "ann@example.com"});
+
+  ann.set('name', "Annie");
+  store.load(Person, {id: 1, email: "ann@example.org"});
+  assertTrue(ann.isDirty);
+  assertEquals("Annie", ann.name);
+  assertEquals("ann@example.org", ann.email);
+}
+
+
+function testAllIsALiveCollectionOfTheRecords() {
+  var store = new cmvc.Store(),
+      people = store.all(Person),
+      bob;
+
+  store.load(Person, [{id: 1, name: "Ann"}, {id: 2, name: "Bob"}]);
+  bob = store.add(new Person({id: 3, name: "Bob"}));
+  assertArrayEquals(["Ann", "Bob", "Bob"], people.pluck('name'));
+  assertThrows(function() { people.add(new Person({id: 4})); });
+
+  assertArrayEquals([bob], store.unload(Person, 3));
+  assertArrayEquals([1, 2], people.pluck('id'));
+  assertFalse(bob.isDisposed());
+
+  store.unload(Person);
+  assertEquals(0, people.length);
+}
+
+
+function testAddRejectsRecordsWithoutAnIdOrWithTheIdOfAnother() {
+  var store = new cmvc.Store();
+
+  store.load(Person, {id: 1});
+  assertThrows(function() { store.add(new Person()); });
+  assertThrows(function() { store.add(new Person({id: 1})); });
+}
+
+
+function testGetInstanceReturnsASharedStore() {
+  assertEquals(cmvc.Store.getInstance(), cmvc.Store.getInstance());
+}
@@ -9,5 +9,6 @@ goog.require("goog.string");
  * @returns {Array} an array of non-empty strings
  */
 cmvc.string.words = function(str) {
-  return goog.string.collapseWhitespace(str).split(" ");
+  str = goog.string.collapseWhitespace(str);
+  return str.length > 0 ? str.split(" ") : [];
 }
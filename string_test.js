@@ -0,0 +1,17 @@
+goog.provide("cmvc.stringTest");
+
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.string");
+
+
+function testWords() {
+  assertArrayEquals(["a", "b", "c"], cmvc.string.words(" a  b\tc "));
+  assertArrayEquals(["a"], cmvc.string.words("a"));
+}
+
+
+function testWordsOfAnEmptyStringIsEmpty() {
+  assertArrayEquals([], cmvc.string.words(""));
+  assertArrayEquals([], cmvc.string.words("   "));
+}
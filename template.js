@@ -19,6 +19,7 @@ goog.require("goog.object");
 goog.require("goog.dom");
 goog.require("goog.userAgent");
 goog.require("cmvc");
+goog.require("cmvc.kvo");
 
 /**
  * @class cmvc.Template
@@ -60,6 +61,7 @@ cmvc.Template = cmvc.extend(Object, {
   
   /**
    * Returns an HTML fragment of this template with the specified values applied.
+   * The values are read with cmvc.kvo.get, so computed properties (see cmvc.kvo.computed) can be used as template values.
    * @param {Object/Array} values The template values. Can be an array if your params are numeric (i.e. {0}) or an object (i.e. {foo: 'bar'})
    * @return {String} The HTML fragment
    */
@@ -68,7 +70,10 @@ cmvc.Template = cmvc.extend(Object, {
 
     return me.compiled ? 
       me.compiled(values) : 
-      me.html.replace(me.re, function(m, name) { return values[name] !== undefined ? values[name] : ""; });
+      me.html.replace(me.re, function(m, name) { 
+        var value = cmvc.kvo.get(values, name);
+        return value !== undefined ? value : ""; 
+      });
   },
   
   /**
@@ -137,7 +142,7 @@ cmvc.Template = cmvc.extend(Object, {
     	  sep = goog.userAgent.GECKO ? "+" : ",";
     
     function fn(m, name){                        
-      name = "values['" + name + "']";
+      name = "cmvc.kvo.get(values, '" + name + "')";
       return "'"+ sep + '(' + name + " == undefined ? '' : " + name + ')' + sep + "'";
     }
     
@@ -0,0 +1,115 @@
+goog.provide("cmvc.kvo.transforms");
+
+goog.require("goog.array");
+goog.require("goog.i18n.DateTimeFormat");
+goog.require("goog.string");
+
+
+/**
+ * Built-in binding transforms, for use with the transform and reverseTransform options of cmvc.kvo.bind and
+ * cmvc.kvo.bindTwoWay, and with the transform and reverseTransform fields of View#propertyBindings entries.
+ *
+ * Each transform is a function that takes the propagated value and returns the converted value. The members that
+ * take configuration arguments (e.g. defaultValue and dateFormat) return such a function.
+ *
+ * Usage:
+ *   cmvc.kvo.bind(model, "isHidden", view, "visible_", { transform: cmvc.kvo.transforms.not });
+ *   cmvc.kvo.bind(model, "nickname", view, "text", { transform: cmvc.kvo.transforms.defaultValue("(none)") });
+ */
+
+
+/**
+ * Returns the logical negation of value.
+ */
+cmvc.kvo.transforms.not = function(value) {
+  return !value;
+};
+
+
+/**
+ * Converts value to a boolean.
+ */
+cmvc.kvo.transforms.bool = function(value) {
+  return !!value;
+};
+
+
+/**
+ * Converts value to a number. Strings are trimmed first; an empty string (or null/undefined) converts to null,
+ * and a string that isn't a number converts to NaN.
+ */
+cmvc.kvo.transforms.number = function(value) {
+  if(goog.isNumber(value)) {
+    return value;
+  }
+  if(!goog.isDefAndNotNull(value) || goog.string.isEmptySafe(value)) {
+    return null;
+  }
+  return Number(goog.string.trim(String(value)));
+};
+
+
+/**
+ * Converts value to a string; null and undefined convert to the empty string.
+ */
+cmvc.kvo.transforms.string = function(value) {
+  return goog.string.makeSafe(value);
+};
+
+
+/**
+ * Converts value to a string with the leading and trailing whitespace removed.
+ */
+cmvc.kvo.transforms.trim = function(value) {
+  return goog.string.trim(goog.string.makeSafe(value));
+};
+
+
+/**
+ * Returns a transform that replaces null, undefined and the empty string with defaultValue.
+ */
+cmvc.kvo.transforms.defaultValue = function(defaultValue) {
+  return function(value) {
+    return (!goog.isDefAndNotNull(value) || value === '') ? defaultValue : value;
+  };
+};
+
+
+/**
+ * Returns a transform that formats a number with a fixed number of digits after the decimal point
+ * (e.g. for currency amounts). Values that aren't numbers convert to the empty string.
+ */
+cmvc.kvo.transforms.fixed = function(digits) {
+  return function(value) {
+    value = cmvc.kvo.transforms.number(value);
+    return (goog.isNumber(value) && !isNaN(value)) ? value.toFixed(digits) : "";
+  };
+};
+
+
+/**
+ * Returns a transform that formats a Date with the given goog.i18n.DateTimeFormat pattern (e.g. "yyyy-MM-dd") or
+ * goog.i18n.DateTimeFormat.Format constant. Values that aren't Dates convert to the empty string.
+ */
+cmvc.kvo.transforms.dateFormat = function(pattern) {
+  var formatter = new goog.i18n.DateTimeFormat(pattern);
+  return function(value) {
+    return goog.isDateLike(value) ? formatter.format(value) : "";
+  };
+};
+
+
+/**
+ * Returns a transform that applies each of the given transforms in turn, from left to right.
+ *
+ * Usage:
+ *   cmvc.kvo.transforms.chain(cmvc.kvo.transforms.trim, cmvc.kvo.transforms.number)
+ */
+cmvc.kvo.transforms.chain = function(var_args) {
+  var transforms = Array.prototype.slice.call(arguments);
+  return function(value) {
+    return goog.array.reduce(transforms, function(result, transform, i, a) {
+      return transform(result);
+    }, value);
+  };
+};
@@ -0,0 +1,56 @@
+goog.provide("cmvc.kvo.transformsTest");
+
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.kvo.transforms");
+
+
+function testNumber() {
+  assertEquals(12.5, cmvc.kvo.transforms.number(" 12.5 "));
+  assertEquals(3, cmvc.kvo.transforms.number(3));
+  assertNull(cmvc.kvo.transforms.number(""));
+  assertNull(cmvc.kvo.transforms.number(null));
+  assertTrue(isNaN(cmvc.kvo.transforms.number("abc")));
+}
+
+
+function testStringsAndBooleans() {
+  assertEquals("", cmvc.kvo.transforms.string(null));
+  assertEquals("7", cmvc.kvo.transforms.string(7));
+  assertEquals("a b", cmvc.kvo.transforms.trim("  a b "));
+  assertTrue(cmvc.kvo.transforms.not(""));
+  assertTrue(cmvc.kvo.transforms.bool("x"));
+}
+
+
+function testDefaultValue() {
+  var transform = cmvc.kvo.transforms.defaultValue("(none)");
+
+  assertEquals("(none)", transform(""));
+  assertEquals("(none)", transform(undefined));
+  assertEquals(0, transform(0));
+}
+
+
+function testFixed() {
+  var transform = cmvc.kvo.transforms.fixed(2);
+
+  assertEquals("3.10", transform(3.1));
+  assertEquals("4.00", transform("4"));
+  assertEquals("", transform("x"));
+}
+
+
+function testDateFormat() {
+  var transform = cmvc.kvo.transforms.dateFormat("yyyy-MM-dd");
+
+  assertEquals("2010-03-09", transform(new Date(2010, 2, 9)));
+  assertEquals("", transform("2010-03-09"));
+}
+
+
+function testChain() {
+  var transform = cmvc.kvo.transforms.chain(cmvc.kvo.transforms.trim, cmvc.kvo.transforms.number);
+
+  assertEquals(42, transform(" 42 "));
+}
@@ -0,0 +1,428 @@
+goog.provide("cmvc.UndoManager");
+
+goog.require("goog.Disposable");
+goog.require("goog.array");
+goog.require("goog.events.KeyCodes");
+goog.require("goog.object");
+
+goog.require("cmvc");
+goog.require("cmvc.kvo");
+goog.require("cmvc.string");
+
+
+/**
+ * cmvc.UndoManager records the changes made through cmvc.kvo to the properties of the objects registered with it
+ * (see register), and can undo and redo them.
+ *
+ * Changes are recorded in undo steps:
+ *   - The changes made between beginUndoGroup(name) and the matching endUndoGroup() form one step with that name.
+ *   - Otherwise, the changes made during a batch of property changes (see cmvc.kvo.beginPropertyChanges) form one
+ *     step, so e.g. setting several attributes of a model with model.set({...}) is undone at once. With the deferred
+ *     run loop (see cmvc.kvo.setDeferred), that means all the changes made while handling a single event.
+ *   - Any other change is a step of its own.
+ * Recording a new step clears the redo steps.
+ *
+ * Undoing a step reverts its changes in reverse order, through cmvc.kvo, so observers and bound views update as
+ * usual; redoing it makes them again. canUndo, canRedo, undoName and redoName (the names of the steps that undo()
+ * and redo() would revert or make again) are observable, so e.g. the enabled_ property of an Undo button can be bound
+ * to canUndo.
+ *
+ * Register the objects that hold the state (e.g. the models), not the views bound to them: a change that a binding
+ * propagates from one registered object to another would be undone twice.
+ *
+ * handleKeyEvent undoes on Ctrl+Z and redoes on Ctrl+Y or Ctrl+Shift+Z (Cmd instead of Ctrl on a Mac), so the
+ * shortcuts can be declared in the keyEvents of a view.
+ *
+ * Options:
+ *   limit - Number - the number of undo steps that are kept; defaults to 100
+ *
+ * Usage:
+ *   myapp.undoManager = new cmvc.UndoManager();
+ *   myapp.undoManager.register(account);                       // records the attributes of a cmvc.Model
+ *   myapp.undoManager.register(editor, "charArray");           // an InlineTextInputView
+ *
+ *   myapp.undoManager.beginUndoGroup("Rename");
+ *   account.set('name', "Checking");
+ *   account.set('nickname', "");
+ *   myapp.undoManager.endUndoGroup();
+ *   myapp.undoManager.undo();                                  // both attributes are reverted
+ *
+ *   myapp.views.Editor = cmvc.ui.InlineTextInputView.extend({
+ *     keyEvents: {
+ *       'key': 'myapp.undoManager.handleKeyEvent'
+ *     }
+ *   });
+ */
+cmvc.UndoManager = cmvc.extend(goog.Disposable, {
+  /**
+   * @param {Object=} opt_options See above.
+   */
+  constructor: function(opt_options) {
+    var options = opt_options || {};
+
+    goog.Disposable.call(this);
+
+    /**
+     * True if there is a step to undo; read-only.
+     * @type {boolean}
+     */
+    this.canUndo = false;
+
+    /**
+     * True if there is a step to redo; read-only.
+     * @type {boolean}
+     */
+    this.canRedo = false;
+
+    /**
+     * The name of the step that undo() would revert, or null; read-only.
+     * @type {?string}
+     */
+    this.undoName = null;
+
+    /**
+     * The name of the step that redo() would make again, or null; read-only.
+     * @type {?string}
+     */
+    this.redoName = null;
+
+    this.limit_ = goog.isDef(options.limit) ? options.limit : 100;
+
+    /**
+     * The recorded steps, oldest first. Each step has the form { name: ?string, changes: Array.<Object> }, where a
+     * change has the form of a cmvc.kvo change record (see cmvc.kvo.createChange_).
+     * @private
+     */
+    this.undoSteps_ = [];
+    this.redoSteps_ = [];
+
+    /**
+     * The step that changes are currently recorded in, if any.
+     * @private
+     */
+    this.openStep_ = null;
+
+    /**
+     * The number of beginUndoGroup() calls that haven't been matched by a call to endUndoGroup() yet.
+     * @private
+     */
+    this.groupDepth_ = 0;
+
+    /**
+     * While a step is being undone or redone, the step that the changes it causes are recorded in.
+     * @private
+     */
+    this.replayStep_ = null;
+
+    /**
+     * Maps the uid of each registered object (see cmvc.kvo.getUid) to the keys of the observers that record its changes.
+     * @private
+     */
+    this.registrations_ = {};
+
+    cmvc.kvo.observable(this, ["canUndo", "canRedo", "undoName", "redoName"]);
+  },
+
+
+  /**
+   * Starts recording the changes made to the properties of obj. The properties can be given as an array or as a space
+   * separated string; they default to the attributes of a cmvc.Model (see cmvc.Model#getAttributeNames), and to the
+   * own properties of any other object that don't reference functions.
+   */
+  register: function(obj, opt_properties) {
+    var uid = cmvc.kvo.getUid(obj),
+        properties = opt_properties;
+
+    if(goog.isString(properties)) {
+      properties = cmvc.string.words(properties);
+    } else if(!goog.isArray(properties)) {
+      properties = goog.isFunction(obj.getAttributeNames) ? obj.getAttributeNames() :
+          goog.array.filter(goog.object.getKeys(obj), function(property, i, a) {
+            return obj.hasOwnProperty(property) && !goog.isFunction(obj[property]);
+          });
+    }
+
+    this.unregister(obj);
+    this.registrations_[uid] = goog.array.map(properties, function(property, i, a) {
+      return cmvc.kvo.observeChanges(obj, property, {
+        willChange: goog.bind(this.record_, this)
+      }, this);
+    }, this);
+  },
+
+
+  /**
+   * Stops recording the changes made to obj, and drops the changes of obj that were already recorded.
+   */
+  unregister: function(obj) {
+    var uid = cmvc.kvo.getUid(obj),
+        notObj = function(change, i, a) { return change.object !== obj; },
+        keep = function(step, i, a) {
+          step.changes = goog.array.filter(step.changes, notObj);
+          return step.changes.length > 0;
+        };
+
+    if(!this.registrations_[uid]) {
+      return;
+    }
+
+    goog.array.forEach(this.registrations_[uid], cmvc.kvo.unobserveByKey);
+    delete this.registrations_[uid];
+
+    this.undoSteps_ = goog.array.filter(this.undoSteps_, keep);
+    this.redoSteps_ = goog.array.filter(this.redoSteps_, keep);
+    if(this.openStep_) {
+      this.openStep_.changes = goog.array.filter(this.openStep_.changes, notObj);
+    }
+    this.updateState_();
+  },
+
+
+  /**
+   * Starts a group of changes that is undone as one step. Groups may be nested; the step ends with the outermost
+   * group, and is named after the first name given.
+   */
+  beginUndoGroup: function(opt_name) {
+    if(this.groupDepth_++ == 0) {
+      this.closeStep_();
+      this.openStep_ = { name: opt_name || null, changes: [] };
+    } else if(!this.openStep_.name) {
+      this.openStep_.name = opt_name || null;
+    }
+  },
+
+
+  /**
+   * Ends a group of changes started by beginUndoGroup().
+   */
+  endUndoGroup: function() {
+    if(this.groupDepth_ > 0 && --this.groupDepth_ == 0) {
+      this.closeStep_();
+    }
+  },
+
+
+  /**
+   * Reverts the changes of the most recent step. Returns false if there was nothing to undo.
+   */
+  undo: function() {
+    this.assertNotGrouping_();
+    this.closeStep_();
+    if(this.undoSteps_.length == 0) {
+      return false;
+    }
+
+    this.redoSteps_.push(this.replay_(this.undoSteps_.pop()));
+    this.updateState_();
+    return true;
+  },
+
+
+  /**
+   * Makes the changes of the most recently undone step again. Returns false if there was nothing to redo.
+   */
+  redo: function() {
+    this.assertNotGrouping_();
+    if(this.redoSteps_.length == 0) {
+      return false;
+    }
+
+    this.undoSteps_.push(this.replay_(this.redoSteps_.pop()));
+    this.updateState_();
+    return true;
+  },
+
+
+  /**
+   * Drops all of the recorded steps.
+   */
+  clear: function() {
+    this.undoSteps_ = [];
+    this.redoSteps_ = [];
+    if(this.openStep_) {
+      this.openStep_.changes = [];
+    }
+    this.updateState_();
+  },
+
+
+  /**
+   * A goog.events.KeyHandler KEY event handler: undoes on Ctrl+Z, and redoes on Ctrl+Y or Ctrl+Shift+Z.
+   * Returns false (and prevents the default action) if the event was handled.
+   */
+  handleKeyEvent: function(e) {
+    var handled = false;
+
+    if(!(e.ctrlKey || e.metaKey) || e.altKey) {
+      return true;
+    }
+
+    if(e.keyCode == goog.events.KeyCodes.Z && !e.shiftKey) {
+      handled = true;
+      this.undo();
+    } else if(e.keyCode == goog.events.KeyCodes.Y || (e.keyCode == goog.events.KeyCodes.Z && e.shiftKey)) {
+      handled = true;
+      this.redo();
+    }
+
+    if(handled) {
+      e.preventDefault();
+    }
+    return !handled;
+  },
+
+
+  /** @inheritDoc */
+  disposeInternal: function() {
+    cmvc.UndoManager.superClass_.disposeInternal.call(this);
+
+    cmvc.kvo.removeObservers(this);
+    this.registrations_ = {};
+    this.undoSteps_ = [];
+    this.redoSteps_ = [];
+    this.openStep_ = null;
+  },
+
+
+  /**
+   * The willChange hook of every registered property; records the change.
+   * @private
+   */
+  record_: function(oldValue, newValue, change) {
+    var step;
+
+    // setting a property to the value it already has changes nothing
+    if(change.type == 'set' && change.index === undefined && change.removed[0] === change.added[0]) {
+      return;
+    }
+
+    // the change record is copied, since cmvc.kvo fills in more fields once the change has been made
+    change = {
+      type: change.type,
+      object: change.object,
+      property: change.property,
+      index: change.index,
+      fromIndex: change.fromIndex,
+      removed: goog.array.clone(change.removed),
+      added: goog.array.clone(change.added)
+    };
+
+    if(this.replayStep_) {
+      this.replayStep_.changes.push(change);
+      return;
+    }
+
+    if(!this.openStep_) {
+      step = this.openStep_ = { name: null, changes: [] };
+      if(this.groupDepth_ == 0 && cmvc.kvo.isBatching()) {
+        // the changes made during a batch form one step
+        cmvc.kvo.afterPropertyChanges(function() { this.closeStep_(step); }, this);
+      }
+    }
+    this.openStep_.changes.push(change);
+
+    if(this.groupDepth_ == 0 && !cmvc.kvo.isBatching()) {
+      this.closeStep_();
+    }
+  },
+
+
+  /**
+   * Ends the open step (if it is step, when given), and makes it the step to undo next unless it is empty.
+   * @private
+   */
+  closeStep_: function(opt_step) {
+    var step = this.openStep_;
+
+    if(!step || (opt_step && opt_step !== step)) {
+      return;
+    }
+    this.openStep_ = null;
+
+    if(step.changes.length > 0) {
+      this.undoSteps_.push(step);
+      if(this.undoSteps_.length > this.limit_) {
+        this.undoSteps_.shift();
+      }
+      this.redoSteps_ = [];
+      this.updateState_();
+    }
+  },
+
+
+  /**
+   * Reverts the changes of step, in reverse order, as one batch of property changes. Returns the step that holds the
+   * changes that were made, which reverts the reverted changes in turn.
+   * @private
+   */
+  replay_: function(step) {
+    var replayed = { name: step.name, changes: [] };
+
+    this.replayStep_ = replayed;
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      goog.array.forEachRight(step.changes, cmvc.UndoManager.revert_);
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+      this.replayStep_ = null;
+    }
+    return replayed;
+  },
+
+
+  /**
+   * @private
+   */
+  assertNotGrouping_: function() {
+    if(this.groupDepth_ > 0) {
+      throw Error("cmvc.UndoManager: can't undo or redo while an undo group is open.");
+    }
+  },
+
+
+  /**
+   * Brings the observable state properties up to date with the recorded steps.
+   * @private
+   */
+  updateState_: function() {
+    var undoStep = goog.array.peek(this.undoSteps_) || null,
+        redoStep = goog.array.peek(this.redoSteps_) || null,
+        state = {
+          canUndo: !!undoStep,
+          canRedo: !!redoStep,
+          undoName: undoStep ? undoStep.name : null,
+          redoName: redoStep ? redoStep.name : null
+        };
+
+    cmvc.kvo.beginPropertyChanges();
+    try {
+      goog.object.forEach(state, function(value, name, o) {
+        if(this[name] !== value) {
+          cmvc.kvo.set(this, name, value);
+        }
+      }, this);
+    } finally {
+      cmvc.kvo.endPropertyChanges();
+    }
+  }
+});
+
+
+/**
+ * Reverts a recorded change through cmvc.kvo.
+ * @private
+ */
+cmvc.UndoManager.revert_ = function(change) {
+  var obj = change.object,
+      property = change.property;
+
+  if(change.type == 'set' && change.index === undefined) {
+    cmvc.kvo.set(obj, property, change.removed[0]);
+  } else if(change.type == 'set') {
+    cmvc.kvo.set(obj, property, change.index, change.removed[0]);
+  } else if(change.type == 'move') {
+    cmvc.kvo.move(obj, property, change.index, change.fromIndex);
+  } else {
+    cmvc.kvo.splice.apply(null, [obj, property, change.index, change.added.length].concat(change.removed));
+  }
+};
@@ -0,0 +1,182 @@
+goog.provide("cmvc.UndoManagerTest");
+
+goog.require("goog.events.KeyCodes");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.Model");
+goog.require("cmvc.UndoManager");
+goog.require("cmvc.kvo");
+
+
+var Account = cmvc.Model.extend({attributes: {name: 'string', nickname: 'string'}});
+
+
+function testUndoAndRedoASingleChange() {
+  var undoManager = new cmvc.UndoManager(),
+      account = new Account({name: "Savings"});
+
+  undoManager.register(account);
+  assertFalse(undoManager.canUndo);
+  assertFalse(undoManager.undo());
+
+  account.set('name', "Checking");
+  assertTrue(undoManager.canUndo);
+
+  assertTrue(undoManager.undo());
+  assertEquals("Savings", account.name);
+  assertFalse(undoManager.canUndo);
+  assertTrue(undoManager.canRedo);
+
+  assertTrue(undoManager.redo());
+  assertEquals("Checking", account.name);
+  assertFalse(undoManager.canRedo);
+  assertFalse(undoManager.redo());
+}
+
+
+function testABatchOfChangesIsOneStep() {
+  var undoManager = new cmvc.UndoManager(),
+      account = new Account({name: "Savings", nickname: "s"});
+
+  undoManager.register(account);
+  account.set({name: "Checking", nickname: "c"});
+  account.set('name', "Other");
+
+  undoManager.undo();
+  assertEquals("Checking", account.name);
+  undoManager.undo();
+  assertEquals("Savings", account.name);
+  assertEquals("s", account.nickname);
+}
+
+
+function testGroupsAreOneNamedStepAndMayBeNested() {
+  var undoManager = new cmvc.UndoManager(),
+      account = new Account({name: "Savings", nickname: "s"}),
+      names = [];
+
+  undoManager.register(account);
+  cmvc.kvo.observeProperty(undoManager, "undoName", function(fnName, value) { names.push(value); });
+
+  undoManager.beginUndoGroup("Rename");
+  account.set('name', "Checking");
+  undoManager.beginUndoGroup("Inner");
+  account.set('nickname', "");
+  undoManager.endUndoGroup();
+  assertThrows(function() { undoManager.undo(); });
+  undoManager.endUndoGroup();
+
+  assertEquals("Rename", undoManager.undoName);
+  undoManager.undo();
+  assertEquals("Savings", account.name);
+  assertEquals("s", account.nickname);
+  assertNull(undoManager.undoName);
+  assertEquals("Rename", undoManager.redoName);
+  assertArrayEquals(["Rename", null], names);
+}
+
+
+function testANewStepClearsTheRedoSteps() {
+  var undoManager = new cmvc.UndoManager(),
+      account = new Account({name: "a"});
+
+  undoManager.register(account);
+  account.set('name', "b");
+  undoManager.undo();
+  account.set('nickname', "x");
+  assertFalse(undoManager.canRedo);
+
+  // setting a property to its value isn't recorded
+  account.set('nickname', "x");
+  undoManager.undo();
+  assertFalse(undoManager.canUndo);
+}
+
+
+function testArrayChangesAreUndone() {
+  var undoManager = new cmvc.UndoManager(),
+      list = {items: [1, 2, 3]};
+
+  undoManager.register(list, "items");
+  cmvc.kvo.push(list, "items", 4);
+  cmvc.kvo.splice(list, "items", 0, 2, 9);
+  cmvc.kvo.move(list, "items", 0, 2);
+  cmvc.kvo.set(list, "items", 1, 7);
+  assertArrayEquals([3, 7, 9], list.items);
+
+  undoManager.undo();
+  assertArrayEquals([3, 4, 9], list.items);
+  undoManager.undo();
+  assertArrayEquals([9, 3, 4], list.items);
+  undoManager.undo();
+  assertArrayEquals([1, 2, 3, 4], list.items);
+  undoManager.undo();
+  assertArrayEquals([1, 2, 3], list.items);
+
+  undoManager.redo();
+  undoManager.redo();
+  assertArrayEquals([9, 3, 4], list.items);
+}
+
+
+function testLimitAndUnregister() {
+  var undoManager = new cmvc.UndoManager({limit: 2}),
+      account = new Account({name: "a"}),
+      other = new Account({name: "x"});
+
+  undoManager.register(account, "name");
+  undoManager.register(other);
+  account.set('name', "b");
+  account.set('name', "c");
+  account.set('name', "d");
+  undoManager.undo();
+  undoManager.undo();
+  assertFalse(undoManager.undo());
+  assertEquals("b", account.name);
+
+  other.set('name', "y");
+  undoManager.unregister(other);
+  other.set('name', "z");
+  assertFalse(undoManager.canUndo);
+  assertEquals("z", other.name);
+}
+
+
+/**
+ * Returns a fake goog.events.KeyEvent for the given key code and modifiers.
+ */
+function createKeyEvent(keyCode, modifiers) {
+  return {
+    keyCode: keyCode,
+    ctrlKey: /ctrl/.test(modifiers),
+    shiftKey: /shift/.test(modifiers),
+    altKey: /alt/.test(modifiers),
+    metaKey: false,
+    defaultPrevented: false,
+    preventDefault: function() { this.defaultPrevented = true; }
+  };
+}
+
+
+function testHandleKeyEvent() {
+  var undoManager = new cmvc.UndoManager(),
+      account = new Account({name: "a"}),
+      e;
+
+  undoManager.register(account);
+  account.set('name', "b");
+
+  assertTrue(undoManager.handleKeyEvent(createKeyEvent(goog.events.KeyCodes.Z, "")));
+  assertEquals("b", account.name);
+
+  e = createKeyEvent(goog.events.KeyCodes.Z, "ctrl");
+  assertFalse(undoManager.handleKeyEvent(e));
+  assertTrue(e.defaultPrevented);
+  assertEquals("a", account.name);
+
+  undoManager.handleKeyEvent(createKeyEvent(goog.events.KeyCodes.Z, "ctrl shift"));
+  assertEquals("b", account.name);
+  undoManager.undo();
+  undoManager.handleKeyEvent(createKeyEvent(goog.events.KeyCodes.Y, "ctrl"));
+  assertEquals("b", account.name);
+}
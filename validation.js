@@ -0,0 +1,141 @@
+goog.provide("cmvc.validation");
+
+goog.require("goog.array");
+goog.require("goog.object");
+goog.require("goog.string");
+
+
+/**
+ * Built-in attribute validators, for use in the validations map of a cmvc.Model (see cmvc.Model#validations).
+ *
+ * Each member is a factory: it takes the option given in the validations map and returns a validator function,
+ *   function(value, model) { ... }
+ * that returns an error message if value is invalid, or null if it is valid. Except for required, the validators
+ * accept an empty value (see cmvc.validation.isEmpty), so they can be used on optional attributes. New validators are
+ * added by adding factories to this namespace.
+ *
+ * The options that take limits accept an optional message that replaces the default error message, e.g.
+ *   { length: { max: 40, message: "is too long" } }
+ */
+
+
+/**
+ * Returns true if value is null, undefined, a blank string or an empty array.
+ */
+cmvc.validation.isEmpty = function(value) {
+  return !goog.isDefAndNotNull(value) ||
+         (goog.isString(value) && goog.string.isEmpty(value)) ||
+         (goog.isArray(value) && value.length == 0);
+};
+
+
+/**
+ * Usage:
+ *   { required: true }
+ *   { required: "please enter your name" }
+ */
+cmvc.validation.required = function(option) {
+  var message = goog.isString(option) ? option : "is required";
+  return function(value, model) {
+    return option && cmvc.validation.isEmpty(value) ? message : null;
+  };
+};
+
+
+/**
+ * Validates the length of a string or an array.
+ *
+ * Usage:
+ *   { length: { min: 2, max: 40 } }
+ */
+cmvc.validation.length = function(option) {
+  return function(value, model) {
+    if(cmvc.validation.isEmpty(value)) {
+      return null;
+    }
+    var length = goog.isArray(value) ? value.length : String(value).length;
+    if(goog.isDef(option.min) && length < option.min) {
+      return option.message || "must be at least " + option.min + " characters long";
+    }
+    if(goog.isDef(option.max) && length > option.max) {
+      return option.message || "must be at most " + option.max + " characters long";
+    }
+    return null;
+  };
+};
+
+
+/**
+ * Usage:
+ *   { pattern: /^\d{5}$/ }
+ *   { pattern: { regexp: /^\d{5}$/, message: "must be a 5 digit zip code" } }
+ */
+cmvc.validation.pattern = function(option) {
+  var regexp = option instanceof RegExp ? option : option.regexp,
+      message = option.message || "is invalid";
+  return function(value, model) {
+    return cmvc.validation.isEmpty(value) || regexp.test(String(value)) ? null : message;
+  };
+};
+
+
+/**
+ * Validates that a number (or any other value that can be compared with < and >, such as a Date) lies within a range.
+ *
+ * Usage:
+ *   { range: { min: 0, max: 150 } }
+ */
+cmvc.validation.range = function(option) {
+  return function(value, model) {
+    if(cmvc.validation.isEmpty(value)) {
+      return null;
+    }
+    if(goog.isNumber(value) && isNaN(value)) {
+      return option.message || "must be a number";
+    }
+    if(goog.isDef(option.min) && value < option.min) {
+      return option.message || "must be at least " + option.min;
+    }
+    if(goog.isDef(option.max) && value > option.max) {
+      return option.message || "must be at most " + option.max;
+    }
+    return null;
+  };
+};
+
+
+/**
+ * A custom validator: the function itself (or each one of an array of functions) is the validator. It is called with
+ * the model as "this".
+ *
+ * Usage:
+ *   { custom: function(value, model) { return value == this.get('password') ? null : "doesn't match"; } }
+ */
+cmvc.validation.custom = function(option) {
+  var fns = goog.isArray(option) ? option : [option];
+  return function(value, model) {
+    var message = null;
+    goog.array.some(fns, function(fn, i, a) {
+      return goog.isDefAndNotNull(message = fn.call(model, value, model));
+    });
+    return message;
+  };
+};
+
+
+/**
+ * Returns the validator functions for the rules declared for one attribute (e.g. { required: true, length: {max: 40} }).
+ */
+cmvc.validation.createValidators = function(rules) {
+  var validators = [];
+
+  goog.object.forEach(rules, function(option, name, o) {
+    var factory = cmvc.validation[name];
+    if(!goog.isFunction(factory) || name == 'isEmpty' || name == 'createValidators') {
+      throw Error("cmvc.validation: unknown validator '" + name + "'.");
+    }
+    validators.push(factory(option));
+  });
+
+  return validators;
+};
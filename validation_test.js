@@ -0,0 +1,63 @@
+goog.provide("cmvc.validationTest");
+
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.validation");
+
+
+function testRequired() {
+  var validator = cmvc.validation.required(true);
+
+  assertEquals("is required", validator(" "));
+  assertEquals("is required", validator([]));
+  assertNull(validator(0));
+  assertEquals("enter a name", cmvc.validation.required("enter a name")(null));
+  assertNull(cmvc.validation.required(false)(null));
+}
+
+
+function testLength() {
+  var validator = cmvc.validation.length({min: 2, max: 3});
+
+  assertEquals("must be at least 2 characters long", validator("a"));
+  assertEquals("must be at most 3 characters long", validator([1, 2, 3, 4]));
+  assertNull(validator("ab"));
+  assertNull(validator(""));
+}
+
+
+function testPattern() {
+  assertEquals("is invalid", cmvc.validation.pattern(/^\d+$/)("a1"));
+  assertEquals("must be a zip code", cmvc.validation.pattern({regexp: /^\d{5}$/, message: "must be a zip code"})("1"));
+  assertNull(cmvc.validation.pattern(/^\d+$/)(12));
+}
+
+
+function testRange() {
+  var validator = cmvc.validation.range({min: 0, max: 150});
+
+  assertEquals("must be at least 0", validator(-1));
+  assertEquals("must be at most 150", validator(151));
+  assertEquals("must be a number", validator(NaN));
+  assertNull(validator(null));
+  assertEquals("out of range", cmvc.validation.range({max: 1, message: "out of range"})(2));
+}
+
+
+function testCustomValidatorsAreCalledWithTheModel() {
+  var model = {password: "secret"},
+      validator = cmvc.validation.custom([
+        function(value, m) { return value == this.password ? null : "doesn't match"; },
+        function(value, m) { return "not reached"; }
+      ]);
+
+  assertEquals("doesn't match", validator("x", model));
+  assertEquals("not reached", validator("secret", model));
+}
+
+
+function testCreateValidatorsRejectsUnknownValidators() {
+  assertEquals(2, cmvc.validation.createValidators({required: true, length: {max: 3}}).length);
+  assertThrows(function() { cmvc.validation.createValidators({email: true}); });
+  assertThrows(function() { cmvc.validation.createValidators({isEmpty: true}); });
+}
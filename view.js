@@ -101,6 +101,13 @@ cmvc.ui.View = cmvc.extend(goog.ui.Component, {
       }, this);
     }
     
+    /**
+     * Maps the names of the outlets (see cmvc.ui.View#outlets) to the views they hold.
+     * @type {Object}
+     * @private
+     */
+    this.outletViews_ = {};
+    
     this.attachDeclaredPropertyBindings();
   },
   
@@ -116,6 +123,31 @@ cmvc.ui.View = cmvc.extend(goog.ui.Component, {
   },
   
   
+  /**
+   * The controller (see cmvc.Controller) that the view presents, given in the config passed to the constructor.
+   * propertyBindings and event handlers can refer to it as "this.controller", e.g. 'this.controller.content.name'.
+   * @type {cmvc.Controller}
+   */
+  controller: null,
+  
+  
+  /**
+   * The names of the outlets of the view, e.g. "main sidebar". Where children declares child views that are created
+   * along with the view, an outlet is a named place for a child view that is set, and swapped, at runtime (see
+   * setOutletView); cmvc.Router renders the views of nested routes into the outlets of the views of their parent
+   * routes. The view of an outlet is rendered into the element of the outlet (see getOutletElement).
+   *
+   * Example:
+   *   myapp.views.AccountPage = cmvc.ui.View.extend({
+   *     root: { tag: 'div', children: [{ tag: 'div', cls: 'cmvc-outlet-list' },
+   *                                    { tag: 'div', cls: 'cmvc-outlet-detail' }] },
+   *     outlets: "list detail"
+   *   });
+   *   page.setOutletView('detail', new myapp.views.AccountDetail());
+   */
+  outlets: null,
+  
+  
   /*********************************************************************************************/
   /******View Properties (combination of goog.ui.Container and goog.ui.Control properties)******/
 
@@ -303,11 +335,13 @@ cmvc.ui.View = cmvc.extend(goog.ui.Component, {
   
   renderChildren: function() {
     if(this.isInDocument()) {
-      var element = this.getElement();
-      // render any child views that haven't been rendered yet
+      var element = this.getElement(),
+          outletName = null;
+      // render any child views that haven't been rendered yet; the views of outlets are rendered into their outlets
       this.forEachChild(function(child, i) {
         if (!child.isInDocument()) {
-          child.render(element);
+          outletName = goog.object.findKey(this.outletViews_, function(view) { return view === child; });
+          child.render(outletName ? this.getOutletElement(outletName) : element);
         }
       }, this);
     }
@@ -531,28 +565,92 @@ cmvc.ui.View = cmvc.extend(goog.ui.Component, {
   /**
    * Iterate over all pairs of local-property/remote-property pairs in the propertyBindings object, 
    * binding each local property to a remote object's property.
+   *
+   * The remote property is given as a key path whose first segment is evaluated to find the root object
+   * (e.g. "app.currentUser.name" or "this.model.name"). The rest of the path is observed with cmvc.kvo.observePath, so
+   * the binding follows along when an intermediate object (e.g. app.currentUser) is replaced.
+   * The local property may be a key path as well.
+   *
+   * By default, changes only flow from the remote property to the local property. Prefixing the remote property
+   * with "<->" binds the two properties both ways (see cmvc.kvo.bindTwoWay).
+   *
+   * Instead of a string, the remote property may be given as an object with a path field holding the string, and
+   * any of the transform, reverseTransform, validate and reverseValidate options of cmvc.kvo.bindTwoWay. Each option
+   * is either a function or a "dotted" reference to one (e.g. 'this.formatBalance'), like the handlers in viewEvents.
+   * transform and validate apply to the values flowing from the remote property to the local property;
+   * reverseTransform and reverseValidate apply to the values flowing back to the remote property.
+   *
+   * Example:
+   *   propertyBindings: {
+   *     'text': 'app.user.name',             // change in that -> change in this
+   *     'value': '<-> app.user.email',       // change in that <-> change in this
+   *     'title': 'this.controller.name',     // the name of the content of the view's controller (see cmvc.ObjectController)
+   *     'balance': {
+   *       path: '<-> app.account.balance',
+   *       transform: cmvc.kvo.transforms.fixed(2),
+   *       reverseTransform: cmvc.kvo.transforms.number,
+   *       reverseValidate: 'this.isValidBalance'
+   *     }
+   *   }
    */
   attachDeclaredPropertyBindings: function(propertyBindings) {
     var that = null,
-        thatProperty = null,
+        thatPath = null,
+        twoWay = false,
+        options = null,
         i = null;
     
     propertyBindings = propertyBindings || this.propertyBindings || {};
     
     goog.object.forEach(propertyBindings, function(thatPropertyPath, thisProperty, o) {
-      i = thatPropertyPath.lastIndexOf('.');
+      options = {};
+      if(goog.isObject(thatPropertyPath)) {
+        goog.array.forEach(['transform', 'reverseTransform', 'validate', 'reverseValidate'], function(option, j, a) {
+          if(thatPropertyPath[option]) {
+            options[option] = this.resolveFunctionReference_(thatPropertyPath[option]);
+          }
+        }, this);
+        thatPropertyPath = thatPropertyPath.path;
+      }
+      
+      thatPropertyPath = goog.string.trim(thatPropertyPath);
+      twoWay = goog.string.startsWith(thatPropertyPath, '<->');
+      if(twoWay) {
+        thatPropertyPath = goog.string.trim(thatPropertyPath.substring(3));
+      }
+      
+      i = thatPropertyPath.indexOf('.');
       if(i > 0) {
-        // we found a "." in the string, so the text to the left of the "." is a reference to the context object, "that"
+        // we found a "." in the string, so the text to the left of the first "." is a reference to the root object, "that"
         that = eval(thatPropertyPath.substring(0, i));
-        thatProperty = thatPropertyPath.substring(i + 1, thatPropertyPath.length);
-        // console.log(this, thisProperty, that, thatProperty);
-        // cmvc.kvo.bind(this, thisProperty, that, thatProperty);   // change in this -> change in that
-        cmvc.kvo.bind(that, thatProperty, this, thisProperty);      // change in that -> change in this
+        thatPath = thatPropertyPath.substring(i + 1, thatPropertyPath.length);
+        // console.log(this, thisProperty, that, thatPath);
+        if(twoWay) {
+          cmvc.kvo.bindTwoWay(that, thatPath, this, thisProperty, options);   // change in that <-> change in this
+        } else {
+          cmvc.kvo.bind(that, thatPath, this, thisProperty, options);       // change in that -> change in this
+        }
       }
     }, this);
   },
   
   
+  /**
+   * Returns fn if it is a function. Otherwise fn is a "dotted" reference to a function (e.g. 'this.formatBalance' or
+   * 'myapp.formatters.currency'), which is evaluated and bound to the object to the left of the last "."; a reference
+   * without a "." names a method of this view.
+   * @private
+   */
+  resolveFunctionReference_: function(fn) {
+    var i;
+    if(goog.isString(fn)) {
+      i = fn.lastIndexOf('.');
+      fn = i >= 0 ? goog.bind(eval(fn), eval(fn.substring(0, i))) : goog.bind(this[fn], this);
+    }
+    return fn;
+  },
+  
+  
   /**
    * Cleans up the container before its DOM is removed from the document, and
    * removes event handlers.  Overrides {@link goog.ui.Component#exitDocument}.
@@ -587,6 +685,9 @@ cmvc.ui.View = cmvc.extend(goog.ui.Component, {
     
     // taken from goog.ui.Container
     this.childElementIdMap_ = null;
+    
+    // the views of the outlets are child views, so they have been disposed of along with the other child views
+    this.outletViews_ = null;
   },
 
 
@@ -772,6 +873,79 @@ cmvc.ui.View = cmvc.extend(goog.ui.Component, {
   },
   
   
+  /**
+   * Returns the names of the outlets declared in outlets.
+   * @return {Array.<string>}
+   */
+  getOutletNames: function() {
+    return this.outlets ? cmvc.string.words(this.outlets) : [];
+  },
+  
+  
+  /**
+   * Returns the view held by the named outlet, or null.
+   */
+  getOutletView: function(name) {
+    // a disposed view has no outlet views
+    return (this.outletViews_ && this.outletViews_[name]) || null;
+  },
+  
+  
+  /**
+   * Puts view into the named outlet, in place of the view it holds. The replaced view leaves the document (see
+   * exitDocument) and is disposed of; the new view is added as a child view and, if this view is in the document,
+   * rendered into the element of the outlet. A null view empties the outlet. Nothing is done once this view has been
+   * disposed of: its outlet views are gone, and the new view is left to the caller.
+   * @param {string} name The name of the outlet.
+   * @param {cmvc.ui.View} view The new view, or null.
+   * @return {cmvc.ui.View} The new view, or null if this view has been disposed of.
+   */
+  setOutletView: function(name, view) {
+    var oldView = this.getOutletView(name);
+    
+    if(!goog.array.contains(this.getOutletNames(), name)) {
+      throw Error("cmvc.ui.View: there is no outlet called '" + name + "'.");
+    }
+    if(this.isDisposed()) {
+      return null;
+    }
+    if(view === oldView) {
+      return view;
+    }
+    
+    if(oldView) {
+      delete this.outletViews_[name];
+      this.removeChild(oldView, oldView.isInDocument());
+      oldView.dispose();
+    }
+    
+    if(view) {
+      if(!view.id_) {             // like the views declared in children, the view is named after its outlet
+        view.setId(name);
+      }
+      this.outletViews_[name] = view;
+      this.addChild(view, false);
+      if(this.isInDocument()) {
+        view.render(this.getOutletElement(name));
+        this.registerChildId_(view);
+      }
+    }
+    return view;
+  },
+  
+  
+  /**
+   * Returns the element that the view of the named outlet is rendered into: the element of this view with the class
+   * "cmvc-outlet-<name>", or the element of this view if there is none. Subclasses may override it.
+   * @param {string} name The name of the outlet.
+   * @return {Element}
+   */
+  getOutletElement: function(name) {
+    var element = this.getElement();
+    return goog.dom.getElementsByTagNameAndClass(null, "cmvc-outlet-" + name, element)[0] || element;
+  },
+  
+  
   // This function retrieves a goog.ui.Component object from the view hierarchy, starting with 'this' as the root.
   // idea taken from SproutCore's View#getPath
   getView: function(viewPath) {
@@ -0,0 +1,90 @@
+goog.provide("cmvc.ui.ViewTest");
+
+goog.require("goog.dom");
+goog.require("goog.testing.jsunit");
+
+goog.require("cmvc.kvo");
+goog.require("cmvc.ui.View");
+
+
+function testPropertyBindingsWithTransformsAndValidation() {
+  var AccountView = cmvc.ui.View.extend({
+        propertyBindings: {
+          'balanceText': {path: 'this.account.balance', transform: function(value) { return value.toFixed(2); }},
+          'amountText': {
+            path: '<-> this.account.amount',
+            transform: String,
+            reverseTransform: Number,
+            reverseValidate: 'this.isValidAmount'
+          }
+        },
+        isValidAmount: function(value) { return !isNaN(value) && this.account.balance >= value; }
+      }),
+      account = {balance: 10, amount: 1},
+      view = new AccountView({account: account});
+
+  cmvc.kvo.set(account, "balance", 12.5);
+  assertEquals("12.50", view.balanceText);
+
+  cmvc.kvo.set(view, "amountText", "5");
+  assertEquals(5, account.amount);
+  cmvc.kvo.set(view, "amountText", "20");
+  assertEquals(5, account.amount);
+  cmvc.kvo.set(view, "amountText", "x");
+  assertEquals(5, account.amount);
+
+  view.dispose();
+}
+
+
+/**
+ * A page with a list outlet and a detail outlet.
+ */
+var PageView = cmvc.ui.View.extend({
+  root: {tag: 'div', children: [{tag: 'div', cls: 'cmvc-outlet-list'}, {tag: 'div', cls: 'cmvc-outlet-detail'}]},
+  outlets: "list detail"
+});
+
+
+/**
+ * A view with a single outlet, rendered into its own element.
+ */
+var DetailView = cmvc.ui.View.extend({
+  root: {tag: 'span'},
+  outlets: "main"
+});
+
+
+function testSetOutletViewSwapsTheViewOfAnOutlet() {
+  var page = new PageView(),
+      first = new DetailView(),
+      second = new DetailView(),
+      nested = new DetailView();
+
+  assertArrayEquals(["list", "detail"], page.getOutletNames());
+  assertNull(page.getOutletView("detail"));
+  assertEquals(first, page.setOutletView("detail", first));
+  assertEquals("detail", first.getId());
+  assertEquals(page, first.getParent());
+
+  page.render(document.body);
+  assertEquals(page.getOutletElement("detail"), first.getElement().parentNode);
+  assertEquals("cmvc-outlet-detail", page.getOutletElement("detail").className);
+
+  first.setOutletView("main", nested);
+  assertEquals(first.getElement(), nested.getElement().parentNode);
+
+  page.setOutletView("detail", second);
+  assertTrue(first.isDisposed());
+  assertTrue(nested.isDisposed());
+  assertTrue(second.isInDocument());
+  assertEquals(page.getOutletElement("detail"), second.getElement().parentNode);
+
+  page.setOutletView("detail", null);
+  assertTrue(second.isDisposed());
+  assertEquals(0, page.getChildCount());
+  assertThrows(function() { page.setOutletView("sidebar", new DetailView()); });
+
+  page.dispose();
+  assertNull(page.setOutletView("detail", new DetailView()));
+}